@@ -0,0 +1,183 @@
+const EventEmitter = require('events');
+const RateLimiter = require('./RateLimiter');
+
+/** Number of sources with recent violations tracked before stale entries are pruned. */
+const MAX_TRACKED_SOURCES = 10000;
+
+/**
+ * AbuseGuard is the protection layer shared by the DHT (UDP) and the peer connections (TCP).
+ * It rate-limits messages with a token bucket per IP address and per peer, and counts violations
+ * (floods, malformed or oversized messages, exceeded quotas and connection caps) per source.
+ * A source with `banThreshold` violations within `violationWindow` is banned for `banDuration`:
+ * its messages are dropped and its connections refused.
+ * Sources are strings of the form `ip:<address>` or `peer:<pseudonym>`.
+ * With a ReputationManager, a peer's messages cost fewer tokens the better its reputation (see
+ * ReputationManager.factor()), so well-behaved peers get a larger share and distrusted ones a smaller one.
+ * It also holds the size, quota and connection limits applied by KademliaNode and AnonymousP2PNode.
+ * Emits 'abuse' ({source, reason, violations, banned}) for every violation.
+ * @extends EventEmitter
+ */
+class AbuseGuard extends EventEmitter {
+    /**
+     * Create a new AbuseGuard.
+     * @param {object} [options] - Protection settings.
+     * @param {number} [options.ipRate=500] - Messages per second allowed from one IP address (UDP and TCP together).
+     * @param {number} [options.ipBurst=1000] - Burst allowed from one IP address.
+     * @param {number} [options.peerRate=200] - Messages per second allowed from one peer.
+     * @param {number} [options.peerBurst=400] - Burst allowed from one peer.
+     * @param {number} [options.banThreshold=10] - Violations within the window that get a source banned.
+     * @param {number} [options.violationWindow=60000] - Window violations are counted in (ms).
+     * @param {number} [options.banDuration=600000] - How long a ban lasts (ms).
+     * @param {number} [options.maxMessageSize=32768] - Largest accepted UDP message (bytes).
+     * @param {number} [options.maxRecordSize=16384] - Largest accepted DHT value, serialized (bytes).
+     * @param {number} [options.maxRecordsPerSender=256] - DHT records one source may have stored with us.
+     * @param {number} [options.maxBytesPerSender=1048576] - DHT bytes one source may have stored with us.
+     * @param {number} [options.maxConnections=256] - Incoming peer connections accepted at once.
+     * @param {number} [options.maxConnectionsPerIP=16] - Incoming peer connections accepted at once from one IP address.
+     * @param {import('./ReputationManager')} [options.reputation] - Peer scores that scale the per-peer rate limit.
+     */
+    constructor(options = {}) {
+        super();
+        /** @type {RateLimiter} */
+        this.ipLimiter = new RateLimiter({ rate: options.ipRate || 500, burst: options.ipBurst || 1000 });
+        /** @type {RateLimiter} */
+        this.peerLimiter = new RateLimiter({ rate: options.peerRate || 200, burst: options.peerBurst || 400 });
+        /** @type {number} */
+        this.banThreshold = options.banThreshold || 10;
+        /** @type {number} */
+        this.violationWindow = options.violationWindow || 60000; // ms
+        /** @type {number} */
+        this.banDuration = options.banDuration || 600000; // ms
+        /** @type {number} */
+        this.maxMessageSize = options.maxMessageSize || 32 * 1024; // bytes
+        /** @type {number} */
+        this.maxRecordSize = options.maxRecordSize || 16 * 1024; // bytes
+        /** @type {number} */
+        this.maxRecordsPerSender = options.maxRecordsPerSender || 256;
+        /** @type {number} */
+        this.maxBytesPerSender = options.maxBytesPerSender || 1024 * 1024; // bytes
+        /** @type {number} */
+        this.maxConnections = options.maxConnections || 256;
+        /** @type {number} */
+        this.maxConnectionsPerIP = options.maxConnectionsPerIP || 16;
+        /** @type {import('./ReputationManager')|null} */
+        this.reputation = options.reputation || null;
+        /** @type {Map<string, {count: number, since: number}>} */
+        this.violations = new Map(); // Recent violations by source
+        /** @type {Map<string, number>} */
+        this.bans = new Map(); // Ban expiry by source
+        /** @type {{violations: number, bans: number, limited: number}} */
+        this.counters = { violations: 0, bans: 0, limited: 0 };
+    }
+
+    /**
+     * Decide whether to process a message: its sources must not be banned and must have tokens
+     * left. Exceeding a rate limit counts as a violation.
+     * @param {string|null} ip - The sender's IP address.
+     * @param {string} [peerId] - The sending peer, for messages from peer connections.
+     * @returns {boolean} True if the message may be processed.
+     */
+    allowMessage(ip, peerId) {
+        const ipSource = ip ? `ip:${ip}` : null;
+        const peerSource = peerId ? `peer:${peerId}` : null;
+        if ((ipSource && this.isBanned(ipSource)) || (peerSource && this.isBanned(peerSource))) {
+            return false;
+        }
+        if (ipSource && !this.ipLimiter.take(ipSource)) {
+            this.counters.limited++;
+            this.report(ipSource, 'rate limit exceeded');
+            return false;
+        }
+        const cost = this.reputation && peerId ? 1 / this.reputation.factor(peerId) : 1;
+        if (peerSource && !this.peerLimiter.take(peerSource, cost)) {
+            this.counters.limited++;
+            this.report(peerSource, 'rate limit exceeded');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Record a violation by a source, banning it once it reaches `banThreshold` violations within
+     * `violationWindow`. Emits 'abuse'.
+     * @param {string} source - The source (`ip:<address>` or `peer:<pseudonym>`).
+     * @param {string} reason - What it did.
+     * @returns {boolean} True if the source is now banned.
+     */
+    report(source, reason) {
+        const now = Date.now();
+        let entry = this.violations.get(source);
+        if (!entry || now - entry.since > this.violationWindow) {
+            if (this.violations.size >= MAX_TRACKED_SOURCES) this.prune();
+            entry = { count: 0, since: now };
+            this.violations.set(source, entry);
+        }
+        entry.count++;
+        this.counters.violations++;
+        const banned = entry.count >= this.banThreshold && !this.isBanned(source);
+        if (banned) {
+            this.ban(source);
+        }
+        this.emit('abuse', { source, reason, violations: entry.count, banned });
+        return banned || this.isBanned(source);
+    }
+
+    /**
+     * Ban a source.
+     * @param {string} source - The source.
+     * @param {number} [duration=this.banDuration] - How long the ban lasts (ms).
+     */
+    ban(source, duration = this.banDuration) {
+        this.prune();
+        this.bans.set(source, Date.now() + duration);
+        this.violations.delete(source);
+        this.counters.bans++;
+    }
+
+    /**
+     * Lift a ban early.
+     * @param {string} source - The source.
+     * @returns {boolean} True if the source was banned.
+     */
+    unban(source) {
+        return this.bans.delete(source);
+    }
+
+    /**
+     * Check whether a source is banned, forgetting expired bans.
+     * @param {string} source - The source.
+     * @returns {boolean} True if the source is banned.
+     */
+    isBanned(source) {
+        const until = this.bans.get(source);
+        if (until === undefined) return false;
+        if (until > Date.now()) return true;
+        this.bans.delete(source);
+        return false;
+    }
+
+    /**
+     * Forget expired bans and violations outside the window.
+     */
+    prune() {
+        const now = Date.now();
+        for (const [source, until] of this.bans) {
+            if (until <= now) this.bans.delete(source);
+        }
+        for (const [source, entry] of this.violations) {
+            if (now - entry.since > this.violationWindow) this.violations.delete(source);
+        }
+    }
+
+    /**
+     * Get protection statistics.
+     * @returns {{banned: number, violations: number, bans: number, limited: number}} Current bans, and
+     *     totals of violations, bans and rate-limited messages.
+     */
+    getStats() {
+        this.prune();
+        return { banned: this.bans.size, ...this.counters };
+    }
+}
+
+module.exports = AbuseGuard;
@@ -1,86 +1,432 @@
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const Schnorr = require('./Schnorr');
+const EphemeralKeyManager = require('./EphemeralKeyManager');
+
+/** Version of the identity file format written by save(). */
+const IDENTITY_FILE_VERSION = 2;
+/** Time a commitment from beginZKProof() can be answered (ms). */
+const PROOF_TIMEOUT = 60000;
+/** Most interactive proofs awaiting a challenge at once; the oldest is dropped beyond this. */
+const MAX_PENDING_PROOFS = 256;
 
 /**
  * AnonymousIdentity manages pseudonymous and ephemeral identities, and provides zero-knowledge proof support.
+ * The identity key is an EC secp256k1 key and the pseudonym is the SHA-1 hash of its public key,
+ * so ownership of a pseudonym can be proven with a Schnorr proof of key possession.
+ * Rotating the pseudonym replaces the key pair with a fresh, unlinkable one and emits 'pseudonymRotated'.
+ * Networks may require pseudonyms to solve a crypto puzzle (`idDifficulty`, S/Kademlia's static puzzle),
+ * so that a Sybil attacker cannot cheaply generate pseudonyms close to a chosen DHT key.
+ * @extends EventEmitter
  */
-class AnonymousIdentity {
+class AnonymousIdentity extends EventEmitter {
     /**
      * Create a new AnonymousIdentity instance.
+     * @param {object} [options] - Existing key material to restore (see load()).
+     * @param {{ publicKey: any, privateKey: any }} [options.keyPair] - The identity key pair (secp256k1).
+     * @param {object} [options.ephemeralPolicy] - Default policy for ephemeral keys (see EphemeralKeyManager).
+     * @param {number} [options.idDifficulty=0] - Leading zero bits new pseudonyms must have in their puzzle hash (see meetsDifficulty()).
+     * @param {number} [options.proofTimeout=60000] - Time a commitment from beginZKProof() can be answered (ms).
+     * @param {number} [options.maxPendingProofs=256] - Most unanswered commitments kept at once.
      */
-    constructor() {
-        /** @type {{ publicKey: any, privateKey: any }} */
-        this.keyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
-        /** @type {Map<string, { keyPair: any, created: number, uses: number }>} */
-        this.ephemeralKeys = new Map();
+    constructor(options = {}) {
+        super();
         /** @type {number} */
-        this.reputation = 0;
+        this.idDifficulty = options.idDifficulty || 0; // bits
+        /** @type {{ publicKey: any, privateKey: any }} */
+        this.keyPair = options.keyPair || AnonymousIdentity.generateKeyPair(this.idDifficulty);
+        /** @type {EphemeralKeyManager} */
+        this.ephemeralKeys = new EphemeralKeyManager(options.ephemeralPolicy);
         /** @type {string} */
-        this.pseudonym = crypto.randomBytes(16).toString('hex');
+        this.pseudonym = AnonymousIdentity.derivePseudonym(this.keyPair.publicKey);
+        /** @type {number} */
+        this.proofTimeout = options.proofTimeout || PROOF_TIMEOUT; // ms
+        /** @type {number} */
+        this.maxPendingProofs = options.maxPendingProofs || MAX_PENDING_PROOFS;
+        /** @type {Map<string, {nonce: string, expires: number}>} */
+        this.pendingProofs = new Map(); // Interactive proof commitments -> secret nonces, oldest first
+        /** @type {NodeJS.Timeout|null} */
+        this.rotationTimer = null;
+        /** @type {NodeJS.Timeout|null} */
+        this.proofSweepTimer = null;
+    }
+
+    /**
+     * Replace the identity key pair with a fresh one, which gives a new, unlinkable pseudonym.
+     * Pending interactive proofs for the old key are dropped.
+     * Emits 'pseudonymRotated' with ({ previous, pseudonym }).
+     * @returns {string} The new pseudonym.
+     */
+    rotatePseudonym() {
+        const previous = this.pseudonym;
+        this.keyPair = AnonymousIdentity.generateKeyPair(this.idDifficulty);
+        this.pseudonym = AnonymousIdentity.derivePseudonym(this.keyPair.publicKey);
+        this.pendingProofs.clear();
+        this.emit('pseudonymRotated', { previous, pseudonym: this.pseudonym });
+        return this.pseudonym;
+    }
+
+    /**
+     * Rotate the pseudonym on a schedule and start sweeping expired ephemeral keys and proof commitments.
+     * @param {number} [rotationInterval] - Time between rotations (ms); omit to only sweep.
+     */
+    start(rotationInterval) {
+        this.ephemeralKeys.start();
+        if (!this.proofSweepTimer) {
+            this.proofSweepTimer = setInterval(() => this.sweepPendingProofs(), this.proofTimeout);
+        }
+        if (rotationInterval && !this.rotationTimer) {
+            this.rotationTimer = setInterval(() => this.rotatePseudonym(), rotationInterval);
+        }
+    }
+
+    /**
+     * Stop scheduled rotation and the sweeps.
+     */
+    stop() {
+        clearInterval(this.rotationTimer);
+        this.rotationTimer = null;
+        clearInterval(this.proofSweepTimer);
+        this.proofSweepTimer = null;
+        this.ephemeralKeys.stop();
+    }
+
+    /**
+     * Derive the pseudonym belonging to a public key: the SHA-1 hash of its SPKI DER encoding.
+     * @param {crypto.KeyObject|string} publicKey - The public key (KeyObject or PEM).
+     * @returns {string} The pseudonym (40 hex characters).
+     */
+    static derivePseudonym(publicKey) {
+        const key = publicKey instanceof crypto.KeyObject ? publicKey : crypto.createPublicKey(publicKey);
+        return crypto.createHash('sha1')
+            .update(key.export({ type: 'spki', format: 'der' }))
+            .digest('hex');
+    }
+
+    /**
+     * Generate an identity key pair whose pseudonym meets a difficulty. Each extra bit doubles
+     * the expected number of key pairs tried.
+     * @param {number} [difficulty=0] - Required leading zero bits (see meetsDifficulty()).
+     * @returns {{ publicKey: crypto.KeyObject, privateKey: crypto.KeyObject }} The key pair.
+     */
+    static generateKeyPair(difficulty = 0) {
+        while (true) {
+            const keyPair = crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+            if (AnonymousIdentity.meetsDifficulty(AnonymousIdentity.derivePseudonym(keyPair.publicKey), difficulty)) {
+                return keyPair;
+            }
+        }
+    }
+
+    /**
+     * Check the static crypto puzzle of a pseudonym: the SHA-1 hash of the pseudonym must start
+     * with `difficulty` zero bits. Since the pseudonym is itself the hash of a public key, the
+     * only way to solve the puzzle is to generate key pairs until one does.
+     * @param {string} pseudonym - The pseudonym (40 hex characters).
+     * @param {number} difficulty - Required leading zero bits (0 accepts every pseudonym).
+     * @returns {boolean} True if the pseudonym meets the difficulty.
+     */
+    static meetsDifficulty(pseudonym, difficulty) {
+        if (!difficulty) return true;
+        const puzzle = crypto.createHash('sha1').update(Buffer.from(pseudonym, 'hex')).digest();
+        for (let bit = 0; bit < difficulty; bit++) {
+            if (puzzle[bit >> 3] & (0x80 >> (bit & 7))) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Save the identity key material to disk, optionally encrypting the private key with a passphrase.
+     * The file is written atomically and readable only by the owner.
+     * @param {string} filePath - Path of the identity file.
+     * @param {string} [passphrase] - Passphrase protecting the private key.
+     */
+    save(filePath, passphrase) {
+        const privateKey = this.keyPair.privateKey.export(passphrase
+            ? { type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase }
+            : { type: 'pkcs8', format: 'pem' });
+        const contents = JSON.stringify({
+            version: IDENTITY_FILE_VERSION,
+            pseudonym: this.pseudonym,
+            publicKey: this.exportPublicKey(),
+            privateKey,
+            encrypted: !!passphrase
+        }, null, 2);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, contents, { mode: 0o600 });
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    /**
+     * Load an identity saved with save().
+     * @param {string} filePath - Path of the identity file.
+     * @param {string} [passphrase] - Passphrase protecting the private key.
+     * @param {object} [options] - Other constructor options (ephemeralPolicy, idDifficulty).
+     * @returns {AnonymousIdentity} The restored identity.
+     * @throws {Error} If the file is invalid or outdated (see migrate()) or the passphrase is wrong.
+     */
+    static load(filePath, passphrase, options = {}) {
+        const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (stored.version === 1) {
+            throw new Error(`Identity file ${filePath} is version 1 (RSA key, unbound pseudonym), which can no longer be used; `
+                + 'call AnonymousIdentity.migrate() or loadOrCreate() to replace it with a new identity');
+        }
+        if (stored.version !== IDENTITY_FILE_VERSION) {
+            throw new Error(`Unsupported identity file version ${stored.version}`);
+        }
+        const privateKey = AnonymousIdentity.readPrivateKey(stored, passphrase);
+        return new AnonymousIdentity({
+            ...options,
+            keyPair: { privateKey, publicKey: crypto.createPublicKey(privateKey) }
+        });
+    }
+
+    /**
+     * Replace a version 1 identity file with a new identity. Version 1 files hold an RSA key and a
+     * random pseudonym that the key cannot prove, so neither carries over: the new identity has a
+     * new secp256k1 key and pseudonym. The old file is kept next to the new one as `<filePath>.v1`.
+     * @param {string} filePath - Path of the identity file.
+     * @param {string} [passphrase] - Passphrase protecting the old private key; also protects the new one.
+     * @param {object} [options] - Other constructor options (ephemeralPolicy, idDifficulty).
+     * @returns {AnonymousIdentity} The new identity.
+     * @throws {Error} If the file is not a version 1 identity file or the passphrase is wrong.
+     */
+    static migrate(filePath, passphrase, options = {}) {
+        const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (stored.version !== 1) {
+            throw new Error(`Identity file version ${stored.version} does not need migration`);
+        }
+        AnonymousIdentity.readPrivateKey(stored, passphrase); // Do not replace a file we could not open
+        fs.renameSync(filePath, `${filePath}.v1`);
+        const identity = new AnonymousIdentity(options);
+        identity.save(filePath, passphrase);
+        return identity;
+    }
+
+    /**
+     * Load the identity from disk, or create and save a new one if the file does not exist.
+     * Version 1 files are migrated (see migrate()).
+     * @param {string} filePath - Path of the identity file.
+     * @param {string} [passphrase] - Passphrase protecting the private key.
+     * @param {object} [options] - Other constructor options (ephemeralPolicy, idDifficulty).
+     * @returns {AnonymousIdentity} The identity.
+     */
+    static loadOrCreate(filePath, passphrase, options = {}) {
+        if (fs.existsSync(filePath)) {
+            if (JSON.parse(fs.readFileSync(filePath, 'utf8')).version === 1) {
+                return AnonymousIdentity.migrate(filePath, passphrase, options);
+            }
+            return AnonymousIdentity.load(filePath, passphrase, options);
+        }
+        const identity = new AnonymousIdentity(options);
+        identity.save(filePath, passphrase);
+        return identity;
+    }
+
+    /**
+     * Decrypt the private key of a parsed identity file.
+     * @param {{privateKey: string, encrypted: boolean}} stored - The identity file contents.
+     * @param {string} [passphrase] - Passphrase protecting the private key.
+     * @returns {crypto.KeyObject} The private key.
+     * @throws {Error} If the passphrase is missing or wrong.
+     */
+    static readPrivateKey(stored, passphrase) {
+        if (stored.encrypted && !passphrase) {
+            throw new Error('Identity file is encrypted; a passphrase is required');
+        }
+        try {
+            return crypto.createPrivateKey({ key: stored.privateKey, format: 'pem', passphrase });
+        } catch (error) {
+            throw new Error('Could not decrypt identity key');
+        }
+    }
+
+    /**
+     * Export the identity public key in PEM (SPKI) format.
+     * @returns {string} The PEM-encoded public key.
+     */
+    exportPublicKey() {
+        return this.keyPair.publicKey.export({ type: 'spki', format: 'pem' });
+    }
+
+    /**
+     * Sign data with the identity private key.
+     * @param {string|Buffer} data - The data to sign.
+     * @returns {string} The base64-encoded signature.
+     */
+    sign(data) {
+        return crypto.sign('sha256', Buffer.from(data), this.keyPair.privateKey).toString('base64');
     }
 
     /**
      * Generate a new ephemeral key for temporary interactions.
+     * @param {object} [policy] - Overrides of the default ephemeral key policy (lifetime, maxUses, type).
      * @returns {string} The ephemeral key ID.
      */
-    generateEphemeralKey() {
-        const keyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
-        const keyId = crypto.randomBytes(8).toString('hex');
-        this.ephemeralKeys.set(keyId, {
-            keyPair,
-            created: Date.now(),
-            uses: 0
-        });
-        return keyId;
+    generateEphemeralKey(policy) {
+        return this.ephemeralKeys.generate(policy);
+    }
+
+    /**
+     * Export the public half of an ephemeral key, for verifyWithEphemeral() or key agreement.
+     * @param {string} keyId - The ephemeral key ID.
+     * @returns {string} The PEM-encoded public key.
+     * @throws {Error} If the ephemeral key is not found or has expired.
+     */
+    exportEphemeralPublicKey(keyId) {
+        return this.ephemeralKeys.exportPublicKey(keyId);
     }
 
     /**
-     * Sign a message with an ephemeral key.
+     * Sign a message with an ephemeral (Ed25519) key. The key is retired once its policy's
+     * lifetime or use limit is reached.
      * @param {string} message - The message to sign.
      * @param {string} keyId - The ephemeral key ID.
      * @returns {string} The base64-encoded signature.
-     * @throws {Error} If the ephemeral key is not found.
+     * @throws {Error} If the ephemeral key is not found, has expired or cannot sign.
      */
     signWithEphemeral(message, keyId) {
-        const ephemeral = this.ephemeralKeys.get(keyId);
-        if (!ephemeral) {
-            throw new Error('Ephemeral key not found');
-        }
-        ephemeral.uses++;
-        // Auto-expire after 100 uses or 1 hour
-        if (ephemeral.uses > 100 || Date.now() - ephemeral.created > 3600000) {
-            this.ephemeralKeys.delete(keyId);
-        }
-        const signature = crypto.sign('sha256', Buffer.from(message), ephemeral.keyPair.privateKey);
-        return signature.toString('base64');
+        return this.ephemeralKeys.sign(keyId, message);
+    }
+
+    /**
+     * Verify a signature made with signWithEphemeral().
+     * @param {string} message - The signed message.
+     * @param {string} signature - The base64-encoded signature.
+     * @param {string} publicKey - The ephemeral public key (from exportEphemeralPublicKey()).
+     * @returns {boolean} True if the signature is valid.
+     */
+    static verifyWithEphemeral(message, signature, publicKey) {
+        return EphemeralKeyManager.verify(message, signature, publicKey);
     }
 
     /**
-     * Create a zero-knowledge proof of identity for a challenge.
-     * @param {string} challenge - The challenge string.
-     * @returns {string} The proof (SHA-256 hash).
+     * Create a non-interactive zero-knowledge proof that we own our pseudonym: a Schnorr proof
+     * of possession of the identity key, bound to a challenge or context (Fiat-Shamir).
+     * @param {string|Buffer} challenge - The verifier's challenge or the context to bind the proof to.
+     * @returns {{pseudonym: string, publicKey: string, commitment: string, response: string}} The proof.
      */
     createZKProof(challenge) {
-        const proof = crypto.createHash('sha256')
-            .update(this.pseudonym)
-            .update(challenge)
-            .digest('hex');
-        return proof;
+        const proof = Schnorr.prove(this.keyPair.privateKey, AnonymousIdentity.proofMessage(this.pseudonym, challenge));
+        return { pseudonym: this.pseudonym, publicKey: this.exportPublicKey(), ...proof };
     }
 
     /**
-     * Verify a zero-knowledge proof.
-     * @param {string} proof - The proof to verify.
-     * @param {string} challenge - The challenge string.
-     * @param {string} pseudonym - The pseudonym to check against.
-     * @returns {boolean} True if the proof is valid, false otherwise.
+     * Verify a proof created with createZKProof().
+     * @param {object} proof - The proof.
+     * @param {string|Buffer} challenge - The challenge or context the proof must be bound to.
+     * @param {string} pseudonym - The pseudonym the prover claims.
+     * @returns {boolean} True if the prover holds the key behind the pseudonym.
+     */
+    static verifyZKProof(proof, challenge, pseudonym) {
+        try {
+            if (!proof || typeof proof.publicKey !== 'string') return false;
+            if (AnonymousIdentity.derivePseudonym(proof.publicKey) !== pseudonym) return false;
+            return Schnorr.verify(proof.publicKey, AnonymousIdentity.proofMessage(pseudonym, challenge), proof);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Verify a proof created with createZKProof(); same as the static AnonymousIdentity.verifyZKProof().
+     * @param {object} proof - The proof.
+     * @param {string|Buffer} challenge - The challenge or context the proof must be bound to.
+     * @param {string} pseudonym - The pseudonym the prover claims.
+     * @returns {boolean} True if the prover holds the key behind the pseudonym.
      */
     verifyZKProof(proof, challenge, pseudonym) {
-        const expected = crypto.createHash('sha256')
-            .update(pseudonym)
-            .update(challenge)
-            .digest('hex');
-        return proof === expected;
+        return AnonymousIdentity.verifyZKProof(proof, challenge, pseudonym);
+    }
+
+    /**
+     * Start an interactive proof of pseudonym ownership (step 1: commitment).
+     * The commitment must be answered within proofTimeout; beyond maxPendingProofs open proofs,
+     * the oldest is dropped.
+     * @returns {{pseudonym: string, publicKey: string, commitment: string}} The commitment to send to the verifier.
+     */
+    beginZKProof() {
+        const { nonce, commitment } = Schnorr.commit();
+        this.sweepPendingProofs();
+        while (this.pendingProofs.size >= this.maxPendingProofs) {
+            this.pendingProofs.delete(this.pendingProofs.keys().next().value);
+        }
+        this.pendingProofs.set(commitment, { nonce, expires: Date.now() + this.proofTimeout });
+        return { pseudonym: this.pseudonym, publicKey: this.exportPublicKey(), commitment };
+    }
+
+    /**
+     * Answer a verifier's challenge for a commitment from beginZKProof() (step 3: response).
+     * Each commitment can be answered only once; answering twice would leak the private key.
+     * @param {string} commitment - The commitment.
+     * @param {string} challenge - The verifier's challenge (from createZKChallenge()).
+     * @returns {string} The response.
+     * @throws {Error} If the commitment is unknown, expired or was already used.
+     */
+    answerZKChallenge(commitment, challenge) {
+        const pending = this.pendingProofs.get(commitment);
+        this.pendingProofs.delete(commitment);
+        if (!pending || pending.expires <= Date.now()) {
+            throw new Error('Unknown, expired or already used proof commitment');
+        }
+        return Schnorr.respond(this.keyPair.privateKey, pending.nonce, challenge);
+    }
+
+    /**
+     * Drop proof commitments that were not answered in time.
+     * @returns {number} Number of commitments dropped.
+     */
+    sweepPendingProofs() {
+        const now = Date.now();
+        let dropped = 0;
+        for (const [commitment, pending] of this.pendingProofs) {
+            if (pending.expires <= now) {
+                this.pendingProofs.delete(commitment);
+                dropped++;
+            }
+        }
+        return dropped;
+    }
+
+    /**
+     * Pick a random challenge for an interactive proof (step 2).
+     * @returns {string} The challenge.
+     */
+    static createZKChallenge() {
+        return Schnorr.challenge();
+    }
+
+    /**
+     * Verify the response of an interactive proof (step 4).
+     * @param {{pseudonym: string, publicKey: string, commitment: string}} commitment - The prover's commitment message.
+     * @param {string} challenge - The challenge we sent.
+     * @param {string} response - The prover's response.
+     * @returns {boolean} True if the prover holds the key behind the claimed pseudonym.
+     */
+    static verifyZKResponse(commitment, challenge, response) {
+        try {
+            if (AnonymousIdentity.derivePseudonym(commitment.publicKey) !== commitment.pseudonym) return false;
+            return Schnorr.verifyResponse(commitment.publicKey, commitment.commitment, challenge, response);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Build the message a non-interactive proof is bound to.
+     * @param {string} pseudonym - The prover's pseudonym.
+     * @param {string|Buffer} challenge - The challenge or context.
+     * @returns {Buffer} The message.
+     */
+    static proofMessage(pseudonym, challenge) {
+        return Buffer.concat([Buffer.from(`pseudonym:${pseudonym}:`), Buffer.from(challenge)]);
     }
 }
 
-module.exports = AnonymousIdentity; 
\ No newline at end of file
+AnonymousIdentity.PROOF_TIMEOUT = PROOF_TIMEOUT;
+AnonymousIdentity.MAX_PENDING_PROOFS = MAX_PENDING_PROOFS;
+
+module.exports = AnonymousIdentity;
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/**
+ * CoverTraffic sends dummy messages over circuits, so that an observer cannot tell when a node
+ * sends real messages or how many (Loopix-style).
+ * - Loop messages travel to the last hop of a circuit and back. A loop that does not return in
+ *   time means a hop dropped or delayed it, a sign of an active attack, so the circuit is destroyed.
+ * - Drop messages are addressed to a random hop of a circuit, which discards them.
+ * Both streams are Poisson processes (exponential gaps with a configurable rate). They are
+ * sent over the circuits that carry our real traffic, picked at random, so that a guard cannot tell
+ * cover circuits from real ones. Only while no such circuit is open does the generator build its own
+ * with `getCircuit`, and it closes that circuit as soon as a real one can take over. Cover cells
+ * are encrypted like DATA and padded to the same cell size on every link, so no relay that
+ * forwards them and no observer of a link can distinguish them from real messages.
+ * Emits 'loopReturned' (circuitId) when a loop message comes back and 'loopLost' (circuitId) when one
+ * does not, so that the hops of the circuit can be scored.
+ * @extends EventEmitter
+ */
+class CoverTraffic extends EventEmitter {
+    /**
+     * Create a new CoverTraffic generator.
+     * @param {import('./OnionRouter')} router - The router carrying our circuits.
+     * @param {() => Promise<string>} getCircuit - Returns an open circuit to carry cover messages while no real one is open.
+     * @param {object} [options] - Cover traffic settings.
+     * @param {number} [options.loopRate=0.1] - Mean loop messages per second (0 disables them).
+     * @param {number} [options.dropRate=0.1] - Mean drop messages per second (0 disables them).
+     * @param {number} [options.loopTimeout=30000] - Time for a loop message to return (ms).
+     * @param {number} [options.maxPadding=512] - Largest random padding per message (bytes).
+     */
+    constructor(router, getCircuit, options = {}) {
+        super();
+        /** @type {import('./OnionRouter')} */
+        this.router = router;
+        /** @type {() => Promise<string>} */
+        this.getCircuit = getCircuit;
+        /** @type {number} */
+        this.loopRate = options.loopRate !== undefined ? options.loopRate : 0.1; // Messages per second
+        /** @type {number} */
+        this.dropRate = options.dropRate !== undefined ? options.dropRate : 0.1; // Messages per second
+        /** @type {number} */
+        this.loopTimeout = options.loopTimeout || 30000; // ms
+        /** @type {number} */
+        this.maxPadding = options.maxPadding || 512; // bytes
+        /** @type {string|null} */
+        this.fallbackCircuit = null; // Circuit built by getCircuit() while no real circuit was open
+        /** @type {Map<string, {circuitId: string, timer: NodeJS.Timeout}>} */
+        this.pendingLoops = new Map(); // Loop messages in flight, by nonce
+        /** @type {Set<NodeJS.Timeout>} */
+        this.timers = new Set();
+        /** @type {boolean} */
+        this.running = false;
+        /** @type {{loopsSent: number, loopsReturned: number, loopsLost: number, dropsSent: number, failures: number}} */
+        this.counters = { loopsSent: 0, loopsReturned: 0, loopsLost: 0, dropsSent: 0, failures: 0 };
+        this.onLoop = (circuitId, data) => this.handleLoop(circuitId, data);
+        this.onCircuitClosed = (circuitId) => this.forgetCircuit(circuitId);
+    }
+
+    /**
+     * Start sending loop and drop messages.
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.router.on('loop', this.onLoop);
+        this.router.on('circuitClosed', this.onCircuitClosed);
+        this.scheduleNext(this.loopRate, () => this.sendLoop());
+        this.scheduleNext(this.dropRate, () => this.sendDrop());
+    }
+
+    /**
+     * Stop sending cover traffic and forget loop messages in flight.
+     */
+    stop() {
+        this.running = false;
+        this.router.removeListener('loop', this.onLoop);
+        this.router.removeListener('circuitClosed', this.onCircuitClosed);
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        for (const pending of this.pendingLoops.values()) {
+            clearTimeout(pending.timer);
+        }
+        this.pendingLoops.clear();
+        this.fallbackCircuit = null;
+    }
+
+    /**
+     * Schedule the next message of a Poisson stream, then the one after it, until stopped.
+     * @param {number} rate - Mean messages per second (0 disables the stream).
+     * @param {() => Promise<void>} send - Sends one message.
+     */
+    scheduleNext(rate, send) {
+        if (!this.running || rate <= 0) return;
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            send().catch(() => {
+                this.counters.failures++; // No circuit right now (e.g. too few relays); try again next time
+            });
+            this.scheduleNext(rate, send);
+        }, this.sampleDelay(rate));
+        this.timers.add(timer);
+    }
+
+    /**
+     * Send a loop message to the last hop of a circuit and expect it back within `loopTimeout`.
+     * @returns {Promise<void>}
+     */
+    async sendLoop() {
+        const circuitId = await this.selectCircuit();
+        if (!this.running) return;
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const timer = setTimeout(() => this.handleLoopLost(nonce), this.loopTimeout);
+        this.pendingLoops.set(nonce, { circuitId, timer });
+        try {
+            this.router.sendCover(circuitId, 'LOOP', { nonce, padding: this.padding() });
+        } catch (error) {
+            clearTimeout(timer);
+            this.pendingLoops.delete(nonce);
+            throw error;
+        }
+        this.counters.loopsSent++;
+    }
+
+    /**
+     * Send a drop message to a random hop of a circuit.
+     * @returns {Promise<void>}
+     */
+    async sendDrop() {
+        const circuitId = await this.selectCircuit();
+        if (!this.running) return;
+        const circuit = this.router.circuits.get(circuitId);
+        const hopIndex = circuit ? crypto.randomInt(circuit.hops.length) : undefined;
+        this.router.sendCover(circuitId, 'DROP', { nonce: crypto.randomBytes(16).toString('hex'), padding: this.padding() }, hopIndex);
+        this.counters.dropsSent++;
+    }
+
+    /**
+     * Pick the circuit for the next cover message: a random open circuit of ours other than the
+     * fallback, so that cover cells share circuits with real traffic. Without one, fall back to
+     * `getCircuit`; once real circuits are open again, the fallback circuit is closed.
+     * @returns {Promise<string>} The circuit ID.
+     */
+    async selectCircuit() {
+        const circuits = Array.from(this.router.circuits.values())
+            .filter(circuit => circuit.state === 'open' && circuit.id !== this.fallbackCircuit);
+        if (circuits.length > 0) {
+            if (this.fallbackCircuit) {
+                const fallback = this.fallbackCircuit;
+                this.fallbackCircuit = null;
+                this.router.destroyCircuit(fallback, 'cover traffic moved to real circuits');
+            }
+            return circuits[crypto.randomInt(circuits.length)].id;
+        }
+        this.fallbackCircuit = await this.getCircuit();
+        return this.fallbackCircuit;
+    }
+
+    /**
+     * Match a returning loop message to the one we sent and emit 'loopReturned'. Loops we did not
+     * send, or that come back on another circuit, are ignored.
+     * @param {string} circuitId - The circuit it came back on.
+     * @param {{nonce: string}} data - The loop data.
+     */
+    handleLoop(circuitId, data) {
+        const pending = data && this.pendingLoops.get(data.nonce);
+        if (!pending || pending.circuitId !== circuitId) return;
+        clearTimeout(pending.timer);
+        this.pendingLoops.delete(data.nonce);
+        this.counters.loopsReturned++;
+        this.emit('loopReturned', circuitId);
+    }
+
+    /**
+     * Give up on a loop message: destroy the circuit that lost it and emit 'loopLost'.
+     * @param {string} nonce - The loop's nonce.
+     */
+    handleLoopLost(nonce) {
+        const pending = this.pendingLoops.get(nonce);
+        if (!pending) return;
+        this.pendingLoops.delete(nonce);
+        this.counters.loopsLost++;
+        this.emit('loopLost', pending.circuitId);
+        this.router.destroyCircuit(pending.circuitId, 'loop lost');
+    }
+
+    /**
+     * Forget the loop messages of a circuit that closed; they are not counted as lost.
+     * @param {string} circuitId - The circuit ID.
+     */
+    forgetCircuit(circuitId) {
+        if (this.fallbackCircuit === circuitId) {
+            this.fallbackCircuit = null;
+        }
+        for (const [nonce, pending] of this.pendingLoops) {
+            if (pending.circuitId !== circuitId) continue;
+            clearTimeout(pending.timer);
+            this.pendingLoops.delete(nonce);
+        }
+    }
+
+    /**
+     * Generate random padding, so that cover messages vary in length like real ones.
+     * @returns {string} The padding (hex).
+     */
+    padding() {
+        return crypto.randomBytes(crypto.randomInt(Math.floor(this.maxPadding / 2) + 1)).toString('hex');
+    }
+
+    /**
+     * Draw the gap before the next message of a Poisson stream from an exponential distribution.
+     * @param {number} rate - Mean messages per second.
+     * @returns {number} The delay (ms).
+     */
+    sampleDelay(rate) {
+        const uniform = crypto.randomInt(1, 2 ** 32) / 2 ** 32; // In (0, 1), so the logarithm is finite
+        return -Math.log(uniform) * 1000 / rate;
+    }
+
+    /**
+     * Get cover traffic statistics.
+     * @returns {{loopsSent: number, loopsReturned: number, loopsLost: number, loopsPending: number, dropsSent: number, failures: number}} The stats.
+     */
+    getStats() {
+        return { ...this.counters, loopsPending: this.pendingLoops.size };
+    }
+}
+
+module.exports = CoverTraffic;
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/** Key types the manager can generate, and what they are used for. */
+const KEY_TYPES = {
+    ed25519: 'sign',
+    x25519: 'agree'
+};
+
+/**
+ * EphemeralKeyManager issues short-lived keys under a policy (lifetime, use limit, key type),
+ * retires them once either limit is reached, and sweeps expired keys in the background.
+ * Ed25519 keys sign, X25519 keys derive shared secrets.
+ * Emits 'keyExpired' with (keyId, reason) when a key is retired ('lifetime', 'uses' or 'revoked').
+ * @extends EventEmitter
+ */
+class EphemeralKeyManager extends EventEmitter {
+    /**
+     * Create a new EphemeralKeyManager.
+     * @param {object} [policy] - Default policy for new keys.
+     * @param {number} [policy.lifetime=3600000] - How long a key may be used (ms).
+     * @param {number} [policy.maxUses=100] - How many operations a key may perform.
+     * @param {'ed25519'|'x25519'} [policy.type='ed25519'] - Key type.
+     * @param {number} [policy.sweepInterval=60000] - How often expired keys are removed (ms).
+     */
+    constructor(policy = {}) {
+        super();
+        /** @type {{lifetime: number, maxUses: number, type: string}} */
+        this.policy = {
+            lifetime: policy.lifetime || 3600000,
+            maxUses: policy.maxUses || 100,
+            type: policy.type || 'ed25519'
+        };
+        /** @type {number} */
+        this.sweepInterval = policy.sweepInterval || 60000; // ms
+        /** @type {Map<string, {keyPair: {publicKey: crypto.KeyObject, privateKey: crypto.KeyObject}, type: string, created: number, expires: number, uses: number, maxUses: number}>} */
+        this.keys = new Map();
+        /** @type {NodeJS.Timeout|null} */
+        this.sweepTimer = null;
+    }
+
+    /**
+     * Start the background expiry sweep.
+     */
+    start() {
+        if (this.sweepTimer) return;
+        this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+    }
+
+    /**
+     * Stop the background expiry sweep.
+     */
+    stop() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+    }
+
+    /**
+     * Generate a new ephemeral key.
+     * @param {object} [policy] - Overrides of the default policy for this key.
+     * @param {number} [policy.lifetime] - How long the key may be used (ms).
+     * @param {number} [policy.maxUses] - How many operations the key may perform.
+     * @param {'ed25519'|'x25519'} [policy.type] - Key type.
+     * @returns {string} The key ID.
+     * @throws {Error} If the key type is not supported.
+     */
+    generate(policy = {}) {
+        const type = policy.type || this.policy.type;
+        if (!KEY_TYPES[type]) {
+            throw new Error(`Unsupported ephemeral key type ${type}`);
+        }
+        const keyId = crypto.randomBytes(8).toString('hex');
+        const now = Date.now();
+        this.keys.set(keyId, {
+            keyPair: crypto.generateKeyPairSync(type),
+            type,
+            created: now,
+            expires: now + (policy.lifetime || this.policy.lifetime),
+            uses: 0,
+            maxUses: policy.maxUses || this.policy.maxUses
+        });
+        return keyId;
+    }
+
+    /**
+     * Get a live key, retiring it if its lifetime has passed.
+     * @param {string} keyId - The key ID.
+     * @returns {object|null} The key entry, or null if unknown or expired.
+     */
+    get(keyId) {
+        const entry = this.keys.get(keyId);
+        if (!entry) return null;
+        if (entry.expires <= Date.now()) {
+            this.retire(keyId, 'lifetime');
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Export a key's public half so that others can verify its signatures or agree on a secret.
+     * @param {string} keyId - The key ID.
+     * @returns {string} The PEM-encoded (SPKI) public key.
+     * @throws {Error} If the key is not found or has expired.
+     */
+    exportPublicKey(keyId) {
+        return this.use(keyId, null, false).keyPair.publicKey.export({ type: 'spki', format: 'pem' });
+    }
+
+    /**
+     * Sign a message with an Ed25519 ephemeral key. Counts as one use.
+     * @param {string} keyId - The key ID.
+     * @param {string|Buffer} message - The message to sign.
+     * @returns {string} The base64-encoded signature.
+     * @throws {Error} If the key is not found, has expired or cannot sign.
+     */
+    sign(keyId, message) {
+        const entry = this.use(keyId, 'sign');
+        return crypto.sign(null, Buffer.from(message), entry.keyPair.privateKey).toString('base64');
+    }
+
+    /**
+     * Derive a shared secret with an X25519 ephemeral key. Counts as one use.
+     * @param {string} keyId - The key ID.
+     * @param {string|crypto.KeyObject} remotePublicKey - The remote X25519 public key (PEM or KeyObject).
+     * @returns {Buffer} The shared secret.
+     * @throws {Error} If the key is not found, has expired or cannot agree on secrets.
+     */
+    deriveSharedSecret(keyId, remotePublicKey) {
+        const entry = this.use(keyId, 'agree');
+        const publicKey = remotePublicKey instanceof crypto.KeyObject ? remotePublicKey : crypto.createPublicKey(remotePublicKey);
+        return crypto.diffieHellman({ privateKey: entry.keyPair.privateKey, publicKey });
+    }
+
+    /**
+     * Verify a signature made with an Ed25519 ephemeral key.
+     * @param {string|Buffer} message - The signed message.
+     * @param {string} signature - The base64-encoded signature.
+     * @param {string|crypto.KeyObject} publicKey - The ephemeral public key (PEM or KeyObject).
+     * @returns {boolean} True if the signature is valid.
+     */
+    static verify(message, signature, publicKey) {
+        try {
+            const key = publicKey instanceof crypto.KeyObject ? publicKey : crypto.createPublicKey(publicKey);
+            if (key.asymmetricKeyType !== 'ed25519') return false;
+            return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature, 'base64'));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Revoke a key before its policy expires it.
+     * @param {string} keyId - The key ID.
+     * @returns {boolean} True if the key existed.
+     */
+    revoke(keyId) {
+        if (!this.keys.has(keyId)) return false;
+        this.retire(keyId, 'revoked');
+        return true;
+    }
+
+    /**
+     * Remove every key whose lifetime has passed.
+     * @returns {number} The number of keys removed.
+     */
+    sweep() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [keyId, entry] of Array.from(this.keys)) {
+            if (entry.expires <= now) {
+                this.retire(keyId, 'lifetime');
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Look up a key for an operation and count the use; the key is retired after its last allowed use.
+     * @param {string} keyId - The key ID.
+     * @param {'sign'|'agree'|null} purpose - The operation, checked against the key type (null: any).
+     * @param {boolean} [count=true] - Whether the operation counts as a use.
+     * @returns {object} The key entry.
+     * @throws {Error} If the key is not found, has expired or does not fit the purpose.
+     */
+    use(keyId, purpose, count = true) {
+        const entry = this.get(keyId);
+        if (!entry) {
+            throw new Error('Ephemeral key not found');
+        }
+        if (purpose && KEY_TYPES[entry.type] !== purpose) {
+            throw new Error(`Ephemeral ${entry.type} key cannot ${purpose === 'sign' ? 'sign' : 'derive shared secrets'}`);
+        }
+        if (count && ++entry.uses >= entry.maxUses) {
+            this.retire(keyId, 'uses');
+        }
+        return entry;
+    }
+
+    /**
+     * Delete a key and announce it.
+     * @param {string} keyId - The key ID.
+     * @param {string} reason - Why the key was retired.
+     */
+    retire(keyId, reason) {
+        this.keys.delete(keyId);
+        this.emit('keyExpired', keyId, reason);
+    }
+}
+
+module.exports = EphemeralKeyManager;
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStorage = require('./MemoryStorage');
+
+/**
+ * FileStorage keeps DHT records in memory and persists every change to an append-only
+ * JSON-lines log, so stored values survive restarts. On open() the log is replayed and
+ * compacted into a snapshot; it is compacted again whenever it grows well past the live data.
+ * @extends MemoryStorage
+ */
+class FileStorage extends MemoryStorage {
+    /**
+     * Create a new FileStorage instance.
+     * @param {string} filePath - Path of the log file.
+     * @param {object} [options] - Optional configuration.
+     * @param {number} [options.compactThreshold=1000] - Minimum log entries before compaction is considered.
+     */
+    constructor(filePath, options = {}) {
+        super();
+        /** @type {string} */
+        this.filePath = filePath;
+        /** @type {number} */
+        this.compactThreshold = options.compactThreshold || 1000;
+        /** @type {number|null} */
+        this.fd = null;
+        /** @type {number} */
+        this.logEntries = 0;
+    }
+
+    /**
+     * Replay the log into memory and compact it.
+     * @returns {Promise<void>}
+     */
+    async open() {
+        if (this.fd !== null) return;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        if (fs.existsSync(this.filePath)) {
+            const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry.op === 'set') {
+                        this.records.set(entry.key, entry.record);
+                    } else if (entry.op === 'delete') {
+                        this.records.delete(entry.key);
+                    }
+                } catch (error) {
+                    // A torn final line from a crash; everything before it is intact
+                    console.error('Skipping corrupt storage log entry in', this.filePath);
+                }
+            }
+        }
+        this.compact();
+    }
+
+    /**
+     * Flush and close the log file.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.fd === null) return;
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+
+    /**
+     * Store a record and append it to the log.
+     * @param {string} key - The record key.
+     * @param {object} record - The record.
+     * @returns {FileStorage} This storage.
+     */
+    set(key, record) {
+        super.set(key, record);
+        this.append({ op: 'set', key, record });
+        return this;
+    }
+
+    /**
+     * Delete a record and append the deletion to the log.
+     * @param {string} key - The record key.
+     * @returns {boolean} True if a record was deleted.
+     */
+    delete(key) {
+        const deleted = super.delete(key);
+        if (deleted) {
+            this.append({ op: 'delete', key });
+        }
+        return deleted;
+    }
+
+    /**
+     * Append an entry to the log, compacting it when it has grown too large.
+     * @param {object} entry - The log entry.
+     */
+    append(entry) {
+        if (this.fd === null) return;
+        fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+        this.logEntries++;
+        if (this.logEntries > this.compactThreshold && this.logEntries > 2 * this.records.size) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Rewrite the log as a snapshot of the live records (atomically via rename).
+     */
+    compact() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+        }
+        const tmpPath = `${this.filePath}.tmp`;
+        const lines = Array.from(this.records, ([key, record]) => JSON.stringify({ op: 'set', key, record }) + '\n');
+        fs.writeFileSync(tmpPath, lines.join(''), { mode: 0o600 });
+        fs.renameSync(tmpPath, this.filePath);
+        this.fd = fs.openSync(this.filePath, 'a');
+        this.logEntries = this.records.size;
+    }
+}
+
+module.exports = FileStorage;
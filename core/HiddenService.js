@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const AnonymousIdentity = require('./AnonymousIdentity');
+const SignedRecord = require('./SignedRecord');
+
+/** Marks a signed DHT record as a hidden service descriptor. */
+const DESCRIPTOR_TYPE = 'hidden-service';
+
+/**
+ * HiddenService hosts a service reachable by pseudonym without revealing the host's address.
+ * It keeps circuits to a few introduction points open and publishes them to the DHT in a record
+ * signed with the service key, stored under the service pseudonym. When a client introduces itself,
+ * the service builds a circuit to the client's rendezvous point and joins it there (see OnionRouter).
+ * The service key is separate from the node identity, so the service cannot be linked to its host.
+ * Introductions are remembered for the descriptor lifetime and replays of them are dropped, so an
+ * introduction point cannot make the service build circuits to the same rendezvous point again.
+ * Emits 'published' with the descriptor and 'connection' with the circuit ID of each joined client.
+ * @extends EventEmitter
+ */
+class HiddenService extends EventEmitter {
+    /**
+     * Create a new HiddenService.
+     * @param {import('./OnionRouter')} router - The router building our circuits.
+     * @param {import('./KademliaNode')} dht - The DHT the descriptor is published to.
+     * @param {object} options - Service configuration.
+     * @param {(lastHop: string|null) => Promise<Array<string>>} options.selectPath - Picks circuit hops; the last is
+     *     `lastHop`, or a relay of its choosing (the introduction point) if null.
+     * @param {AnonymousIdentity} [options.identity] - The service identity (default: a fresh one).
+     * @param {number} [options.introPoints=3] - Number of introduction points.
+     * @param {number} [options.descriptorTTL=3600000] - Lifetime of the published descriptor (ms).
+     */
+    constructor(router, dht, options) {
+        super();
+        /** @type {import('./OnionRouter')} */
+        this.router = router;
+        /** @type {import('./KademliaNode')} */
+        this.dht = dht;
+        /** @type {(lastHop: string|null) => Promise<Array<string>>} */
+        this.selectPath = options.selectPath;
+        /** @type {AnonymousIdentity} */
+        this.identity = options.identity || new AnonymousIdentity();
+        /** @type {string} */
+        this.pseudonym = this.identity.pseudonym;
+        /** @type {number} */
+        this.introPointCount = options.introPoints || 3;
+        /** @type {number} */
+        this.descriptorTTL = options.descriptorTTL || 3600000; // ms
+        /** @type {Map<string, string>} */
+        this.introCircuits = new Map(); // Circuit ID -> introduction point pseudonym
+        /** @type {Map<string, number>} */
+        this.seenIntroductions = new Map(); // Cookies and client ephemeral keys -> expiry, oldest first
+        /** @type {NodeJS.Timeout|null} */
+        this.publishTimer = null;
+        /** @type {boolean} */
+        this.running = false;
+        this.onIntroduction = (circuitId, data) => {
+            if (!this.introCircuits.has(circuitId)) return;
+            this.handleIntroduction(data).catch((error) => {
+                console.error('Error answering introduction:', error.message);
+            });
+        };
+        this.onCircuitClosed = (circuitId) => this.handleCircuitClosed(circuitId);
+    }
+
+    /**
+     * Open circuits to the introduction points, publish the descriptor and refresh it before it expires.
+     * @returns {Promise<void>}
+     * @throws {Error} If no introduction point could be established.
+     */
+    async start() {
+        if (this.running) return;
+        this.running = true;
+        this.router.on('introduction', this.onIntroduction);
+        this.router.on('circuitClosed', this.onCircuitClosed);
+        await this.establishIntroPoints();
+        if (this.introCircuits.size === 0) {
+            await this.stop();
+            throw new Error('Could not establish any introduction point');
+        }
+        await this.publish();
+        this.publishTimer = setInterval(() => {
+            this.publish().catch(error => console.error('Error publishing hidden service descriptor:', error));
+        }, this.descriptorTTL / 2);
+    }
+
+    /**
+     * Stop publishing and close the introduction circuits.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.running = false;
+        clearInterval(this.publishTimer);
+        this.publishTimer = null;
+        this.router.removeListener('introduction', this.onIntroduction);
+        this.router.removeListener('circuitClosed', this.onCircuitClosed);
+        for (const circuitId of Array.from(this.introCircuits.keys())) {
+            this.introCircuits.delete(circuitId);
+            this.router.destroyCircuit(circuitId, 'service stopped');
+        }
+    }
+
+    /**
+     * Build circuits until the configured number of distinct introduction points is established.
+     * Gives up after twice as many failed attempts.
+     * @returns {Promise<void>}
+     */
+    async establishIntroPoints() {
+        let attempts = 0;
+        while (this.running && this.introCircuits.size < this.introPointCount && attempts < this.introPointCount * 2) {
+            attempts++;
+            let circuitId = null;
+            try {
+                const path = await this.selectPath(null);
+                const introPoint = path[path.length - 1];
+                if (!introPoint || Array.from(this.introCircuits.values()).includes(introPoint)) continue;
+                circuitId = await this.router.buildCircuit(path, { reusable: false });
+                await this.router.establishIntro(circuitId, this.identity);
+                if (!this.running) {
+                    this.router.destroyCircuit(circuitId, 'service stopped');
+                    return;
+                }
+                this.introCircuits.set(circuitId, introPoint);
+            } catch (error) {
+                console.error('Error establishing introduction point:', error.message);
+                if (circuitId) this.router.destroyCircuit(circuitId, 'introduction failed');
+            }
+        }
+    }
+
+    /**
+     * Publish the current introduction points under the service pseudonym.
+     * The sequence number is the publication time, so a restarted service still supersedes its old record.
+     * @returns {Promise<object>} The published descriptor.
+     */
+    async publish() {
+        const descriptor = {
+            type: DESCRIPTOR_TYPE,
+            introPoints: Array.from(this.introCircuits.values()),
+            published: Date.now()
+        };
+        const record = SignedRecord.create(this.identity.keyPair, descriptor, { seq: descriptor.published });
+        await this.dht.storeSigned(record, { ttl: this.descriptorTTL });
+        this.emit('published', descriptor);
+        return descriptor;
+    }
+
+    /**
+     * Answer a client's introduction: decrypt it with the service key, build a circuit to the
+     * rendezvous point it names and join the client there. Emits 'connection'.
+     * @param {{introduction: object}} data - The INTRODUCE data.
+     * @returns {Promise<void>}
+     * @throws {Error} If the introduction is malformed or replayed, or the rendezvous fails.
+     */
+    async handleIntroduction(data) {
+        const request = this.router.decryptLayer(data.introduction, this.identity.keyPair.privateKey);
+        if (typeof request.rendezvousPoint !== 'string' || typeof request.cookie !== 'string' ||
+            typeof request.ephemeralKey !== 'string') {
+            throw new Error('Malformed introduction');
+        }
+        if (!this.rememberIntroduction(request)) {
+            throw new Error('Replayed introduction');
+        }
+        const circuitId = await this.router.buildCircuit(await this.selectPath(request.rendezvousPoint), { reusable: false });
+        try {
+            await this.router.acceptRendezvous(circuitId, request, this.pseudonym);
+        } catch (error) {
+            this.router.destroyCircuit(circuitId, 'rendezvous failed');
+            throw error;
+        }
+        this.emit('connection', circuitId);
+    }
+
+    /**
+     * Record an introduction's cookie and ephemeral key until the descriptor it was made from has
+     * expired, forgetting those recorded longer ago.
+     * @param {{cookie: string, ephemeralKey: string}} request - The decrypted introduction.
+     * @returns {boolean} False if either was seen before (a replay).
+     */
+    rememberIntroduction(request) {
+        const now = Date.now();
+        for (const [key, expires] of this.seenIntroductions) {
+            if (expires > now) break;
+            this.seenIntroductions.delete(key);
+        }
+        const keys = [`cookie:${request.cookie}`, `key:${request.ephemeralKey}`];
+        if (keys.some(key => this.seenIntroductions.has(key))) {
+            return false;
+        }
+        for (const key of keys) {
+            this.seenIntroductions.set(key, now + this.descriptorTTL);
+        }
+        return true;
+    }
+
+    /**
+     * Replace an introduction point whose circuit has closed, and publish the new set.
+     * @param {string} circuitId - The closed circuit.
+     */
+    handleCircuitClosed(circuitId) {
+        if (!this.introCircuits.delete(circuitId) || !this.running) return;
+        this.establishIntroPoints()
+            .then(() => this.publish())
+            .catch(error => console.error('Error replacing introduction point:', error));
+    }
+
+    /**
+     * Look up a hidden service descriptor by pseudonym. The record is stored under the pseudonym
+     * itself (a signed record with an empty salt), so only the service key holder can publish it.
+     * @param {import('./KademliaNode')} dht - The DHT to search.
+     * @param {string} pseudonym - The service pseudonym.
+     * @returns {Promise<{pseudonym: string, publicKey: crypto.KeyObject, introPoints: Array<string>}|null>}
+     *     The service, or null if no valid descriptor exists.
+     */
+    static async lookup(dht, pseudonym) {
+        const record = await dht.retrieveSigned(pseudonym);
+        if (!record || record.salt !== '' || !record.v || record.v.type !== DESCRIPTOR_TYPE ||
+            !Array.isArray(record.v.introPoints)) {
+            return null;
+        }
+        const publicKey = crypto.createPublicKey({ key: Buffer.from(record.k, 'base64'), format: 'der', type: 'spki' });
+        if (AnonymousIdentity.derivePseudonym(publicKey) !== pseudonym) return null;
+        const introPoints = record.v.introPoints.filter(id => typeof id === 'string');
+        return introPoints.length > 0 ? { pseudonym, publicKey, introPoints } : null;
+    }
+}
+
+module.exports = HiddenService;
@@ -1,45 +1,234 @@
 const crypto = require('crypto');
 const dgram = require('dgram');
+const net = require('net');
 const EventEmitter = require('events');
+const MemoryStorage = require('./MemoryStorage');
+const SignedRecord = require('./SignedRecord');
+const AbuseGuard = require('./AbuseGuard');
+const MessageValidator = require('./MessageValidator');
+const AnonymousIdentity = require('./AnonymousIdentity');
+const PathSelector = require('./PathSelector');
+
+/** Message types that answer an earlier request and are matched by rpcId. */
+const RESPONSE_TYPES = new Set(['PONG', 'STORE_ACK', 'NODES', 'FOUND', 'NAT_PUNCH_ACK']);
+/** Largest number of unknown senders being pinged back before they enter the routing table. */
+const MAX_PENDING_VERIFICATIONS = 64;
 
 /**
  * KademliaNode implements a distributed hash table (DHT) node for peer discovery and decentralized storage.
  * Handles UDP communication, routing table management, and DHT operations.
+ * Incoming messages pass through an AbuseGuard (size limit, per-IP rate limit, schema validation),
+ * stored records are charged to their sender's storage quota, and a sender only enters the routing
+ * table once it has answered a request from us at its source address.
+ * With a ReputationManager, answered and timed-out RPCs, stored records and forged values are
+ * scored, full buckets evict their lowest-scored node first and distrusted nodes are not kept.
+ * Sybil and eclipse resistance (S/Kademlia):
+ * - The node ID is the pseudonym of an identity key (the hash of its public key). Every message
+ *   carries the sender's public key and a signature, so a node cannot claim an ID it holds no key for,
+ *   and responses are signed together with the request's rpcId so they cannot be replayed.
+ * - Optionally, IDs must solve a static crypto puzzle (`idDifficulty`), which makes generating IDs
+ *   next to a chosen key expensive.
+ * - Optionally, a bucket (and its replacement cache) holds at most `maxPerSubnet` contacts from one subnet.
+ *   This is off by default: on a single host or LAN every node shares a subnet and the routing table
+ *   would stay tiny. Nodes on the open Internet should set it (2 is a good value).
+ * - Sensitive retrievals (signed records, and retrieve() with `disjoint`) run `disjointPaths` lookups
+ *   that never query the same node, so one path free of attackers is enough to find the value.
+ * A node without a routing table of its own (a leaf of the structured mesh) can run its stores,
+ * retrievals and lookups on another node through a proxy (see setProxy()); values it gets back
+ * are still checked locally.
  * @extends EventEmitter
  */
 class KademliaNode extends EventEmitter {
     /**
      * Create a new KademliaNode instance.
-     * @param {string} nodeId - The node's unique ID (optional).
-     * @param {number} port - The UDP port to bind to (default 3000).
+     * @param {string} [nodeId] - The node's ID; must be the pseudonym of the identity if given.
+     * @param {number} port - The UDP port to bind to on start() (default 3000, 0 for an ephemeral port).
+     * @param {object} [options] - Optional configuration.
+     * @param {number} [options.rpcTimeout=5000] - Time to wait for an RPC response (ms).
+     * @param {number} [options.staleThreshold=3] - Consecutive failed RPCs before a node is removed.
+     * @param {number} [options.refreshInterval=3600000] - Refresh buckets not looked up for this long (ms).
+     * @param {MemoryStorage} [options.storage] - Storage backend for DHT records (default in-memory).
+     * @param {number} [options.defaultTTL=3600000] - Lifetime of records stored without an explicit TTL (ms).
+     * @param {number} [options.maxRecordTTL=604800000] - Longest lifetime accepted for any record (ms).
+     * @param {number} [options.sweepInterval=60000] - How often expired records are deleted (ms).
+     * @param {number} [options.replicateInterval=3600000] - How often stored records are replicated to the closest nodes (ms).
+     * @param {number} [options.republishInterval=3600000] - How often our own published records are republished (ms).
+     * @param {AbuseGuard} [options.guard] - Protection layer shared with other transports (default: a new one built from `protection`).
+     * @param {object} [options.protection] - AbuseGuard settings, if no guard is given.
+     * @param {AnonymousIdentity} [options.identity] - Identity whose key signs our messages and whose pseudonym is our node ID (default: a new one).
+     * @param {number} [options.idDifficulty=0] - Leading zero bits node IDs must have in their puzzle hash (see AnonymousIdentity.meetsDifficulty()).
+     * @param {number} [options.maxPerSubnet=0] - Contacts from one /16 subnet (/32 for IPv6) per bucket; 0 for no limit.
+     * @param {number} [options.disjointPaths=3] - Disjoint lookup paths for sensitive retrievals.
+     * @param {import('./ReputationManager')} [options.reputation] - Peer scores, updated from RPC outcomes and used for evictions.
+     * @throws {Error} If nodeId is not the identity's pseudonym, or the pseudonym does not meet idDifficulty.
      */
-    constructor(nodeId, port = 3000) {
+    constructor(nodeId, port = 3000, options = {}) {
         super();
+        /** @type {number} */
+        this.idDifficulty = options.idDifficulty || 0; // bits
+        /** @type {AnonymousIdentity} */
+        this.identity = options.identity || new AnonymousIdentity({ idDifficulty: this.idDifficulty });
+        if (nodeId && nodeId !== this.identity.pseudonym) {
+            throw new Error('Node ID must be the pseudonym of the identity');
+        }
+        if (!AnonymousIdentity.meetsDifficulty(this.identity.pseudonym, this.idDifficulty)) {
+            throw new Error(`Node ID does not meet the required difficulty of ${this.idDifficulty} bits`);
+        }
         /** @type {string} */
-        this.nodeId = nodeId || crypto.randomBytes(20).toString('hex');
+        this.nodeId = this.identity.pseudonym;
         /** @type {number} */
         this.port = port;
-        /** @type {Array<Array<{id: string, address: string, lastSeen: number}>>} */
-        this.buckets = new Array(160).fill(null).map(() => []);
-        /** @type {Map<string, {value: any, timestamp: number, ttl: number}>} */
-        this.storage = new Map();
+        /** @type {Array<Array<{id: string, address: string, lastSeen: number, failures: number}>>} */
+        this.buckets = new Array(160).fill(null).map(() => []); // Most recently seen first
+        /** @type {Array<Array<{id: string, address: string, lastSeen: number, failures: number}>>} */
+        this.replacements = new Array(160).fill(null).map(() => []); // Per-bucket replacement cache
+        /** @type {Array<number>} */
+        this.bucketLookups = new Array(160).fill(0); // Time of the last lookup per bucket
+        /** @type {Set<string>} */
+        this.pendingEvictions = new Set(); // Nodes currently being pinged before eviction
+        /** @type {MemoryStorage} */
+        this.storage = options.storage || new MemoryStorage(); // Records: {value, timestamp, ttl, publisher, replicatedAt, signed}
         /** @type {number} */
         this.alpha = 3; // Concurrency parameter
         /** @type {number} */
         this.k = 20; // Bucket size
-        /** @type {dgram.Socket} */
-        this.socket = dgram.createSocket('udp4');
+        /** @type {number} */
+        this.rpcTimeout = options.rpcTimeout || 5000; // ms
+        /** @type {number} */
+        this.staleThreshold = options.staleThreshold || 3; // Failed RPCs before a node is stale
+        /** @type {number} */
+        this.refreshInterval = options.refreshInterval || 3600000; // ms without lookups before a bucket refresh
+        /** @type {number} */
+        this.defaultTTL = options.defaultTTL || 3600000; // ms
+        /** @type {number} */
+        this.maxRecordTTL = options.maxRecordTTL || 7 * 24 * 3600000; // ms
+        /** @type {number} */
+        this.sweepInterval = options.sweepInterval || 60000; // ms
+        /** @type {number} */
+        this.replicateInterval = options.replicateInterval || 3600000; // ms
+        /** @type {number} */
+        this.republishInterval = options.republishInterval || 3600000; // ms
+        /** @type {Array<NodeJS.Timeout>} */
+        this.maintenanceTimers = [];
+        /** @type {Map<string, {resolve: Function, reject: Function, timer: NodeJS.Timeout, address: string, type: string}>} */
+        this.pendingRequests = new Map();
+        /** @type {AbuseGuard} */
+        this.guard = options.guard || new AbuseGuard(options.protection);
+        /** @type {Map<string, {records: number, bytes: number}>} */
+        this.storageUsage = new Map(); // Records stored for each remote sender, checked against the quotas
+        /** @type {Set<string>} */
+        this.pendingVerifications = new Set(); // Addresses of unknown senders being pinged back
+        /** @type {number} */
+        this.maxPerSubnet = options.maxPerSubnet || 0; // Per bucket, 0 for no limit
+        /** @type {number} */
+        this.disjointPaths = options.disjointPaths || 3;
+        /** @type {import('./ReputationManager')|null} */
+        this.reputation = options.reputation || null;
+        /** @type {((operation: string, args: Array<any>) => Promise<any>)|null} */
+        this.proxy = null; // Runs store, retrieve and lookup operations on another node
+        /** @type {dgram.Socket|null} */
+        this.socket = null; // Created by start()
+    }
+
+    /**
+     * Bind the UDP socket and start serving DHT requests. Port 0 binds an ephemeral port.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.socket) return;
+        await this.storage.open();
+        this.countStorageUsage();
+        this.sweepExpired();
         this.setupSocket();
+        await new Promise((resolve, reject) => {
+            this.socket.once('error', reject);
+            this.socket.bind(this.port, () => {
+                this.socket.off('error', reject);
+                resolve();
+            });
+        }).catch((error) => {
+            this.socket.close();
+            this.socket = null;
+            throw error;
+        });
+        this.port = this.socket.address().port;
+        this.maintenanceTimers = [
+            setInterval(() => {
+                this.refreshBuckets().catch(error => console.error('Bucket refresh failed:', error));
+            }, Math.min(this.refreshInterval, 600000)),
+            setInterval(() => this.sweepExpired(), this.sweepInterval),
+            setInterval(() => {
+                this.replicateRecords().catch(error => console.error('Replication failed:', error));
+            }, this.replicateInterval),
+            setInterval(() => {
+                this.republishOwnRecords().catch(error => console.error('Republish failed:', error));
+            }, this.republishInterval)
+        ];
+        this.emit('listening', this.port);
+    }
+
+    /**
+     * Stop the node: reject pending requests and close the UDP socket.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.socket) return;
+        this.maintenanceTimers.forEach(timer => clearInterval(timer));
+        this.maintenanceTimers = [];
+        for (const [rpcId, pending] of this.pendingRequests) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error('DHT node stopped'));
+            this.pendingRequests.delete(rpcId);
+        }
+        const socket = this.socket;
+        this.socket = null;
+        await new Promise(resolve => socket.close(resolve));
+        await this.storage.close();
+        this.emit('closed');
     }
 
     /**
      * Set up the UDP socket to listen for incoming DHT messages.
      */
     setupSocket() {
+        this.socket = dgram.createSocket('udp4');
         this.socket.on('message', (msg, rinfo) => {
             this.handleMessage(msg, rinfo);
         });
-        this.socket.bind(this.port);
+        this.socket.on('error', (error) => {
+            console.error('DHT socket error:', error);
+        });
+    }
+
+    /**
+     * Join the network through seed nodes: ping the seeds, look up our own ID to fill the
+     * routing table, then refresh every bucket farther away than our closest neighbor.
+     * Emits 'ready' once the routing table is populated.
+     * @param {Array<string>} seedAddresses - Seed node addresses (host:port).
+     * @returns {Promise<number>} The number of contacts in the routing table.
+     * @throws {Error} If seeds were given but none of them answered.
+     */
+    async bootstrap(seedAddresses = []) {
+        if (seedAddresses.length > 0) {
+            const results = await Promise.allSettled(seedAddresses.map(address => this.ping(address)));
+            if (!results.some(result => result.status === 'fulfilled')) {
+                throw new Error('No bootstrap seed responded');
+            }
+        }
+        await this.iterativeFindNode(this.nodeId);
+        let closestBucket = -1;
+        for (let i = this.buckets.length - 1; i >= 0; i--) {
+            if (this.buckets[i].length > 0) {
+                closestBucket = i;
+                break;
+            }
+        }
+        for (let i = 0; i < closestBucket; i++) {
+            await this.iterativeFindNode(this.randomIdInBucket(i));
+        }
+        const contacts = this.buckets.reduce((total, bucket) => total + bucket.length, 0);
+        this.emit('ready', contacts);
+        return contacts;
     }
 
     /**
@@ -77,7 +266,52 @@ class KademliaNode extends EventEmitter {
     }
 
     /**
-     * Add a node to the routing table.
+     * Change our node ID after a rotation of the identity's pseudonym, and re-sort every known
+     * contact into the buckets of the new ID. Stored records are kept.
+     * @param {string} nodeId - The new node ID (hex string).
+     * @throws {Error} If nodeId is not the identity's current pseudonym.
+     */
+    setNodeId(nodeId) {
+        if (nodeId !== this.identity.pseudonym) {
+            throw new Error('Node ID must be the pseudonym of the identity');
+        }
+        const byLastSeen = (a, b) => b.lastSeen - a.lastSeen;
+        const contacts = this.buckets.flat().sort(byLastSeen);
+        const replacements = this.replacements.flat().sort(byLastSeen);
+        this.nodeId = nodeId;
+        this.buckets = new Array(160).fill(null).map(() => []);
+        this.replacements = new Array(160).fill(null).map(() => []);
+        this.bucketLookups = new Array(160).fill(0);
+        for (const contact of contacts.concat(replacements)) {
+            if (contact.id === nodeId) continue;
+            const bucketIndex = this.getBucketIndex(contact.id);
+            const bucket = this.buckets[bucketIndex];
+            const cache = this.replacements[bucketIndex];
+            if (bucket.length < this.k && !this.subnetFull(bucket, contact.address)) {
+                bucket.push(contact);
+            } else if (cache.length < this.k && !this.subnetFull(cache, contact.address)) {
+                cache.push(contact);
+            }
+        }
+    }
+
+    /**
+     * Run store(), storeSigned(), retrieve(), retrieveSigned() and iterativeFindNode() on another
+     * node instead of through our own routing table, or go back to running them locally.
+     * The proxy is called with the operation ('store', 'storeSigned', 'retrieve', 'retrieveSigned'
+     * or 'findNode') and its JSON-serializable arguments, and resolves with the operation's result.
+     * @param {((operation: string, args: Array<any>) => Promise<any>)|null} proxy - The proxy, or null.
+     */
+    setProxy(proxy) {
+        this.proxy = proxy || null;
+    }
+
+    /**
+     * Add or refresh a node in the routing table, following Kademlia's eviction policy:
+     * known nodes move to the head of their bucket; when a bucket is full the newcomer goes
+     * to the replacement cache and the eviction candidate is pinged, and only evicted if it
+     * fails to answer (see pingEvictionCandidate()). Newcomers from a subnet that already has maxPerSubnet contacts in
+     * the bucket are ignored.
      * @param {string} nodeId - The node's ID.
      * @param {string} address - The node's address (host:port).
      */
@@ -87,10 +321,159 @@ class KademliaNode extends EventEmitter {
         const existingIndex = bucket.findIndex(node => node.id === nodeId);
         if (existingIndex !== -1) {
             bucket.splice(existingIndex, 1);
+            bucket.unshift({ id: nodeId, address, lastSeen: Date.now(), failures: 0 });
+            return;
+        }
+        if (this.subnetFull(bucket, address)) return;
+        if (bucket.length < this.k) {
+            bucket.unshift({ id: nodeId, address, lastSeen: Date.now(), failures: 0 });
+            return;
+        }
+        this.addReplacement(bucketIndex, nodeId, address);
+        this.pingEvictionCandidate(bucketIndex);
+    }
+
+    /**
+     * Remember a node in a bucket's replacement cache (most recently seen first).
+     * @param {number} bucketIndex - The bucket index.
+     * @param {string} nodeId - The node's ID.
+     * @param {string} address - The node's address (host:port).
+     */
+    addReplacement(bucketIndex, nodeId, address) {
+        const cache = this.replacements[bucketIndex];
+        const existingIndex = cache.findIndex(node => node.id === nodeId);
+        if (existingIndex !== -1) {
+            cache.splice(existingIndex, 1);
+        } else if (this.subnetFull(cache, address)) {
+            return;
+        }
+        cache.unshift({ id: nodeId, address, lastSeen: Date.now(), failures: 0 });
+        if (cache.length > this.k) {
+            cache.pop();
+        }
+    }
+
+    /**
+     * Check whether a bucket or replacement cache already holds maxPerSubnet contacts from the
+     * subnet of an address, so that one attacker's network cannot fill it.
+     * @param {Array<{address: string}>} contacts - The bucket or cache.
+     * @param {string} address - The address (host:port).
+     * @returns {boolean} True if no more contacts from that subnet may be added.
+     */
+    subnetFull(contacts, address) {
+        if (!this.maxPerSubnet) return false;
+        const subnet = PathSelector.subnet(address);
+        return contacts.filter(node => PathSelector.subnet(node.address) === subnet).length >= this.maxPerSubnet;
+    }
+
+    /**
+     * Ping the eviction candidate of a full bucket, the node with the lowest reputation (the
+     * least-recently-seen one among equals), and evict it if it does not answer. A distrusted
+     * candidate is evicted without a ping. A successful PONG moves it back to the head of the
+     * bucket via addNode.
+     * @param {number} bucketIndex - The bucket index.
+     */
+    pingEvictionCandidate(bucketIndex) {
+        const bucket = this.buckets[bucketIndex];
+        let candidate = bucket[bucket.length - 1];
+        if (this.reputation) {
+            for (let i = bucket.length - 2; i >= 0; i--) {
+                if (this.reputation.getScore(bucket[i].id) < this.reputation.getScore(candidate.id)) candidate = bucket[i];
+            }
+        }
+        if (!candidate || this.pendingEvictions.has(candidate.id)) return;
+        if (this.reputation && this.reputation.isDistrusted(candidate.id)) {
+            this.removeNode(candidate.id);
+            return;
+        }
+        this.pendingEvictions.add(candidate.id);
+        this.ping(candidate.address)
+            .catch(() => this.removeNode(candidate.id))
+            .finally(() => this.pendingEvictions.delete(candidate.id));
+    }
+
+    /**
+     * Record a failed RPC to a node; after staleThreshold consecutive failures
+     * the node is considered stale and replaced from the replacement cache.
+     * @param {string} nodeId - The node's ID.
+     */
+    markNodeFailed(nodeId) {
+        this.observe(nodeId, 'rpcFailure');
+        const bucket = this.buckets[this.getBucketIndex(nodeId)];
+        const node = bucket.find(entry => entry.id === nodeId);
+        if (!node) return;
+        node.failures = (node.failures || 0) + 1;
+        if (node.failures >= this.staleThreshold) {
+            this.removeNode(nodeId);
+        }
+    }
+
+    /**
+     * Remove a node from the routing table and promote the replacement with the best reputation
+     * (the freshest among equals) whose subnet is not full in the bucket. Distrusted replacements
+     * are not promoted.
+     * @param {string} nodeId - The node's ID.
+     */
+    removeNode(nodeId) {
+        const bucketIndex = this.getBucketIndex(nodeId);
+        const bucket = this.buckets[bucketIndex];
+        const index = bucket.findIndex(node => node.id === nodeId);
+        if (index === -1) return;
+        bucket.splice(index, 1);
+        const cache = this.replacements[bucketIndex];
+        const score = node => (this.reputation ? this.reputation.getScore(node.id) : 0);
+        let replacementIndex = -1;
+        cache.forEach((node, i) => {
+            if (this.subnetFull(bucket, node.address) || (this.reputation && this.reputation.isDistrusted(node.id))) return;
+            if (replacementIndex === -1 || score(node) > score(cache[replacementIndex])) replacementIndex = i;
+        });
+        if (replacementIndex !== -1) {
+            bucket.unshift(cache.splice(replacementIndex, 1)[0]);
         }
-        bucket.unshift({ id: nodeId, address, lastSeen: Date.now() });
-        if (bucket.length > this.k) {
-            bucket.pop();
+    }
+
+    /**
+     * Record an observation of a node with the reputation manager, if there is one.
+     * @param {string} nodeId - The node's ID.
+     * @param {string} observation - What we observed (see ReputationManager.OBSERVATIONS).
+     */
+    observe(nodeId, observation) {
+        if (this.reputation && nodeId !== this.nodeId) {
+            this.reputation.record(nodeId, observation);
+        }
+    }
+
+    /**
+     * Generate a random ID that falls into the given bucket.
+     * @param {number} bucketIndex - The bucket index (first differing bit from our ID).
+     * @returns {string} The random ID (hex string).
+     */
+    randomIdInBucket(bucketIndex) {
+        const own = Buffer.from(this.nodeId, 'hex');
+        const byteIndex = Math.floor(bucketIndex / 8);
+        if (byteIndex >= own.length) return this.nodeId;
+        const bucketBit = 1 << (7 - (bucketIndex % 8));
+        const prefixMask = (0xff << (8 - (bucketIndex % 8))) & 0xff;
+        // Keep the shared prefix, flip the bucket bit, leave the remaining bits random
+        const id = crypto.randomBytes(own.length);
+        own.copy(id, 0, 0, byteIndex);
+        id[byteIndex] = (own[byteIndex] & prefixMask)
+            | (~own[byteIndex] & bucketBit)
+            | (id[byteIndex] & (bucketBit - 1));
+        return id.toString('hex');
+    }
+
+    /**
+     * Refresh every non-empty bucket that has not been looked up within refreshInterval
+     * by running a FIND_NODE lookup for a random ID in its range.
+     * @returns {Promise<void>}
+     */
+    async refreshBuckets() {
+        const now = Date.now();
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (this.buckets[i].length === 0) continue;
+            if (now - this.bucketLookups[i] < this.refreshInterval) continue;
+            await this.iterativeFindNode(this.randomIdInBucket(i)).catch(() => {});
         }
     }
 
@@ -112,149 +495,783 @@ class KademliaNode extends EventEmitter {
     }
 
     /**
-     * Store a value in the DHT and replicate to closest nodes.
+     * Hash an application key into the DHT key space.
+     * @param {string} key - The application key.
+     * @returns {string} The SHA-1 key hash (hex string).
+     */
+    hashKey(key) {
+        return crypto.createHash('sha1').update(key).digest('hex');
+    }
+
+    /**
+     * Store a value in the DHT and replicate to the k closest nodes found by an iterative lookup.
+     * We remain the value's original publisher and republish it until it expires.
      * @param {string} key - The key to store.
      * @param {any} value - The value to store.
+     * @param {object} [options] - Optional settings.
+     * @param {number} [options.ttl=this.defaultTTL] - How long the value lives (ms), capped at maxRecordTTL.
      * @returns {Promise<void>}
+     * @throws {Error} If the value is larger than the guard's maxRecordSize.
      */
-    async store(key, value) {
-        const keyHash = crypto.createHash('sha1').update(key).digest('hex');
-        this.storage.set(keyHash, {
+    async store(key, value, options = {}) {
+        this.checkRecordSize(value);
+        const keyHash = this.hashKey(key);
+        const ttl = Math.min(options.ttl || this.defaultTTL, this.maxRecordTTL);
+        if (this.proxy) {
+            await this.proxy('store', [key, value, { ttl }]);
+            return;
+        }
+        const record = {
             value,
             timestamp: Date.now(),
-            ttl: 3600000 // 1 hour
-        });
-        const closestNodes = this.findClosestNodes(keyHash);
-        for (const node of closestNodes.slice(0, this.k)) {
-            await this.sendStore(node.address, keyHash, value);
+            ttl,
+            publisher: true,
+            replicatedAt: Date.now()
+        };
+        this.putRecord(keyHash, record);
+        await this.replicateRecord(keyHash, record);
+    }
+
+    /**
+     * Store a signed mutable record under its target (hash of the signer's key and salt) and
+     * replicate it. Nodes only accept it if the signature is valid and its sequence number is
+     * not lower than the one they already hold.
+     * @param {{k: string, salt: string, seq: number, v: any, sig: string}} signedRecord - A record from SignedRecord.create().
+     * @param {object} [options] - Optional settings.
+     * @param {number} [options.ttl=this.defaultTTL] - How long the record lives (ms), capped at maxRecordTTL.
+     * @returns {Promise<string>} The record's target key hash.
+     * @throws {Error} If the record is invalid, too large or older than the one stored locally.
+     */
+    async storeSigned(signedRecord, options = {}) {
+        this.checkRecordSize(signedRecord);
+        const keyHash = SignedRecord.target(signedRecord.k, signedRecord.salt);
+        const rejection = this.checkSignedRecord(keyHash, signedRecord);
+        if (rejection) {
+            throw new Error(`Signed record rejected: ${rejection}`);
+        }
+        const ttl = Math.min(options.ttl || this.defaultTTL, this.maxRecordTTL);
+        if (this.proxy) {
+            await this.proxy('storeSigned', [signedRecord, { ttl }]);
+            return keyHash;
         }
+        const record = {
+            value: signedRecord,
+            timestamp: Date.now(),
+            ttl,
+            publisher: true,
+            replicatedAt: Date.now(),
+            signed: true
+        };
+        this.putRecord(keyHash, record);
+        await this.replicateRecord(keyHash, record);
+        return keyHash;
     }
 
     /**
-     * Retrieve a value from the DHT.
+     * Retrieve the newest valid signed record for a target. Unlike retrieve(), this asks all
+     * of the k closest nodes, since an old copy may still live on some of them, and finds them
+     * with disjoint lookups, since an attacker could otherwise hide the record. A record returned
+     * by the proxy is verified here too.
+     * @param {string} target - The target key hash (see SignedRecord.target()).
+     * @returns {Promise<{k: string, salt: string, seq: number, v: any, sig: string}|null>} The record with the highest sequence number, or null.
+     */
+    async retrieveSigned(target) {
+        const candidates = [];
+        const stored = this.getRecord(target);
+        if (stored && stored.signed) {
+            candidates.push(stored.value);
+        }
+        if (this.proxy) {
+            candidates.push(await this.proxy('retrieveSigned', [target]));
+        } else {
+            const { nodes } = await this.iterativeFindNode(target, { disjoint: true });
+            const results = await Promise.allSettled(nodes.map(node => this.sendFindValue(node.address, target)));
+            results.forEach((result, i) => {
+                if (result.status !== 'fulfilled' || !result.value.found) return;
+                const valid = SignedRecord.verify(result.value.value, target);
+                this.observe(nodes[i].id, valid ? 'validSignature' : 'invalidSignature');
+                if (valid) candidates.push(result.value.value);
+            });
+        }
+        return candidates
+            .filter(record => SignedRecord.verify(record, target))
+            .reduce((best, record) => (!best || record.seq > best.seq ? record : best), null);
+    }
+
+    /**
+     * Check whether a signed record may replace what we store under its target.
+     * @param {string} keyHash - The key hash the record is being stored under.
+     * @param {object} signedRecord - The signed record.
+     * @returns {string|null} The reason for rejecting it, or null if it is acceptable.
+     */
+    checkSignedRecord(keyHash, signedRecord) {
+        if (!SignedRecord.verify(signedRecord, keyHash)) {
+            return 'invalid signature';
+        }
+        const existing = this.getRecord(keyHash);
+        if (existing && existing.signed) {
+            if (signedRecord.seq < existing.value.seq) {
+                return 'sequence number too low';
+            }
+            if (signedRecord.seq === existing.value.seq
+                && JSON.stringify(signedRecord.v) !== JSON.stringify(existing.value.v)) {
+                return 'sequence number reused for a different value';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Retrieve a value from the DHT, falling back to an iterative FIND_VALUE lookup.
      * @param {string} key - The key to retrieve.
+     * @param {object} [options] - Lookup settings.
+     * @param {boolean} [options.disjoint=false] - Use disjoint lookup paths (for sensitive values).
+     * @param {(value: any) => boolean} [options.accept] - Check a value (e.g. its signature); values it rejects are ignored and the lookup goes on.
      * @returns {Promise<any|null>} The value, or null if not found.
      */
-    async retrieve(key) {
-        const keyHash = crypto.createHash('sha1').update(key).digest('hex');
-        if (this.storage.has(keyHash)) {
-            const stored = this.storage.get(keyHash);
-            if (Date.now() - stored.timestamp < stored.ttl) {
-                return stored.value;
+    async retrieve(key, options = {}) {
+        const keyHash = this.hashKey(key);
+        const stored = this.getRecord(keyHash);
+        if (stored && (!options.accept || options.accept(stored.value))) {
+            return stored.value;
+        }
+        if (this.proxy) {
+            const value = await this.proxy('retrieve', [key, { disjoint: !!options.disjoint }]);
+            return value !== null && value !== undefined && (!options.accept || options.accept(value)) ? value : null;
+        }
+        const result = await this.iterativeFindValue(keyHash, options);
+        return result.found ? result.value : null;
+    }
+
+    /**
+     * Get a live record from local storage, deleting it if it has expired.
+     * @param {string} keyHash - The key hash.
+     * @returns {{value: any, timestamp: number, ttl: number}|null} The record, or null.
+     */
+    getRecord(keyHash) {
+        const record = this.storage.get(keyHash);
+        if (!record) return null;
+        if (this.remainingTTL(record) <= 0) {
+            this.deleteRecord(keyHash);
+            return null;
+        }
+        return record;
+    }
+
+    /**
+     * Time left before a record expires.
+     * @param {{timestamp: number, ttl: number}} record - The record.
+     * @returns {number} Remaining lifetime (ms), zero or negative once expired.
+     */
+    remainingTTL(record) {
+        return record.timestamp + record.ttl - Date.now();
+    }
+
+    /**
+     * Get the serialized size of a value, as counted against size limits and quotas.
+     * @param {any} value - The value.
+     * @returns {number} The size (bytes).
+     */
+    recordSize(value) {
+        return Buffer.byteLength(JSON.stringify(value) || '');
+    }
+
+    /**
+     * Check a value we are about to publish against the size other nodes accept.
+     * @param {any} value - The value.
+     * @throws {Error} If the value is larger than the guard's maxRecordSize.
+     */
+    checkRecordSize(value) {
+        const size = this.recordSize(value);
+        if (size > this.guard.maxRecordSize) {
+            throw new Error(`Value of ${size} bytes exceeds maximum of ${this.guard.maxRecordSize}`);
+        }
+    }
+
+    /**
+     * Store a record locally, moving the storage quota charge from the record it replaces to its sender.
+     * @param {string} keyHash - The key hash.
+     * @param {object} record - The record; `sender` and `size` are set for records stored by remote nodes.
+     */
+    putRecord(keyHash, record) {
+        this.updateUsage(this.storage.get(keyHash), -1);
+        this.storage.set(keyHash, record);
+        this.updateUsage(record, 1);
+    }
+
+    /**
+     * Delete a record locally, releasing its sender's storage quota.
+     * @param {string} keyHash - The key hash.
+     */
+    deleteRecord(keyHash) {
+        this.updateUsage(this.storage.get(keyHash), -1);
+        this.storage.delete(keyHash);
+    }
+
+    /**
+     * Charge (or release) a record against its sender's storage usage.
+     * @param {object|undefined} record - The record (ignored if missing or stored by ourselves).
+     * @param {1|-1} sign - 1 to charge, -1 to release.
+     */
+    updateUsage(record, sign) {
+        if (!record || !record.sender) return;
+        const usage = this.storageUsage.get(record.sender) || { records: 0, bytes: 0 };
+        usage.records += sign;
+        usage.bytes += sign * (record.size || 0);
+        if (usage.records > 0) {
+            this.storageUsage.set(record.sender, usage);
+        } else {
+            this.storageUsage.delete(record.sender);
+        }
+    }
+
+    /**
+     * Rebuild the storage usage of every sender from the records in storage (on start, for persistent backends).
+     */
+    countStorageUsage() {
+        this.storageUsage.clear();
+        for (const [, record] of this.storage.entries()) {
+            this.updateUsage(record, 1);
+        }
+    }
+
+    /**
+     * Check whether a sender may store a record without exceeding its storage quota.
+     * Replacing a record it stored itself only counts the difference in size.
+     * @param {string} sender - The sender (`ip:<address>` or `peer:<pseudonym>`).
+     * @param {string} keyHash - The key hash.
+     * @param {number} size - The new record's size (bytes).
+     * @returns {boolean} True if the record fits in the quota.
+     */
+    withinQuota(sender, keyHash, size) {
+        const usage = this.storageUsage.get(sender) || { records: 0, bytes: 0 };
+        const existing = this.storage.get(keyHash);
+        const replaced = existing && existing.sender === sender ? existing : null;
+        const records = usage.records + (replaced ? 0 : 1);
+        const bytes = usage.bytes + size - (replaced ? replaced.size || 0 : 0);
+        return records <= this.guard.maxRecordsPerSender && bytes <= this.guard.maxBytesPerSender;
+    }
+
+    /**
+     * Send a record to the k closest nodes to its key, with its remaining TTL.
+     * @param {string} keyHash - The key hash.
+     * @param {{value: any, timestamp: number, ttl: number}} record - The record.
+     * @returns {Promise<void>}
+     */
+    async replicateRecord(keyHash, record) {
+        const ttl = this.remainingTTL(record);
+        if (ttl <= 0) return;
+        const { nodes } = await this.iterativeFindNode(keyHash);
+        await Promise.allSettled(nodes.map(node => (record.signed
+            ? this.sendStoreSigned(node.address, record.value, ttl)
+            : this.sendStore(node.address, keyHash, record.value, ttl))
+            .then(ack => this.observe(node.id, ack.stored ? 'storeSuccess' : 'storeFailure'))
+            .catch(() => this.markNodeFailed(node.id))));
+    }
+
+    /**
+     * Delete every expired record.
+     * @returns {number} The number of records removed.
+     */
+    sweepExpired() {
+        let removed = 0;
+        for (const [keyHash, record] of Array.from(this.storage.entries())) {
+            if (this.remainingTTL(record) <= 0) {
+                this.deleteRecord(keyHash);
+                removed++;
             }
         }
-        const closestNodes = this.findClosestNodes(keyHash);
-        const queries = closestNodes.slice(0, this.alpha).map(node => 
-            this.sendFindValue(node.address, keyHash)
-        );
-        const results = await Promise.allSettled(queries);
-        for (const result of results) {
-            if (result.status === 'fulfilled' && result.value) {
-                return result.value;
+        if (removed > 0) {
+            this.emit('recordsExpired', removed);
+        }
+        return removed;
+    }
+
+    /**
+     * Republish the values we originally published so that they survive churn.
+     * @returns {Promise<void>}
+     */
+    async republishOwnRecords() {
+        for (const [keyHash, record] of Array.from(this.storage.entries())) {
+            if (!record.publisher || this.remainingTTL(record) <= 0) continue;
+            this.putRecord(keyHash, { ...record, replicatedAt: Date.now() });
+            await this.replicateRecord(keyHash, record).catch(() => {});
+        }
+    }
+
+    /**
+     * Replicate every stored record to the nodes now closest to its key, skipping records
+     * that were stored or replicated within the last replicateInterval (someone else already did).
+     * @returns {Promise<void>}
+     */
+    async replicateRecords() {
+        const cutoff = Date.now() - this.replicateInterval;
+        for (const [keyHash, record] of Array.from(this.storage.entries())) {
+            if (this.remainingTTL(record) <= 0 || record.replicatedAt > cutoff) continue;
+            this.putRecord(keyHash, { ...record, replicatedAt: Date.now() });
+            await this.replicateRecord(keyHash, record).catch(() => {});
+        }
+    }
+
+    /**
+     * Perform an iterative FIND_NODE lookup for the k closest nodes to a target.
+     * @param {string} target - The target ID (hex string).
+     * @param {object} [options] - Lookup settings.
+     * @param {boolean} [options.disjoint=false] - Use disjointPaths disjoint lookup paths.
+     * @returns {Promise<{nodes: Array<{id: string, address: string}>}>} The closest responsive nodes.
+     */
+    async iterativeFindNode(target, options = {}) {
+        if (this.proxy) {
+            return { nodes: await this.proxy('findNode', [target, { disjoint: !!options.disjoint }]) };
+        }
+        const { nodes } = await this.iterativeLookup(target, false, options);
+        return { nodes };
+    }
+
+    /**
+     * Perform an iterative FIND_VALUE lookup, stopping as soon as a node returns the value.
+     * @param {string} key - The key hash to look up.
+     * @param {object} [options] - Lookup settings.
+     * @param {boolean} [options.disjoint=false] - Use disjointPaths disjoint lookup paths.
+     * @param {(value: any) => boolean} [options.accept] - Check a returned value; values it rejects are ignored.
+     * @returns {Promise<{found: boolean, value?: any, nodes: Array<{id: string, address: string}>}>} The lookup result.
+     */
+    async iterativeFindValue(key, options = {}) {
+        return this.iterativeLookup(key, true, options);
+    }
+
+    /**
+     * Core Kademlia lookup. With `disjoint`, the closest known contacts are dealt out to
+     * disjointPaths paths that run in parallel and never query the same node (S/Kademlia), so a
+     * single path without attackers is enough to reach the nodes closest to the target.
+     * @param {string} target - The target ID or key hash (hex string).
+     * @param {boolean} findValue - Whether to send FIND_VALUE instead of FIND_NODE.
+     * @param {object} [options] - Lookup settings.
+     * @param {boolean} [options.disjoint=false] - Use disjointPaths disjoint lookup paths.
+     * @param {(value: any) => boolean} [options.accept] - Check a returned value; values it rejects are ignored.
+     * @returns {Promise<{found: boolean, value?: any, nodes: Array<{id: string, address: string}>}>} The lookup result.
+     */
+    async iterativeLookup(target, findValue, options = {}) {
+        this.bucketLookups[Math.min(this.getBucketIndex(target), this.bucketLookups.length - 1)] = Date.now();
+        const seeds = this.findClosestNodes(target);
+        const claimed = new Set(seeds.map(node => node.id)); // Nodes taken by a path
+        const paths = Array.from({ length: options.disjoint ? Math.max(1, Math.min(this.disjointPaths, seeds.length)) : 1 }, () => []);
+        seeds.forEach((node, i) => paths[i % paths.length].push({ id: node.id, address: node.address }));
+        const results = await Promise.all(paths.map(path => this.lookupPath(target, findValue, path, claimed, options.accept)));
+        const nodes = results.flatMap(result => result.nodes)
+            .sort((a, b) => this.xorDistance(a.id, target).localeCompare(this.xorDistance(b.id, target)))
+            .slice(0, this.k);
+        const found = results.find(result => result.found);
+        return found ? { found: true, value: found.value, nodes } : { found: false, nodes };
+    }
+
+    /**
+     * Run one lookup path: query alpha of the closest unqueried contacts per round until the
+     * k closest known contacts have all answered (or a value is found). A contact only counts
+     * as answered if the response is signed by the node ID we expected, and contacts that other
+     * paths have claimed or whose IDs miss idDifficulty are skipped.
+     * @param {string} target - The target ID or key hash (hex string).
+     * @param {boolean} findValue - Whether to send FIND_VALUE instead of FIND_NODE.
+     * @param {Array<{id: string, address: string}>} seeds - The contacts the path starts from.
+     * @param {Set<string>} claimed - IDs of the contacts taken by any path, shared between paths.
+     * @param {(value: any) => boolean} [accept] - Check a returned value; values it rejects are ignored.
+     * @returns {Promise<{found: boolean, value?: any, nodes: Array<{id: string, address: string}>}>} The path's result.
+     */
+    async lookupPath(target, findValue, seeds, claimed, accept) {
+        const shortlist = new Map(seeds.map(node => [node.id, node]));
+        const queried = new Set();
+        const responded = new Set();
+        const byDistance = (a, b) => this.xorDistance(a.id, target).localeCompare(this.xorDistance(b.id, target));
+        const answered = () => Array.from(shortlist.values()).filter(node => responded.has(node.id)).sort(byDistance);
+        while (true) {
+            const closest = Array.from(shortlist.values()).sort(byDistance).slice(0, this.k);
+            const round = closest.filter(node => !queried.has(node.id)).slice(0, this.alpha);
+            if (round.length === 0) break;
+            round.forEach(node => queried.add(node.id));
+            const results = await Promise.allSettled(round.map(node => findValue
+                ? this.sendFindValue(node.address, target)
+                : this.sendFindNode(node.address, target)));
+            for (let i = 0; i < results.length; i++) {
+                const result = results[i];
+                if (result.status === 'rejected' || result.value.nodeId !== round[i].id) {
+                    // No answer, or another node (e.g. after a pseudonym rotation) answered at that address
+                    shortlist.delete(round[i].id);
+                    this.markNodeFailed(round[i].id);
+                    continue;
+                }
+                responded.add(round[i].id);
+                if (findValue && result.value.found) {
+                    if (!accept || accept(result.value.value)) {
+                        return { found: true, value: result.value.value, nodes: answered() };
+                    }
+                    this.observe(round[i].id, 'invalidSignature');
+                    continue;
+                }
+                for (const contact of result.value.nodes) {
+                    if (contact.id === this.nodeId || claimed.has(contact.id)
+                        || !AnonymousIdentity.meetsDifficulty(contact.id, this.idDifficulty)) continue;
+                    claimed.add(contact.id);
+                    shortlist.set(contact.id, { id: contact.id, address: contact.address });
+                }
             }
         }
-        return null;
+        return { found: false, nodes: answered().slice(0, this.k) };
     }
 
     /**
-     * Send a STORE message to another node.
+     * Send an RPC request and wait for the response carrying the same transaction ID.
      * @param {string} address - The target node's address (host:port).
-     * @param {string} key - The key to store.
-     * @param {any} value - The value to store.
-     * @returns {Promise<void>}
+     * @param {string} type - The request type (PING, STORE, STORE_SIGNED, FIND_NODE, FIND_VALUE, NAT_PUNCH).
+     * @param {object} [payload={}] - Additional request fields.
+     * @param {number} [timeout=this.rpcTimeout] - Time to wait for a response (ms).
+     * @returns {Promise<object>} The response message.
      */
-    sendStore(address, key, value) {
+    sendRequest(address, type, payload = {}, timeout = this.rpcTimeout) {
         return new Promise((resolve, reject) => {
+            if (!this.socket) {
+                reject(new Error('DHT node is not running'));
+                return;
+            }
+            const rpcId = crypto.randomBytes(8).toString('hex');
             const message = {
-                type: 'STORE',
-                key,
-                value,
+                ...payload,
+                type,
+                rpcId,
                 nodeId: this.nodeId
             };
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(rpcId);
+                reject(new Error(`${type} request to ${address} timed out`));
+            }, timeout);
+            this.pendingRequests.set(rpcId, { resolve, reject, timer, address, type });
             const [host, port] = address.split(':');
-            this.socket.send(JSON.stringify(message), parseInt(port), host, (err) => {
-                if (err) reject(err);
-                else resolve();
+            this.socket.send(this.signMessage(message), parseInt(port), host, (err) => {
+                if (err) {
+                    clearTimeout(timer);
+                    this.pendingRequests.delete(rpcId);
+                    reject(err);
+                }
             });
         });
     }
 
+    /**
+     * Send a PING message to another node.
+     * @param {string} address - The target node's address (host:port).
+     * @returns {Promise<object>} The PONG response.
+     */
+    ping(address) {
+        return this.sendRequest(address, 'PING');
+    }
+
+    /**
+     * Send a STORE message to another node and wait for its acknowledgement.
+     * @param {string} address - The target node's address (host:port).
+     * @param {string} key - The key to store.
+     * @param {any} value - The value to store.
+     * @param {number} [ttl=this.defaultTTL] - Remaining lifetime of the value (ms).
+     * @returns {Promise<{stored: boolean, reason?: string}>} The acknowledgement.
+     */
+    async sendStore(address, key, value, ttl = this.defaultTTL) {
+        const response = await this.sendRequest(address, 'STORE', { key, value, ttl });
+        return response.data || { stored: false };
+    }
+
+    /**
+     * Send a STORE_SIGNED message to another node and wait for its acknowledgement.
+     * @param {string} address - The target node's address (host:port).
+     * @param {object} signedRecord - The signed record.
+     * @param {number} [ttl=this.defaultTTL] - Remaining lifetime of the record (ms).
+     * @returns {Promise<{stored: boolean, reason?: string}>} The acknowledgement.
+     */
+    async sendStoreSigned(address, signedRecord, ttl = this.defaultTTL) {
+        const response = await this.sendRequest(address, 'STORE_SIGNED', { record: signedRecord, ttl });
+        return response.data || { stored: false };
+    }
+
+    /**
+     * Send a FIND_NODE message to another node.
+     * @param {string} address - The target node's address (host:port).
+     * @param {string} target - The target ID.
+     * @returns {Promise<{found: boolean, nodes: Array<{id: string, address: string}>, nodeId: string}>} The contacts returned, and the ID of the node that answered.
+     */
+    async sendFindNode(address, target) {
+        const response = await this.sendRequest(address, 'FIND_NODE', { target });
+        return { found: false, nodes: Array.isArray(response.data) ? response.data : [], nodeId: response.nodeId };
+    }
+
     /**
      * Send a FIND_VALUE message to another node.
      * @param {string} address - The target node's address (host:port).
      * @param {string} key - The key to find.
-     * @returns {Promise<any>}
+     * @returns {Promise<{found: boolean, value?: any, nodes: Array<{id: string, address: string}>, nodeId: string}>} The value or closer contacts, and the ID of the node that answered.
      */
-    sendFindValue(address, key) {
-        return new Promise((resolve, reject) => {
-            const message = {
-                type: 'FIND_VALUE',
-                key,
-                nodeId: this.nodeId
-            };
-            const [host, port] = address.split(':');
-            this.socket.send(JSON.stringify(message), parseInt(port), host, (err) => {
-                if (err) reject(err);
-                else resolve();
-            });
-            setTimeout(() => reject(new Error('Timeout')), 5000);
-        });
+    async sendFindValue(address, key) {
+        const response = await this.sendRequest(address, 'FIND_VALUE', { key });
+        if (response.type === 'FOUND') {
+            return { found: true, value: response.data, nodes: [], nodeId: response.nodeId };
+        }
+        return { found: false, nodes: Array.isArray(response.data) ? response.data : [], nodeId: response.nodeId };
     }
 
     /**
-     * Handle incoming UDP messages for DHT operations and NAT traversal.
+     * Handle incoming UDP messages: check them against the guard, the message schemas and the
+     * sender's signature, then resolve pending RPCs or answer requests. Violations are reported
+     * to the guard.
      * @param {Buffer} msg - The received message.
      * @param {object} rinfo - Remote address info.
      */
     handleMessage(msg, rinfo) {
+        const source = `ip:${rinfo.address}`;
+        if (msg.length > this.guard.maxMessageSize) {
+            this.guard.report(source, 'oversized message');
+            return;
+        }
+        if (!this.guard.allowMessage(rinfo.address)) return;
+        let message;
+        try {
+            message = JSON.parse(msg.toString());
+        } catch (error) {
+            this.guard.report(source, 'malformed message');
+            return;
+        }
+        const invalid = MessageValidator.validateDHTMessage(message);
+        if (invalid) {
+            this.guard.report(source, `invalid DHT message: ${invalid}`);
+            return;
+        }
+        const unauthenticated = this.verifyMessage(message);
+        if (unauthenticated) {
+            this.guard.report(source, unauthenticated);
+            return;
+        }
         try {
-            const message = JSON.parse(msg.toString());
             const senderAddress = `${rinfo.address}:${rinfo.port}`;
-            this.addNode(message.nodeId, senderAddress);
-            switch (message.type) {
-                case 'STORE':
-                    this.storage.set(message.key, {
-                        value: message.value,
-                        timestamp: Date.now(),
-                        ttl: 3600000
-                    });
-                    break;
-                case 'FIND_VALUE':
-                    const stored = this.storage.get(message.key);
-                    if (stored && Date.now() - stored.timestamp < stored.ttl) {
-                        this.sendResponse(senderAddress, 'FOUND', stored.value);
-                    } else {
-                        const closestNodes = this.findClosestNodes(message.key);
-                        this.sendResponse(senderAddress, 'NODES', closestNodes);
+            if (RESPONSE_TYPES.has(message.type)) {
+                const pending = this.pendingRequests.get(message.rpcId);
+                if (pending && this.sameAddress(pending.address, senderAddress)) {
+                    clearTimeout(pending.timer);
+                    this.pendingRequests.delete(message.rpcId);
+                    if (message.nodeId !== this.nodeId) {
+                        this.addNode(message.nodeId, senderAddress);
+                        this.observe(message.nodeId, 'rpcSuccess');
                     }
-                    break;
-                case 'PING':
-                    this.sendResponse(senderAddress, 'PONG', { nodeId: this.nodeId });
-                    break;
-                case 'NAT_PUNCH':
-                    // Respond to NAT punch with ACK
-                    this.sendResponse(senderAddress, 'NAT_PUNCH_ACK', { nodeId: this.nodeId });
-                    break;
+                    pending.resolve(message);
+                }
+                return;
+            }
+            this.verifyContact(message.nodeId, senderAddress);
+            const response = this.handleRequest(message, source);
+            if (response) {
+                this.sendResponse(senderAddress, response.type, response.data, message.rpcId);
             }
         } catch (error) {
             console.error('Error handling message:', error);
         }
     }
 
+    /**
+     * Serialize a message signed with our identity key. The signature covers the JSON message
+     * without its `sig` field, including the public key and, for responses, the request's rpcId.
+     * @param {object} message - The message (with nodeId set to our ID).
+     * @returns {string} The JSON message with `publicKey` (SPKI DER, base64) and `sig` (base64).
+     */
+    signMessage(message) {
+        const signed = {
+            ...message,
+            publicKey: this.identity.keyPair.publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+        };
+        signed.sig = this.identity.sign(JSON.stringify(signed));
+        return JSON.stringify(signed);
+    }
+
+    /**
+     * Check that a message was signed by the key its node ID is derived from, and that the ID
+     * meets idDifficulty.
+     * @param {object} message - The parsed message (validated by MessageValidator).
+     * @returns {string|null} The reason for rejecting it, or null if it is authentic.
+     */
+    verifyMessage(message) {
+        const { sig, ...signed } = message;
+        const der = Buffer.from(message.publicKey, 'base64');
+        if (crypto.createHash('sha1').update(der).digest('hex') !== message.nodeId) {
+            return 'node ID does not match public key';
+        }
+        if (!AnonymousIdentity.meetsDifficulty(message.nodeId, this.idDifficulty)) {
+            return 'node ID below required difficulty';
+        }
+        try {
+            const publicKey = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+            if (crypto.verify('sha256', Buffer.from(JSON.stringify(signed)), publicKey, Buffer.from(sig, 'base64'))) {
+                return null;
+            }
+        } catch (error) {
+            // Not a valid key or signature encoding
+        }
+        return 'invalid signature';
+    }
+
+    /**
+     * Check that a response came from the address a request was sent to. Requests sent to a
+     * host name cannot be checked and match any address.
+     * @param {string} expected - The address the request was sent to (host:port).
+     * @param {string} actual - The address the response came from (ip:port).
+     * @returns {boolean} True if the addresses match.
+     */
+    sameAddress(expected, actual) {
+        const host = expected.slice(0, expected.lastIndexOf(':'));
+        return !net.isIP(host) || expected === actual;
+    }
+
+    /**
+     * Add the sender of a request to the routing table once it proves it can be reached at its
+     * source address: a known node at the same address is refreshed right away, any other sender is
+     * pinged back and added when the PONG arrives. This keeps a single packet with a forged source
+     * address out of the routing table.
+     * @param {string} nodeId - The node ID the sender claims.
+     * @param {string} address - The sender's source address (ip:port).
+     */
+    verifyContact(nodeId, address) {
+        if (nodeId === this.nodeId) return;
+        const known = this.buckets[this.getBucketIndex(nodeId)].find(node => node.id === nodeId);
+        if (known && known.address === address) {
+            this.addNode(nodeId, address);
+            return;
+        }
+        if (this.pendingVerifications.has(address) || this.pendingVerifications.size >= MAX_PENDING_VERIFICATIONS) return;
+        this.pendingVerifications.add(address);
+        this.ping(address)
+            .catch(() => {})
+            .finally(() => this.pendingVerifications.delete(address));
+    }
+
+    /**
+     * Check a record a remote node asks us to store against the size limit and its sender's quota.
+     * Violations are reported to the guard.
+     * @param {string|null} sender - The sender (`ip:<address>` or `peer:<pseudonym>`), or null for local requests.
+     * @param {string} keyHash - The key hash.
+     * @param {number} size - The record's size (bytes).
+     * @returns {string|null} The reason for refusing it, or null if it may be stored.
+     */
+    checkStoreLimits(sender, keyHash, size) {
+        if (size > this.guard.maxRecordSize) {
+            if (sender) this.guard.report(sender, 'record too large');
+            return 'record too large';
+        }
+        if (sender && !this.withinQuota(sender, keyHash, size)) {
+            this.guard.report(sender, 'storage quota exceeded');
+            return 'storage quota exceeded';
+        }
+        return null;
+    }
+
+    /**
+     * Handle a DHT request and build the response for it.
+     * @param {object} message - The parsed request message (validated by MessageValidator).
+     * @param {string|null} [sender=null] - Who sent it (`ip:<address>` or `peer:<pseudonym>`), for storage quotas.
+     * @returns {{type: string, data: any}|null} The response, or null if the request needs none.
+     */
+    handleRequest(message, sender = null) {
+        switch (message.type) {
+            case 'STORE': {
+                const ttl = Math.min(Number(message.ttl) || this.defaultTTL, this.maxRecordTTL);
+                if (ttl <= 0) {
+                    return { type: 'STORE_ACK', data: { stored: false } };
+                }
+                const existing = this.storage.get(message.key);
+                if (existing && existing.signed && this.remainingTTL(existing) > 0) {
+                    // Signed records can only be replaced through STORE_SIGNED
+                    return { type: 'STORE_ACK', data: { stored: false, reason: 'key holds a signed record' } };
+                }
+                const size = this.recordSize(message.value);
+                const refusal = this.checkStoreLimits(sender, message.key, size);
+                if (refusal) {
+                    return { type: 'STORE_ACK', data: { stored: false, reason: refusal } };
+                }
+                this.putRecord(message.key, {
+                    value: message.value,
+                    timestamp: Date.now(),
+                    ttl,
+                    // Keep republishing values we published ourselves even if a peer sends them back
+                    publisher: !!(existing && existing.publisher),
+                    replicatedAt: Date.now(),
+                    sender,
+                    size
+                });
+                return { type: 'STORE_ACK', data: { stored: true } };
+            }
+            case 'STORE_SIGNED': {
+                const ttl = Math.min(Number(message.ttl) || this.defaultTTL, this.maxRecordTTL);
+                const record = message.record;
+                if (ttl <= 0 || !record || typeof record.k !== 'string' || typeof record.salt !== 'string') {
+                    return { type: 'STORE_ACK', data: { stored: false, reason: 'malformed record' } };
+                }
+                const keyHash = SignedRecord.target(record.k, record.salt);
+                const size = this.recordSize(record);
+                const refusal = this.checkStoreLimits(sender, keyHash, size);
+                if (refusal) {
+                    return { type: 'STORE_ACK', data: { stored: false, reason: refusal } };
+                }
+                const rejection = this.checkSignedRecord(keyHash, record);
+                if (rejection) {
+                    return { type: 'STORE_ACK', data: { stored: false, reason: rejection } };
+                }
+                const existing = this.storage.get(keyHash);
+                this.putRecord(keyHash, {
+                    value: record,
+                    timestamp: Date.now(),
+                    ttl,
+                    publisher: !!(existing && existing.publisher && existing.value.seq === record.seq),
+                    replicatedAt: Date.now(),
+                    signed: true,
+                    sender,
+                    size
+                });
+                return { type: 'STORE_ACK', data: { stored: true } };
+            }
+            case 'FIND_NODE':
+                return { type: 'NODES', data: this.getContacts(message.target) };
+            case 'FIND_VALUE':
+                const stored = this.getRecord(message.key);
+                if (stored) {
+                    return { type: 'FOUND', data: stored.value };
+                }
+                return { type: 'NODES', data: this.getContacts(message.key) };
+            case 'PING':
+                return { type: 'PONG', data: { nodeId: this.nodeId } };
+            case 'NAT_PUNCH':
+                // Respond to NAT punch with ACK
+                return { type: 'NAT_PUNCH_ACK', data: { nodeId: this.nodeId } };
+        }
+        return null;
+    }
+
+    /**
+     * Get the k closest contacts to a target in wire format.
+     * @param {string} target - The target ID (hex string).
+     * @returns {Array<{id: string, address: string}>} The contacts.
+     */
+    getContacts(target) {
+        return this.findClosestNodes(target).map(node => ({ id: node.id, address: node.address }));
+    }
+
     /**
      * Send a response message to another node.
      * @param {string} address - The target node's address (host:port).
      * @param {string} type - The response type.
      * @param {any} data - The response data.
+     * @param {string} [rpcId] - The transaction ID of the request being answered.
      */
-    sendResponse(address, type, data) {
+    sendResponse(address, type, data, rpcId) {
         const message = {
             type,
             data,
+            rpcId,
             nodeId: this.nodeId
         };
+        if (!this.socket) return;
         const [host, port] = address.split(':');
-        this.socket.send(JSON.stringify(message), parseInt(port), host);
+        this.socket.send(this.signMessage(message), parseInt(port), host);
     }
 }
 
@@ -0,0 +1,90 @@
+/**
+ * MemoryStorage is the default DHT storage backend: records live in a Map and are lost on restart.
+ * Storage backends share a small, synchronous Map-like interface (get, set, has, delete, keys,
+ * entries, size) plus async open()/close() hooks for backends that persist data.
+ */
+class MemoryStorage {
+    /**
+     * Create a new MemoryStorage instance.
+     */
+    constructor() {
+        /** @type {Map<string, object>} */
+        this.records = new Map();
+    }
+
+    /**
+     * Prepare the backend for use.
+     * @returns {Promise<void>}
+     */
+    async open() {}
+
+    /**
+     * Release the backend.
+     * @returns {Promise<void>}
+     */
+    async close() {}
+
+    /**
+     * Get a record.
+     * @param {string} key - The record key.
+     * @returns {object|undefined} The record, if present.
+     */
+    get(key) {
+        return this.records.get(key);
+    }
+
+    /**
+     * Store a record.
+     * @param {string} key - The record key.
+     * @param {object} record - The record.
+     * @returns {MemoryStorage} This storage.
+     */
+    set(key, record) {
+        this.records.set(key, record);
+        return this;
+    }
+
+    /**
+     * Check whether a record exists.
+     * @param {string} key - The record key.
+     * @returns {boolean} True if the record exists.
+     */
+    has(key) {
+        return this.records.has(key);
+    }
+
+    /**
+     * Delete a record.
+     * @param {string} key - The record key.
+     * @returns {boolean} True if a record was deleted.
+     */
+    delete(key) {
+        return this.records.delete(key);
+    }
+
+    /**
+     * Iterate over all record keys.
+     * @returns {IterableIterator<string>} The keys.
+     */
+    keys() {
+        return this.records.keys();
+    }
+
+    /**
+     * Iterate over all [key, record] pairs.
+     * @returns {IterableIterator<[string, object]>} The entries.
+     */
+    entries() {
+        return this.records.entries();
+    }
+
+    /**
+     * Number of stored records.
+     * @type {number}
+     */
+    get size() {
+        return this.records.size;
+    }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,142 @@
+const SignedRecord = require('./SignedRecord');
+
+/** A node ID, pseudonym or DHT key: 40 hex digits (SHA-1). */
+const ID = /^[0-9a-f]{40}$/;
+/** An RPC or circuit identifier: 16 hex digits. */
+const SHORT_ID = /^[0-9a-f]{16}$/;
+/** A host:port address, with the host in brackets for IPv6. */
+const ADDRESS = /^(\[[0-9a-fA-F:.]+\]|[^\s:[\]]{1,253}):\d{1,5}$/;
+/** Largest number of contacts in a NODES response (the bucket size). */
+const MAX_CONTACTS = 20;
+/** Largest number of addresses in a peer exchange. */
+const MAX_PEERS = 32;
+/** Longest public key or signature on a DHT message (base64). */
+const MAX_KEY_LENGTH = 256;
+
+/**
+ * Field checks. Each returns true if the value is acceptable.
+ */
+const is = {
+    any: () => true,
+    id: value => typeof value === 'string' && ID.test(value),
+    shortId: value => typeof value === 'string' && SHORT_ID.test(value),
+    address: value => typeof value === 'string' && ADDRESS.test(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    string: max => value => typeof value === 'string' && value.length <= max,
+    oneOf: (...values) => value => values.includes(value),
+    optional: check => value => value === undefined || value === null || check(value),
+    arrayOf: (check, max) => value => Array.isArray(value) && value.length <= max && value.every(check),
+    shape: schema => value => is.object(value) && MessageValidator.check(value, schema) === null
+};
+
+/** DHT request fields by type, shared by UDP and tunneled (DHT_QUERY) requests. */
+const DHT_REQUESTS = {
+    PING: {},
+    NAT_PUNCH: { timestamp: is.optional(is.number) },
+    STORE: { key: is.id, value: is.any, ttl: is.optional(is.number) },
+    STORE_SIGNED: {
+        record: is.shape({ k: is.string(1024), salt: is.string(SignedRecord.MAX_SALT_LENGTH), seq: is.number, v: is.any, sig: is.string(1024) }),
+        ttl: is.optional(is.number)
+    },
+    FIND_NODE: { target: is.id },
+    FIND_VALUE: { key: is.id }
+};
+
+/** Contacts in wire format, as returned in NODES responses. */
+const CONTACTS = is.arrayOf(is.shape({ id: is.id, address: is.address }), MAX_CONTACTS);
+
+/** DHT response fields by type. */
+const DHT_RESPONSES = {
+    PONG: { data: is.shape({ nodeId: is.id }) },
+    NAT_PUNCH_ACK: { data: is.shape({ nodeId: is.id }) },
+    STORE_ACK: { data: is.shape({ stored: is.boolean, reason: is.optional(is.string(256)) }) },
+    NODES: { data: CONTACTS },
+    FOUND: { data: is.any }
+};
+
+/** Peer (TCP) message fields by type; other types are application messages. */
+const PEER_MESSAGES = {
+    ONION_PACKET: { packet: is.object },
+    CELL: { circId: is.shortId, command: is.oneOf('CREATE', 'CREATED', 'RELAY', 'DESTROY'), payload: is.any },
+    DHT_QUERY: { rpcId: is.shortId, query: is.shape({ type: is.oneOf(...Object.keys(DHT_REQUESTS)) }) },
+    DHT_RESPONSE: { rpcId: is.shortId, response: is.shape({ type: is.string(32), data: is.any }) },
+    PEER_DISCOVERY: { action: is.oneOf('request', 'response'), peers: is.optional(is.arrayOf(is.string(300), MAX_PEERS)) },
+    ANONYMOUS_MESSAGE: { to: is.id, from: is.optional(is.id), payload: is.any },
+    MESH_REGISTER: { rpcId: is.shortId },
+    MESH_HEARTBEAT: { rpcId: is.shortId },
+    MESH_DHT: {
+        rpcId: is.shortId,
+        operation: is.oneOf('store', 'storeSigned', 'retrieve', 'retrieveSigned', 'findNode'),
+        args: is.arrayOf(is.any, 3)
+    },
+    MESH_PROBE: { rpcId: is.shortId },
+    MESH_ANNOUNCE: {},
+    MESH_REPLY: { rpcId: is.shortId, data: is.any }
+};
+
+/**
+ * MessageValidator checks the shape of messages from the network before they are acted on:
+ * every known message type has a schema of required field types and bounds (IDs, addresses,
+ * list lengths). Each check returns the reason a message is rejected, or null if it is valid.
+ * Unknown fields are ignored; values of any type (stored data, payloads) are bounded by the
+ * message size limits instead.
+ */
+class MessageValidator {
+    /**
+     * Validate a UDP DHT message (request or response), including the fields that authenticate
+     * its sender (checked by KademliaNode.verifyMessage()).
+     * @param {any} message - The parsed message.
+     * @returns {string|null} The reason for rejecting it, or null if it is valid.
+     */
+    static validateDHTMessage(message) {
+        if (!is.object(message)) return 'not an object';
+        if (!is.shortId(message.rpcId)) return 'invalid rpcId';
+        if (!is.id(message.nodeId)) return 'invalid nodeId';
+        if (!is.string(MAX_KEY_LENGTH)(message.publicKey)) return 'invalid publicKey';
+        if (!is.string(MAX_KEY_LENGTH)(message.sig)) return 'invalid sig';
+        const schema = DHT_REQUESTS[message.type] || DHT_RESPONSES[message.type];
+        if (!schema) return `unknown message type ${String(message.type).slice(0, 32)}`;
+        return MessageValidator.check(message, schema);
+    }
+
+    /**
+     * Validate a DHT request tunneled over a peer connection (the query of a DHT_QUERY).
+     * @param {any} query - The request.
+     * @returns {string|null} The reason for rejecting it, or null if it is valid.
+     */
+    static validateDHTRequest(query) {
+        if (!is.object(query)) return 'not an object';
+        const schema = DHT_REQUESTS[query.type];
+        if (!schema) return `unknown request type ${String(query.type).slice(0, 32)}`;
+        return MessageValidator.check(query, schema);
+    }
+
+    /**
+     * Validate a message from a peer connection. Application message types only need a type name.
+     * @param {any} message - The decoded message.
+     * @returns {string|null} The reason for rejecting it, or null if it is valid.
+     */
+    static validatePeerMessage(message) {
+        if (!is.object(message)) return 'not an object';
+        if (!is.string(64)(message.type)) return 'invalid type';
+        const schema = PEER_MESSAGES[message.type];
+        return schema ? MessageValidator.check(message, schema) : null;
+    }
+
+    /**
+     * Check an object against a schema.
+     * @param {object} value - The object.
+     * @param {Object<string, (value: any) => boolean>} schema - Field checks by field name.
+     * @returns {string|null} The first invalid field, or null if every field is valid.
+     */
+    static check(value, schema) {
+        for (const [field, valid] of Object.entries(schema)) {
+            if (!valid(value[field])) return `invalid ${field}`;
+        }
+        return null;
+    }
+}
+
+module.exports = MessageValidator;
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+
+/** Supported mixing strategies. */
+const STRATEGIES = new Set(['threshold', 'pool', 'timed', 'poisson']);
+
+/**
+ * Mixer delays, batches and reorders messages before they are processed, so that an observer
+ * cannot match a message leaving a node to the one that entered it by timing or order.
+ * Strategies:
+ * - threshold: hold messages until `threshold` have arrived, then release them all in random order.
+ * - pool: every `interval`, release a random `fraction` of the queue, always keeping `poolSize`
+ *   messages back (timed dynamic pool mix).
+ * - timed: every `interval`, release everything queued, in random order.
+ * - poisson: delay every message independently by an exponentially distributed time with mean
+ *   `meanDelay` (Loopix-style stop-and-go mixing).
+ * Messages added with the same stream key (the cells of one circuit) leave in the order they arrived:
+ * whenever the strategy picks a message of a stream, the oldest queued message of that stream is
+ * released in its place. Streams are still delayed and interleaved with each other, but a stream's
+ * own messages are never reordered, so e.g. a DESTROY cannot overtake the DATA sent before it.
+ * The queue holds at most `maxQueue` messages; messages arriving at a full queue are dropped.
+ * Threshold and pool mixes only release messages as traffic arrives, so they rely on cover traffic
+ * in quiet networks.
+ */
+class Mixer {
+    /**
+     * Create a new Mixer.
+     * @param {(item: any) => void} deliver - Called with each message when it leaves the mix.
+     * @param {object} [options] - Mixing settings.
+     * @param {'threshold'|'pool'|'timed'|'poisson'} [options.strategy='poisson'] - Mixing strategy.
+     * @param {number} [options.maxQueue=1000] - Largest number of queued messages.
+     * @param {number} [options.threshold=10] - Batch size of the threshold mix.
+     * @param {number} [options.interval=1000] - Flush interval of the pool and timed mixes (ms).
+     * @param {number} [options.poolSize=5] - Messages the pool mix always keeps back.
+     * @param {number} [options.fraction=0.7] - Share of the queue the pool mix releases per flush.
+     * @param {number} [options.meanDelay=100] - Mean delay of the Poisson mix (ms).
+     * @throws {Error} If the strategy is unknown.
+     */
+    constructor(deliver, options = {}) {
+        const strategy = options.strategy || 'poisson';
+        if (!STRATEGIES.has(strategy)) {
+            throw new Error(`Unknown mixing strategy ${strategy}`);
+        }
+        /** @type {(item: any) => void} */
+        this.deliver = deliver;
+        /** @type {string} */
+        this.strategy = strategy;
+        /** @type {number} */
+        this.maxQueue = options.maxQueue || 1000;
+        /** @type {number} */
+        this.threshold = options.threshold || 10;
+        /** @type {number} */
+        this.interval = options.interval || 1000; // ms
+        /** @type {number} */
+        this.poolSize = options.poolSize !== undefined ? options.poolSize : 5;
+        /** @type {number} */
+        this.fraction = options.fraction || 0.7;
+        /** @type {number} */
+        this.meanDelay = options.meanDelay || 100; // ms
+        /** @type {Array<{item: any, queued: number, stream?: string, timer?: NodeJS.Timeout}>} */
+        this.queue = [];
+        /** @type {Map<string, Array<object>>} */
+        this.streams = new Map(); // Stream key -> its queued entries, oldest first
+        /** @type {NodeJS.Timeout|null} */
+        this.flushTimer = null;
+        /** @type {{received: number, delivered: number, dropped: number, flushes: number, totalDelay: number}} */
+        this.counters = { received: 0, delivered: 0, dropped: 0, flushes: 0, totalDelay: 0 };
+    }
+
+    /**
+     * Start the flush timer of the pool and timed mixes.
+     */
+    start() {
+        if (this.flushTimer || (this.strategy !== 'pool' && this.strategy !== 'timed')) return;
+        this.flushTimer = setInterval(() => this.flush(), this.interval);
+    }
+
+    /**
+     * Stop mixing and discard every queued message.
+     */
+    stop() {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        for (const entry of this.queue) {
+            clearTimeout(entry.timer);
+        }
+        this.counters.dropped += this.queue.length;
+        this.queue = [];
+        this.streams.clear();
+    }
+
+    /**
+     * Queue a message for mixing.
+     * @param {any} item - The message.
+     * @param {string} [stream] - Key of the stream the message belongs to; messages of one stream keep their order.
+     * @returns {boolean} False if the queue was full and the message was dropped.
+     */
+    add(item, stream) {
+        this.counters.received++;
+        if (this.queue.length >= this.maxQueue) {
+            this.counters.dropped++;
+            return false;
+        }
+        const entry = { item, queued: Date.now() };
+        this.queue.push(entry);
+        if (stream !== undefined) {
+            entry.stream = stream;
+            if (!this.streams.has(stream)) this.streams.set(stream, []);
+            this.streams.get(stream).push(entry);
+        }
+        if (this.strategy === 'poisson') {
+            entry.timer = setTimeout(() => this.release([entry]), this.sampleDelay());
+        } else if (this.strategy === 'threshold' && this.queue.length >= this.threshold) {
+            this.flush();
+        }
+        return true;
+    }
+
+    /**
+     * Release a batch according to the strategy: everything (threshold, timed), or a random
+     * share of the queue above the pool size (pool).
+     */
+    flush() {
+        let count = this.queue.length;
+        if (this.strategy === 'pool') {
+            count = Math.min(this.queue.length - this.poolSize, Math.floor(this.queue.length * this.fraction));
+        }
+        if (count <= 0) return;
+        this.counters.flushes++;
+        this.release(this.shuffle(this.queue.slice()).slice(0, count));
+    }
+
+    /**
+     * Remove messages from the queue and deliver them in the given order. An entry of a stream
+     * releases the oldest queued entry of that stream instead.
+     * @param {Array<object>} entries - The queue entries picked for release.
+     */
+    release(entries) {
+        const delivered = entries.map(entry => this.takeInOrder(entry)).filter(Boolean);
+        const released = new Set(delivered);
+        this.queue = this.queue.filter(entry => !released.has(entry));
+        const now = Date.now();
+        for (const entry of delivered) {
+            this.counters.delivered++;
+            this.counters.totalDelay += now - entry.queued;
+            try {
+                this.deliver(entry.item);
+            } catch (error) {
+                console.error('Error delivering mixed message:', error);
+            }
+        }
+    }
+
+    /**
+     * Get the entry to deliver when an entry is picked for release: the entry itself, or the
+     * oldest queued entry of its stream, which is removed from the stream.
+     * @param {object} entry - The picked entry.
+     * @returns {object|undefined} The entry to deliver (undefined if its stream is already empty).
+     */
+    takeInOrder(entry) {
+        if (entry.stream === undefined) return entry;
+        const stream = this.streams.get(entry.stream);
+        if (!stream) return undefined;
+        const oldest = stream.shift();
+        if (stream.length === 0) this.streams.delete(entry.stream);
+        if (oldest !== entry) {
+            // The picked entry stays queued in place of the oldest and takes over its pending Poisson delay
+            clearTimeout(entry.timer);
+            entry.timer = oldest.timer;
+        }
+        return oldest;
+    }
+
+    /**
+     * Draw a delay of the Poisson mix from an exponential distribution.
+     * @returns {number} The delay (ms).
+     */
+    sampleDelay() {
+        const uniform = (crypto.randomInt(1, 2 ** 32) / 2 ** 32); // In (0, 1), so the logarithm is finite
+        return -Math.log(uniform) * this.meanDelay;
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates, with a cryptographic RNG).
+     * @param {Array<any>} items - The array.
+     * @returns {Array<any>} The same array, shuffled.
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = crypto.randomInt(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    /**
+     * Get mixing statistics.
+     * @returns {{strategy: string, queued: number, received: number, delivered: number, dropped: number, flushes: number, averageDelay: number}} The stats; averageDelay is in ms.
+     */
+    getStats() {
+        return {
+            strategy: this.strategy,
+            queued: this.queue.length,
+            received: this.counters.received,
+            delivered: this.counters.delivered,
+            dropped: this.counters.dropped,
+            flushes: this.counters.flushes,
+            averageDelay: this.counters.delivered > 0 ? this.counters.totalDelay / this.counters.delivered : 0
+        };
+    }
+}
+
+module.exports = Mixer;
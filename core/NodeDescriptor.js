@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const AnonymousIdentity = require('./AnonymousIdentity');
+
+/** Maximum tolerated clock difference for descriptor publication times (ms). */
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+/**
+ * NodeDescriptor creates and verifies the signed records a node publishes to the DHT
+ * so that others can find its public key and reachable address by pseudonym.
+ */
+class NodeDescriptor {
+    /**
+     * Get the DHT key under which a node's descriptor is stored.
+     * @param {string} pseudonym - The node's pseudonym.
+     * @returns {string} The DHT key.
+     */
+    static key(pseudonym) {
+        return `node-descriptor:${pseudonym}`;
+    }
+
+    /**
+     * Create a signed descriptor for an identity.
+     * @param {import('./AnonymousIdentity')} identity - The identity publishing the descriptor.
+     * @param {object} options - Descriptor contents.
+     * @param {string} options.address - Reachable address (host:port).
+     * @param {Array<string>} [options.capabilities=['relay']] - Advertised capabilities.
+     * @param {number} [options.ttl=3600000] - Validity period (ms).
+     * @param {string|null} [options.operator=null] - Operator (family) tag shared by nodes run by the same party;
+     *     path selection never puts two nodes with the same operator on one circuit.
+     * @param {string|null} [options.via=null] - Pseudonym of the supernode a leaf is reached through; circuits to
+     *     the node pass through it as their second-to-last hop.
+     * @returns {{pseudonym: string, publicKey: string, address: string, capabilities: Array<string>, operator: string|null, via: string|null, published: number, expires: number, signature: string}} The descriptor.
+     */
+    static create(identity, { address, capabilities = ['relay'], ttl = 3600000, operator = null, via = null }) {
+        const published = Date.now();
+        const descriptor = {
+            pseudonym: identity.pseudonym,
+            publicKey: identity.exportPublicKey(),
+            address,
+            capabilities,
+            operator,
+            via,
+            published,
+            expires: published + ttl
+        };
+        descriptor.signature = identity.sign(NodeDescriptor.signedPayload(descriptor));
+        return descriptor;
+    }
+
+    /**
+     * Verify a descriptor's signature, freshness and pseudonym (which must be the hash of its public key).
+     * @param {object} descriptor - The descriptor to verify.
+     * @param {string} [expectedPseudonym] - The pseudonym the descriptor must belong to.
+     * @returns {boolean} True if the descriptor is valid, false otherwise.
+     */
+    static verify(descriptor, expectedPseudonym) {
+        try {
+            if (!descriptor || typeof descriptor !== 'object') return false;
+            if (expectedPseudonym && descriptor.pseudonym !== expectedPseudonym) return false;
+            if (typeof descriptor.address !== 'string' || !Array.isArray(descriptor.capabilities)) return false;
+            if (descriptor.operator !== null && typeof descriptor.operator !== 'string') return false;
+            if (descriptor.via !== null && !/^[0-9a-f]{40}$/.test(descriptor.via)) return false;
+            if (AnonymousIdentity.derivePseudonym(descriptor.publicKey) !== descriptor.pseudonym) return false;
+            const now = Date.now();
+            if (!(descriptor.expires > now) || descriptor.published > now + MAX_CLOCK_SKEW) return false;
+            return crypto.verify(
+                'sha256',
+                NodeDescriptor.signedPayload(descriptor),
+                crypto.createPublicKey(descriptor.publicKey),
+                Buffer.from(descriptor.signature, 'base64')
+            );
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Build the canonical byte string covered by a descriptor's signature.
+     * @param {object} descriptor - The descriptor.
+     * @returns {Buffer} The signed payload.
+     */
+    static signedPayload(descriptor) {
+        return Buffer.from(JSON.stringify([
+            descriptor.pseudonym,
+            descriptor.publicKey,
+            descriptor.address,
+            descriptor.capabilities,
+            descriptor.operator,
+            descriptor.via,
+            descriptor.published,
+            descriptor.expires
+        ]));
+    }
+}
+
+module.exports = NodeDescriptor;
@@ -1,56 +1,163 @@
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const NodeDescriptor = require('./NodeDescriptor');
+const AnonymousIdentity = require('./AnonymousIdentity');
+
+/** Version of the onion layer format. */
+const LAYER_VERSION = 1;
+/** Relay commands a hop answers to the client, resolving its pending request. */
+const ANSWER_COMMANDS = new Set(['EXTENDED', 'INTRO_ESTABLISHED', 'RENDEZVOUS_ESTABLISHED', 'INTRODUCE_ACK', 'RENDEZVOUS_ACK']);
+/** Sequence numbers behind the highest one seen for which end-to-end DATA is still accepted. */
+const REPLAY_WINDOW = 64;
 
 /**
  * OnionRouter handles anonymous message routing using onion encryption.
  * It builds circuits, encrypts/decrypts message layers, and manages relay nodes.
+ *
+ * Circuits are built Tor-style over links (authenticated peer connections, anything with
+ * send(message)) using CELL messages `{type: 'CELL', circId, command, payload}`:
+ * - CREATE / CREATED: per-hop key agreement. The client's ephemeral X25519 key travels in an
+ *   onionskin encrypted to the hop's identity key; the hop answers with its own ephemeral key
+ *   and a MAC proving it derived the same forward and backward keys.
+ * - RELAY: layered AES-256-GCM. Forward cells are sealed once per hop ({forward} wrappers up to
+ *   the addressed hop); backward cells gain one {backward} layer per relay on the way back.
+ *   Relay commands: EXTEND / EXTENDED (telescoping to the next hop) and DATA, which the last hop
+ *   can also send backward to answer the client without learning who it is.
+ * - LOOP / DROP: cover traffic. The last hop echoes LOOP back to the client; any hop discards
+ *   DROP addressed to it. Both look like DATA to every other hop and on the wire.
+ * - DESTROY: tears the circuit down hop by hop.
+ * Circuit IDs are chosen per link; relays keep a table keyed by link and circuit ID.
+ *
+ * Hidden services are reached through rendezvous points, so that neither side learns the other's address:
+ * - ESTABLISH_INTRO: a service makes the last hop of one of its circuits an introduction point,
+ *   proving it owns the service pseudonym.
+ * - ESTABLISH_RENDEZVOUS: a client registers a random cookie at the last hop of one of its circuits.
+ * - INTRODUCE: the client asks an introduction point to pass the service an introduction (the
+ *   rendezvous point, the cookie and the client's ephemeral key, encrypted to the service key).
+ * - RENDEZVOUS: the service builds a circuit to the rendezvous point and presents the cookie with
+ *   its half of the handshake; the rendezvous point joins the two circuits and passes DATA between
+ *   them, end-to-end encrypted with keys only the client and the service know. End-to-end DATA is
+ *   numbered and checked against a sliding replay window; DATA that fails the check closes the circuit.
+ * Emits 'circuitBuilt' (circuitId, hops, measurements), 'hopFailed' (nodeId, reason), 'circuitClosed' (circuitId, reason),
+ * 'circuitData' (payload, routeKey) when a circuit ending here delivers data,
+ * 'circuitReply' (circuitId, payload) when the last hop of one of our circuits sends data back,
+ * 'loop' (circuitId, data) when a LOOP we sent comes back, and
+ * 'introduction' (circuitId, data) when a client introduces itself through one of our introduction points.
  * @extends EventEmitter
  */
 class OnionRouter extends EventEmitter {
     /**
      * Create a new OnionRouter instance.
+     * @param {import('./KademliaNode')} [dht] - DHT used to resolve node descriptors.
+     * @param {object} [options] - Circuit configuration.
+     * @param {import('./AnonymousIdentity')} [options.identity] - Our identity, whose key answers CREATE cells.
+     * @param {(address: string, pseudonym: string) => Promise<{send: Function}>} [options.connect] - Opens (or reuses) a link to a node.
+     * @param {number} [options.circuitLifetime=600000] - How long a circuit is reused for new messages (ms).
+     * @param {number} [options.circuitMaxMessages=100] - How many messages a circuit carries before it is retired.
+     * @param {number} [options.buildTimeout=10000] - Time to wait for each CREATED/EXTENDED answer (ms).
+     * @param {number} [options.rendezvousTimeout=30000] - Time a client waits for a service to reach the rendezvous point (ms).
+     * @param {number} [options.circuitLength=3] - Number of hops in new circuits.
      */
-    constructor() {
+    constructor(dht = null, options = {}) {
         super();
-        /** @type {Map<string, Array>} */
-        this.circuits = new Map();
+        /** @type {import('./KademliaNode')|null} */
+        this.dht = dht;
+        /** @type {import('./AnonymousIdentity')|null} */
+        this.identity = options.identity || null;
+        /** @type {((address: string, pseudonym: string) => Promise<{send: Function}>)|null} */
+        this.connect = options.connect || null;
+        /** @type {Map<string, object>} */
+        this.descriptors = new Map(); // Verified node descriptors by pseudonym
+        /** @type {Map<string, object>} */
+        this.circuits = new Map(); // Circuits we originated, by circuit ID
+        /** @type {Map<string, {circuit?: object, relay?: object, side?: 'prev'|'next'}>} */
+        this.routes = new Map(); // Cell routing by `${linkId}/${circId}`
+        /** @type {Map<string, object>} */
+        this.introPoints = new Map(); // Services we introduce for: pseudonym -> relay entry
+        /** @type {Map<string, object>} */
+        this.rendezvousPoints = new Map(); // Clients waiting at this rendezvous point: cookie -> relay entry
+        /** @type {WeakMap<object, number>} */
+        this.linkIds = new WeakMap();
+        /** @type {number} */
+        this.nextLinkId = 1;
         /** @type {Set<string>} */
         this.relayNodes = new Set();
         /** @type {number} */
-        this.circuitLength = 3; // Default circuit length
+        this.circuitLength = options.circuitLength || 3; // Hops per circuit
+        /** @type {number} */
+        this.circuitLifetime = options.circuitLifetime || 600000; // ms
+        /** @type {number} */
+        this.circuitMaxMessages = options.circuitMaxMessages || 100;
+        /** @type {number} */
+        this.buildTimeout = options.buildTimeout || 10000; // ms
+        /** @type {number} */
+        this.rendezvousTimeout = options.rendezvousTimeout || 30000; // ms
     }
 
     /**
      * Create a multi-layer encrypted onion packet for a message and circuit.
+     * Every relay layer carries the address of the next hop inside its ciphertext;
+     * the exit layer carries the payload and the destination pseudonym.
      * @param {any} message - The message to send.
      * @param {Array<{id: string, publicKey: any, address: string}>} circuit - The ordered list of circuit nodes.
+     * @param {string} [destination] - The pseudonym the exit node must deliver to.
      * @returns {object} The onion-encrypted packet.
      */
-    createOnionPacket(message, circuit) {
-        let packet = {
+    createOnionPacket(message, circuit, destination) {
+        const exit = circuit[circuit.length - 1];
+        let packet = this.encryptLayer({
             payload: message,
+            destination,
             timestamp: Date.now()
-        };
-        // Layer encryption from exit to entry
-        for (let i = circuit.length - 1; i >= 0; i--) {
-            const node = circuit[i];
-            packet = this.encryptLayer(packet, node.publicKey);
+        }, exit.publicKey);
+        // Wrap relay layers from the hop before the exit back to the entry
+        for (let i = circuit.length - 2; i >= 0; i--) {
+            packet = this.encryptLayer({
+                nextHop: circuit[i + 1].address,
+                packet
+            }, circuit[i].publicKey);
         }
         return packet;
     }
 
     /**
-     * Encrypt a single layer of the onion packet.
+     * Encrypt a single layer of the onion packet with hybrid encryption.
+     * A fresh AES-256-GCM content key protects the layer body; the key itself is either
+     * RSA-OAEP wrapped (RSA node keys) or derived from an ephemeral ECDH agreement (EC/X25519 node keys).
+     * The header fields are authenticated as additional data.
      * @param {object} data - The data to encrypt.
-     * @param {any} publicKey - The public key of the node.
-     * @returns {object} The encrypted layer with a nextHop field.
+     * @param {any} publicKey - The public key of the node (KeyObject or PEM).
+     * @returns {object} The encrypted layer.
      */
     encryptLayer(data, publicKey) {
-        const serialized = JSON.stringify(data);
-        const encrypted = crypto.publicEncrypt(publicKey, Buffer.from(serialized));
+        const recipientKey = publicKey instanceof crypto.KeyObject ? publicKey : crypto.createPublicKey(publicKey);
+        const header = { v: LAYER_VERSION, iv: crypto.randomBytes(12).toString('base64') };
+        let contentKey;
+        if (recipientKey.asymmetricKeyType === 'rsa') {
+            contentKey = crypto.randomBytes(32);
+            header.alg = 'RSA-OAEP+AES-256-GCM';
+            header.key = crypto.publicEncrypt({
+                key: recipientKey,
+                padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+                oaepHash: 'sha256'
+            }, contentKey).toString('base64');
+        } else {
+            const ephemeral = recipientKey.asymmetricKeyType === 'ec'
+                ? crypto.generateKeyPairSync('ec', { namedCurve: recipientKey.asymmetricKeyDetails.namedCurve })
+                : crypto.generateKeyPairSync(recipientKey.asymmetricKeyType);
+            const ephemeralPublic = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+            const shared = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: recipientKey });
+            contentKey = this.deriveLayerKey(shared, ephemeralPublic);
+            header.alg = 'ECDH+AES-256-GCM';
+            header.key = ephemeralPublic.toString('base64');
+        }
+        const cipher = crypto.createCipheriv('aes-256-gcm', contentKey, Buffer.from(header.iv, 'base64'));
+        cipher.setAAD(this.layerAAD(header));
+        const encrypted = Buffer.concat([cipher.update(JSON.stringify(data)), cipher.final()]);
         return {
-            encrypted: encrypted.toString('base64'),
-            nextHop: crypto.randomBytes(16).toString('hex')
+            ...header,
+            tag: cipher.getAuthTag().toString('base64'),
+            encrypted: encrypted.toString('base64')
         };
     }
 
@@ -63,7 +170,31 @@ class OnionRouter extends EventEmitter {
      */
     decryptLayer(packet, privateKey) {
         try {
-            const decrypted = crypto.privateDecrypt(privateKey, Buffer.from(packet.encrypted, 'base64'));
+            if (packet.v !== LAYER_VERSION) {
+                throw new Error(`Unsupported layer version ${packet.v}`);
+            }
+            const wrappedKey = Buffer.from(packet.key, 'base64');
+            let contentKey;
+            if (packet.alg === 'RSA-OAEP+AES-256-GCM') {
+                contentKey = crypto.privateDecrypt({
+                    key: privateKey,
+                    padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+                    oaepHash: 'sha256'
+                }, wrappedKey);
+            } else if (packet.alg === 'ECDH+AES-256-GCM') {
+                const ephemeralPublic = crypto.createPublicKey({ key: wrappedKey, type: 'spki', format: 'der' });
+                const shared = crypto.diffieHellman({
+                    privateKey: privateKey instanceof crypto.KeyObject ? privateKey : crypto.createPrivateKey(privateKey),
+                    publicKey: ephemeralPublic
+                });
+                contentKey = this.deriveLayerKey(shared, wrappedKey);
+            } else {
+                throw new Error(`Unsupported layer algorithm ${packet.alg}`);
+            }
+            const decipher = crypto.createDecipheriv('aes-256-gcm', contentKey, Buffer.from(packet.iv, 'base64'));
+            decipher.setAAD(this.layerAAD(packet));
+            decipher.setAuthTag(Buffer.from(packet.tag, 'base64'));
+            const decrypted = Buffer.concat([decipher.update(Buffer.from(packet.encrypted, 'base64')), decipher.final()]);
             return JSON.parse(decrypted.toString());
         } catch (error) {
             throw new Error('Decryption failed');
@@ -71,39 +202,961 @@ class OnionRouter extends EventEmitter {
     }
 
     /**
-     * Build an anonymous circuit through the network.
-     * @param {Array<string>} targetNodes - List of node IDs for the circuit.
+     * Derive the AES-256-GCM content key for a layer from an ECDH shared secret.
+     * @param {Buffer} shared - The ECDH shared secret.
+     * @param {Buffer} ephemeralPublic - The sender's ephemeral public key (DER), used as salt.
+     * @returns {Buffer} The 32-byte content key.
+     */
+    deriveLayerKey(shared, ephemeralPublic) {
+        return Buffer.from(crypto.hkdfSync('sha256', shared, ephemeralPublic, 'onion-layer', 32));
+    }
+
+    /**
+     * Build the additional authenticated data covering a layer's header fields.
+     * @param {{v: number, alg: string, key: string, iv: string}} header - The layer header.
+     * @returns {Buffer} The AAD bytes.
+     */
+    layerAAD(header) {
+        return Buffer.from(JSON.stringify([header.v, header.alg, header.key, header.iv]));
+    }
+
+    /**
+     * Build a circuit through the given nodes by telescoping: CREATE to the first hop, then
+     * EXTEND through the circuit to every further hop. Emits 'circuitBuilt' with the hop IDs and
+     * each hop's measurement (bytes exchanged and round-trip time of its handshake), or
+     * 'hopFailed' with the ID of the hop that did not answer.
+     * @param {Array<string>} targetNodes - Node IDs (pseudonyms) of the hops, in order; the last one receives DATA.
+     * @param {object} [options] - Optional settings.
+     * @param {string|null} [options.target=null] - The destination the circuit is reused for.
+     * @param {boolean} [options.reusable=true] - Whether getCircuit-style reuse may pick the circuit.
      * @returns {Promise<string>} The circuit ID.
+     * @throws {Error} If a node has no valid descriptor or a hop fails to answer.
      */
-    async buildCircuit(targetNodes) {
-        const circuitId = crypto.randomBytes(16).toString('hex');
-        const circuit = [];
+    async buildCircuit(targetNodes, options = {}) {
+        if (!this.connect || !this.identity) {
+            throw new Error('OnionRouter has no link provider');
+        }
+        const hops = [];
         for (const nodeId of targetNodes) {
             const node = await this.getNodeInfo(nodeId);
-            if (node) {
-                circuit.push({
-                    id: nodeId,
-                    publicKey: node.publicKey,
-                    address: node.address
+            if (!node) {
+                throw new Error(`No valid descriptor for node ${nodeId}`);
+            }
+            hops.push({ id: nodeId, publicKey: node.publicKey, address: node.address });
+        }
+        let link;
+        try {
+            link = await this.connect(hops[0].address, hops[0].id);
+        } catch (error) {
+            this.emit('hopFailed', hops[0].id, error.message);
+            throw error;
+        }
+        const circId = crypto.randomBytes(8).toString('hex');
+        const circuit = {
+            id: circId,
+            circId,
+            link,
+            hops: [],
+            target: options.target || null,
+            reusable: options.reusable !== false,
+            created: Date.now(),
+            messages: 0,
+            state: 'building',
+            pending: null
+        };
+        this.circuits.set(circId, circuit);
+        this.routes.set(this.routeKey(link, circId), { circuit });
+        const measurements = [];
+        let previousTime = 0;
+        try {
+            for (let i = 0; i < hops.length; i++) {
+                const started = Date.now();
+                const handshake = this.createHandshake(hops[i].publicKey);
+                const reply = await this.awaitReply(circuit, i === 0 ? 'CREATED' : 'EXTENDED', () => {
+                    if (i === 0) {
+                        this.sendCell(link, circId, 'CREATE', handshake.onionskin);
+                    } else {
+                        this.sendRelay(circuit, i - 1, 'EXTEND', {
+                            address: hops[i].address,
+                            pseudonym: hops[i].id,
+                            onionskin: handshake.onionskin
+                        });
+                    }
+                });
+                const keys = this.completeHandshake(handshake, reply);
+                circuit.hops.push({ id: hops[i].id, address: hops[i].address, ...keys });
+                // The round trip also crosses the earlier hops, whose share is taken off
+                const elapsed = Date.now() - started;
+                measurements.push({
+                    bytes: JSON.stringify(handshake.onionskin).length + JSON.stringify(reply).length,
+                    ms: Math.max(elapsed - previousTime, 1)
+                });
+                previousTime = elapsed;
+            }
+        } catch (error) {
+            this.emit('hopFailed', hops[circuit.hops.length].id, error.message);
+            this.destroyCircuit(circId, error.message);
+            throw error;
+        }
+        circuit.state = 'open';
+        this.emit('circuitBuilt', circId, circuit.hops.map(hop => hop.id), measurements);
+        return circId;
+    }
+
+    /**
+     * Find an open circuit to a destination that may still carry new messages.
+     * @param {string|null} target - The destination the circuit was built for.
+     * @returns {string|null} The circuit ID, or null if a new circuit is needed.
+     */
+    findReusableCircuit(target) {
+        for (const circuit of this.circuits.values()) {
+            if (circuit.target === target && circuit.reusable && circuit.state === 'open' && this.isReusable(circuit)) {
+                return circuit.id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check a circuit against the reuse policy (lifetime and message count).
+     * @param {object} circuit - The circuit.
+     * @returns {boolean} True if the circuit may carry new messages.
+     */
+    isReusable(circuit) {
+        return Date.now() - circuit.created < this.circuitLifetime && circuit.messages < this.circuitMaxMessages;
+    }
+
+    /**
+     * Destroy circuits that have outlived the reuse policy. Introduction circuits are kept.
+     * @returns {number} The number of circuits destroyed.
+     */
+    expireCircuits() {
+        let expired = 0;
+        for (const circuit of Array.from(this.circuits.values())) {
+            if (circuit.state === 'open' && !circuit.persistent && !this.isReusable(circuit)) {
+                this.destroyCircuit(circuit.id, 'expired');
+                expired++;
+            }
+        }
+        return expired;
+    }
+
+    /**
+     * Send application data to the last hop of a circuit.
+     * @param {string} circuitId - The circuit ID.
+     * @param {any} payload - The data (must be JSON-serializable).
+     * @throws {Error} If the circuit is not open.
+     */
+    sendData(circuitId, payload) {
+        const circuit = this.getOpenCircuit(circuitId);
+        circuit.messages++;
+        this.sendRelay(circuit, circuit.hops.length - 1, 'DATA', circuit.endToEnd ? this.sealEndToEnd(circuit, payload) : payload);
+    }
+
+    /**
+     * Send a cover traffic command on a circuit. Unlike sendData(), it does not count towards the
+     * circuit's message limit.
+     * @param {string} circuitId - The circuit ID.
+     * @param {'LOOP'|'DROP'} command - LOOP (echoed by the last hop) or DROP (discarded by the addressed hop).
+     * @param {any} data - Padding (must be JSON-serializable).
+     * @param {number} [hopIndex] - The addressed hop (default: the last).
+     * @throws {Error} If the circuit is not open.
+     */
+    sendCover(circuitId, command, data, hopIndex) {
+        const circuit = this.getOpenCircuit(circuitId);
+        this.sendRelay(circuit, hopIndex === undefined ? circuit.hops.length - 1 : hopIndex, command, data);
+    }
+
+    /**
+     * Send data back to the client of a circuit that ends here.
+     * @param {string} routeKey - The route key passed with 'circuitData'.
+     * @param {any} payload - The data (must be JSON-serializable).
+     * @throws {Error} If the circuit no longer exists.
+     */
+    sendBackwardData(routeKey, payload) {
+        const route = this.routes.get(routeKey);
+        if (!route || !route.relay || route.side !== 'prev' || route.relay.next) {
+            throw new Error('Circuit is closed');
+        }
+        this.sendBackward(route.relay, 'DATA', payload);
+    }
+
+    /**
+     * Tear down a circuit we originated: send DESTROY along it and forget it. Emits 'circuitClosed'.
+     * @param {string} circuitId - The circuit ID.
+     * @param {string} [reason='closed'] - Why the circuit was closed.
+     * @param {boolean} [notify=true] - Whether to send DESTROY (false if the circuit is already gone).
+     */
+    destroyCircuit(circuitId, reason = 'closed', notify = true) {
+        const circuit = this.circuits.get(circuitId);
+        if (!circuit) return;
+        this.circuits.delete(circuitId);
+        this.routes.delete(this.routeKey(circuit.link, circuit.circId));
+        circuit.state = 'closed';
+        if (notify) {
+            this.sendCell(circuit.link, circuit.circId, 'DESTROY', { reason });
+        }
+        if (circuit.pending) {
+            clearTimeout(circuit.pending.timer);
+            circuit.pending.reject(new Error(`Circuit destroyed: ${reason}`));
+            circuit.pending = null;
+        }
+        this.emit('circuitClosed', circuitId, reason);
+    }
+
+    /**
+     * Handle a CELL message received on a link.
+     * @param {{circId: string, command: string, payload: any}} cell - The cell.
+     * @param {{send: Function}} link - The link it arrived on.
+     */
+    handleCell(cell, link) {
+        if (!cell || typeof cell.circId !== 'string') return;
+        const route = this.routes.get(this.routeKey(link, cell.circId));
+        try {
+            switch (cell.command) {
+                case 'CREATE':
+                    if (!route) this.handleCreate(cell, link);
+                    break;
+                case 'CREATED':
+                    if (route && route.circuit) this.resolveReply(route.circuit, 'CREATED', cell.payload);
+                    if (route && route.relay && route.side === 'next') this.sendBackward(route.relay, 'EXTENDED', cell.payload);
+                    break;
+                case 'RELAY':
+                    if (route && route.circuit) this.handleBackwardRelay(route.circuit, cell.payload);
+                    if (route && route.relay) this.handleRelay(route.relay, route.side, cell.payload);
+                    break;
+                case 'DESTROY': {
+                    const reason = cell.payload && typeof cell.payload.reason === 'string' ? cell.payload.reason : 'destroyed';
+                    if (route && route.circuit) this.destroyCircuit(route.circuit.id, reason, false);
+                    if (route && route.relay) this.destroyRelay(route.relay, route.side, reason);
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('Error handling cell:', error.message);
+            if (route && route.relay) this.destroyRelay(route.relay, null, 'protocol error');
+            if (!route && cell.command === 'CREATE') this.sendCell(link, cell.circId, 'DESTROY', { reason: 'handshake failed' });
+        }
+    }
+
+    /**
+     * Tear down every circuit that used a link that has closed.
+     * @param {{send: Function}} link - The closed link.
+     */
+    handleLinkClosed(link) {
+        const prefix = `${this.linkId(link)}/`;
+        for (const [key, route] of Array.from(this.routes)) {
+            if (!key.startsWith(prefix)) continue;
+            if (route.circuit) this.destroyCircuit(route.circuit.id, 'link closed', false);
+            if (route.relay) this.destroyRelay(route.relay, route.side, 'link closed');
+        }
+    }
+
+    /**
+     * Answer a CREATE cell as a relay: decrypt the onionskin with our identity key,
+     * agree on hop keys and reply with CREATED.
+     * @param {{circId: string, payload: object}} cell - The CREATE cell.
+     * @param {{send: Function}} link - The link towards the client.
+     */
+    handleCreate(cell, link) {
+        const { ephemeralKey } = this.decryptLayer(cell.payload, this.identity.keyPair.privateKey);
+        const { reply, forwardKey, backwardKey } = this.acceptHandshake(Buffer.from(ephemeralKey, 'base64'));
+        const relay = {
+            prev: { link, circId: cell.circId },
+            next: null,
+            forwardKey,
+            backwardKey,
+            created: Date.now()
+        };
+        this.routes.set(this.routeKey(link, cell.circId), { relay, side: 'prev' });
+        this.sendCell(link, cell.circId, 'CREATED', reply);
+    }
+
+    /**
+     * Process a RELAY cell on a circuit we relay.
+     * From the client side: remove our layer and forward it, or act on it if it is for us.
+     * From the next hop: add our backward layer and pass it towards the client.
+     * @param {object} relay - The relay table entry.
+     * @param {'prev'|'next'} side - The side the cell arrived from.
+     * @param {object} payload - The sealed cell body.
+     */
+    handleRelay(relay, side, payload) {
+        if (side === 'next') {
+            this.sendCell(relay.prev.link, relay.prev.circId, 'RELAY', this.seal(relay.backwardKey, { backward: payload }));
+            return;
+        }
+        const layer = this.open(relay.forwardKey, payload);
+        if (layer.forward) {
+            if (relay.next) {
+                this.sendCell(relay.next.link, relay.next.circId, 'RELAY', layer.forward);
+            }
+            return;
+        }
+        if (layer.command !== 'EXTEND' && layer.command !== 'DROP' && relay.next) {
+            throw new Error(`${layer.command} sent to a middle hop`);
+        }
+        switch (layer.command) {
+            case 'EXTEND':
+                this.extendRelay(relay, layer.data).catch((error) => {
+                    this.destroyRelay(relay, null, `extend failed: ${error.message}`);
                 });
+                break;
+            case 'DATA':
+                if (relay.joined) {
+                    this.sendBackward(relay.joined, 'DATA', layer.data);
+                } else {
+                    this.emit('circuitData', layer.data, this.routeKey(relay.prev.link, relay.prev.circId));
+                }
+                break;
+            case 'LOOP':
+                this.sendBackward(relay, 'LOOP', layer.data);
+                break;
+            case 'DROP':
+                break;
+            case 'ESTABLISH_INTRO':
+                this.handleEstablishIntro(relay, layer.data);
+                break;
+            case 'INTRODUCE':
+                this.handleIntroduce(relay, layer.data);
+                break;
+            case 'ESTABLISH_RENDEZVOUS':
+                this.handleEstablishRendezvous(relay, layer.data);
+                break;
+            case 'RENDEZVOUS':
+                this.handleRendezvous(relay, layer.data);
+                break;
+        }
+    }
+
+    /**
+     * Become an introduction point for a service, once it proves it owns the service pseudonym.
+     * The proof is bound to this hop's circuit keys, so it cannot be replayed elsewhere.
+     * @param {object} relay - The relay table entry of the service's circuit.
+     * @param {{pseudonym: string, proof: object}} data - The ESTABLISH_INTRO request.
+     */
+    handleEstablishIntro(relay, data) {
+        if (!data || typeof data.pseudonym !== 'string' ||
+            !AnonymousIdentity.verifyZKProof(data.proof, this.introContext(relay.forwardKey), data.pseudonym)) {
+            this.sendBackward(relay, 'INTRO_ESTABLISHED', { error: 'invalid proof' });
+            return;
+        }
+        relay.introFor = data.pseudonym;
+        this.introPoints.set(data.pseudonym, relay); // A newer circuit from the same service replaces the old one
+        this.sendBackward(relay, 'INTRO_ESTABLISHED', { ok: true });
+    }
+
+    /**
+     * Pass a client's introduction on to the service we are an introduction point for.
+     * @param {object} relay - The relay table entry of the client's circuit.
+     * @param {{pseudonym: string, introduction: object}} data - The INTRODUCE request.
+     */
+    handleIntroduce(relay, data) {
+        const service = data ? this.introPoints.get(data.pseudonym) : null;
+        if (!service || !data.introduction) {
+            this.sendBackward(relay, 'INTRODUCE_ACK', { error: 'unknown service' });
+            return;
+        }
+        this.sendBackward(service, 'INTRODUCE', { introduction: data.introduction });
+        this.sendBackward(relay, 'INTRODUCE_ACK', { ok: true });
+    }
+
+    /**
+     * Make this hop a rendezvous point: remember the client's cookie until a service presents it.
+     * @param {object} relay - The relay table entry of the client's circuit.
+     * @param {{cookie: string}} data - The ESTABLISH_RENDEZVOUS request.
+     */
+    handleEstablishRendezvous(relay, data) {
+        if (!data || typeof data.cookie !== 'string' || !/^[0-9a-f]{40}$/.test(data.cookie) ||
+            this.rendezvousPoints.has(data.cookie) || relay.joined) {
+            this.sendBackward(relay, 'RENDEZVOUS_ESTABLISHED', { error: 'invalid cookie' });
+            return;
+        }
+        if (relay.cookie) {
+            this.rendezvousPoints.delete(relay.cookie);
+        }
+        relay.cookie = data.cookie;
+        this.rendezvousPoints.set(data.cookie, relay);
+        this.sendBackward(relay, 'RENDEZVOUS_ESTABLISHED', { ok: true });
+    }
+
+    /**
+     * Join a service's circuit to the client circuit waiting with the same cookie, and pass the
+     * service's half of the end-to-end handshake to the client.
+     * @param {object} relay - The relay table entry of the service's circuit.
+     * @param {{cookie: string, handshake: object}} data - The RENDEZVOUS request.
+     */
+    handleRendezvous(relay, data) {
+        const client = data ? this.rendezvousPoints.get(data.cookie) : null;
+        if (!client || relay.joined || relay.cookie) {
+            this.sendBackward(relay, 'RENDEZVOUS_ACK', { error: 'unknown cookie' });
+            return;
+        }
+        this.rendezvousPoints.delete(data.cookie);
+        delete client.cookie;
+        client.joined = relay;
+        relay.joined = client;
+        this.sendBackward(client, 'RENDEZVOUS_JOINED', data.handshake);
+        this.sendBackward(relay, 'RENDEZVOUS_ACK', { ok: true });
+    }
+
+    /**
+     * Extend a circuit we terminate to the next hop, forwarding the client's onionskin in a CREATE cell.
+     * The CREATED answer is passed back as EXTENDED by handleCell().
+     * @param {object} relay - The relay table entry.
+     * @param {{address: string, pseudonym: string, onionskin: object}} data - The EXTEND request.
+     * @returns {Promise<void>}
+     */
+    async extendRelay(relay, data) {
+        if (relay.next) {
+            throw new Error('circuit already extended');
+        }
+        if (!data || typeof data.address !== 'string' || typeof data.pseudonym !== 'string') {
+            throw new Error('malformed EXTEND');
+        }
+        const link = await this.connect(data.address, data.pseudonym);
+        if (relay.destroyed) return;
+        const circId = crypto.randomBytes(8).toString('hex');
+        relay.next = { link, circId };
+        this.routes.set(this.routeKey(link, circId), { relay, side: 'next' });
+        this.sendCell(link, circId, 'CREATE', data.onionskin);
+    }
+
+    /**
+     * Send a relay command from this hop back to the circuit's client.
+     * @param {object} relay - The relay table entry.
+     * @param {string} command - The relay command.
+     * @param {any} data - The command data.
+     */
+    sendBackward(relay, command, data) {
+        this.sendCell(relay.prev.link, relay.prev.circId, 'RELAY', this.seal(relay.backwardKey, { command, data }));
+    }
+
+    /**
+     * Forget a relayed circuit and pass DESTROY on to the side it did not come from.
+     * @param {object} relay - The relay table entry.
+     * @param {'prev'|'next'|null} from - The side that destroyed it (null: we did, notify both).
+     * @param {string} reason - Why the circuit was destroyed.
+     */
+    destroyRelay(relay, from, reason) {
+        if (relay.destroyed) return;
+        relay.destroyed = true;
+        for (const side of ['prev', 'next']) {
+            const hop = relay[side];
+            if (!hop) continue;
+            this.routes.delete(this.routeKey(hop.link, hop.circId));
+            if (side !== from) {
+                this.sendCell(hop.link, hop.circId, 'DESTROY', { reason });
             }
         }
-        this.circuits.set(circuitId, circuit);
-        return circuitId;
+        if (relay.introFor && this.introPoints.get(relay.introFor) === relay) {
+            this.introPoints.delete(relay.introFor);
+        }
+        if (relay.cookie && this.rendezvousPoints.get(relay.cookie) === relay) {
+            this.rendezvousPoints.delete(relay.cookie);
+        }
+        if (relay.joined) {
+            this.destroyRelay(relay.joined, null, reason); // Both halves of a rendezvous go together
+        }
     }
 
     /**
-     * Simulate node discovery and return node info.
-     * @param {string} nodeId - The node ID to look up.
-     * @returns {Promise<{publicKey: any, address: string}>} The node's public key and address.
+     * Peel the backward layers of a RELAY cell on a circuit we originated and act on it.
+     * @param {object} circuit - The circuit.
+     * @param {object} payload - The sealed cell body.
+     */
+    handleBackwardRelay(circuit, payload) {
+        let body = payload;
+        for (let i = 0; i < circuit.hops.length; i++) {
+            const layer = this.open(circuit.hops[i].backwardKey, body);
+            if (layer.backward) {
+                body = layer.backward;
+                continue;
+            }
+            if (i !== circuit.hops.length - 1) return;
+            if (ANSWER_COMMANDS.has(layer.command)) {
+                this.resolveReply(circuit, layer.command, layer.data);
+            } else if (layer.command === 'RENDEZVOUS_JOINED') {
+                this.completeRendezvous(circuit, layer.data);
+            } else if (layer.command === 'INTRODUCE' && circuit.service && circuit.state === 'open') {
+                this.emit('introduction', circuit.id, layer.data);
+            } else if (layer.command === 'LOOP') {
+                this.emit('loop', circuit.id, layer.data);
+            } else if (layer.command === 'DATA' && circuit.state === 'open') {
+                let data = layer.data;
+                if (circuit.endToEnd) {
+                    try {
+                        data = this.openEndToEnd(circuit, data);
+                    } catch (error) {
+                        // Only the rendezvous point can inject or replay end-to-end data; stop trusting the circuit
+                        this.destroyCircuit(circuit.id, error.message);
+                        return;
+                    }
+                }
+                this.emit('circuitReply', circuit.id, data);
+            }
+            return;
+        }
+    }
+
+    /**
+     * Send a relay command to one hop of a circuit we originated, sealed once for every hop up to it.
+     * @param {object} circuit - The circuit.
+     * @param {number} hopIndex - The addressed hop.
+     * @param {string} command - The relay command.
+     * @param {any} data - The command data.
+     */
+    sendRelay(circuit, hopIndex, command, data) {
+        let body = this.seal(circuit.hops[hopIndex].forwardKey, { command, data });
+        for (let i = hopIndex - 1; i >= 0; i--) {
+            body = this.seal(circuit.hops[i].forwardKey, { forward: body });
+        }
+        this.sendCell(circuit.link, circuit.circId, 'RELAY', body);
+    }
+
+    /**
+     * Send a cell on a link, ignoring links that have already closed.
+     * @param {{send: Function}} link - The link.
+     * @param {string} circId - The circuit ID on that link.
+     * @param {string} command - CREATE, CREATED, RELAY or DESTROY.
+     * @param {any} payload - The cell payload.
+     */
+    sendCell(link, circId, command, payload) {
+        try {
+            link.send({ type: 'CELL', circId, command, payload });
+        } catch (error) {
+            console.error(`Could not send ${command} cell:`, error.message);
+        }
+    }
+
+    /**
+     * Send a request on a circuit and wait for the answer carrying the expected command.
+     * @param {object} circuit - The circuit.
+     * @param {string} command - The command answering the request (CREATED, EXTENDED, INTRODUCE_ACK, ...).
+     * @param {Function} send - Sends the request.
+     * @param {number} [timeout=this.buildTimeout] - Time to wait for the answer (ms).
+     * @returns {Promise<object>} The answer.
+     */
+    awaitReply(circuit, command, send, timeout = this.buildTimeout) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                circuit.pending = null;
+                reject(new Error(command === 'CREATED' || command === 'EXTENDED'
+                    ? 'Circuit extension timed out'
+                    : `Timed out waiting for ${command}`));
+            }, timeout);
+            circuit.pending = { resolve, reject, timer, command };
+            send();
+        });
+    }
+
+    /**
+     * Resolve the pending request of a circuit if the answer is the one it waits for.
+     * @param {object} circuit - The circuit.
+     * @param {string} command - The answering command.
+     * @param {object} reply - The answer's payload.
+     */
+    resolveReply(circuit, command, reply) {
+        if (!circuit.pending || circuit.pending.command !== command) return;
+        clearTimeout(circuit.pending.timer);
+        circuit.pending.resolve(reply);
+        circuit.pending = null;
+    }
+
+    /**
+     * Send a relay command to the last hop of a circuit and wait for its answer.
+     * @param {object} circuit - The circuit.
+     * @param {string} command - The relay command.
+     * @param {any} data - The command data.
+     * @param {string} answer - The command answering it.
+     * @returns {Promise<object>} The answer.
+     * @throws {Error} If the hop refuses the request or does not answer in time.
+     */
+    async request(circuit, command, data, answer) {
+        const reply = await this.awaitReply(circuit, answer, () => {
+            this.sendRelay(circuit, circuit.hops.length - 1, command, data);
+        });
+        if (!reply || !reply.ok) {
+            throw new Error(`${command} refused: ${reply && typeof reply.error === 'string' ? reply.error : 'no reason'}`);
+        }
+        return reply;
+    }
+
+    /**
+     * Make the last hop of one of our circuits an introduction point for a service we host.
+     * The circuit is kept open (not expired or reused) and receives INTRODUCE commands.
+     * @param {string} circuitId - The circuit ID.
+     * @param {import('./AnonymousIdentity')} serviceIdentity - The service's identity.
+     * @returns {Promise<void>}
+     * @throws {Error} If the hop refuses or does not answer.
+     */
+    async establishIntro(circuitId, serviceIdentity) {
+        const circuit = this.getOpenCircuit(circuitId);
+        const hop = circuit.hops[circuit.hops.length - 1];
+        await this.request(circuit, 'ESTABLISH_INTRO', {
+            pseudonym: serviceIdentity.pseudonym,
+            proof: serviceIdentity.createZKProof(this.introContext(hop.forwardKey))
+        }, 'INTRO_ESTABLISHED');
+        circuit.service = serviceIdentity.pseudonym;
+        circuit.persistent = true;
+        circuit.reusable = false;
+    }
+
+    /**
+     * Reach a hidden service: register a cookie at the last hop of our rendezvous circuit, introduce
+     * ourselves through the service's introduction point and wait for the service to join us there.
+     * The rendezvous circuit then carries DATA to the service, end-to-end encrypted.
+     * @param {string} introCircuitId - A circuit whose last hop is one of the service's introduction points.
+     * @param {string} rendezvousCircuitId - The circuit whose last hop becomes the rendezvous point.
+     * @param {{pseudonym: string, publicKey: crypto.KeyObject}} service - The service.
+     * @returns {Promise<void>}
+     * @throws {Error} If a hop refuses, or the service does not join in time.
+     */
+    async connectService(introCircuitId, rendezvousCircuitId, service) {
+        const intro = this.getOpenCircuit(introCircuitId);
+        const rendezvous = this.getOpenCircuit(rendezvousCircuitId);
+        const cookie = crypto.randomBytes(20).toString('hex');
+        await this.request(rendezvous, 'ESTABLISH_RENDEZVOUS', { cookie }, 'RENDEZVOUS_ESTABLISHED');
+        const ephemeral = crypto.generateKeyPairSync('x25519');
+        const clientKey = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+        rendezvous.rendezvous = { ephemeral, clientKey };
+        const introduction = this.encryptLayer({
+            rendezvousPoint: rendezvous.hops[rendezvous.hops.length - 1].id,
+            cookie,
+            ephemeralKey: clientKey.toString('base64')
+        }, service.publicKey);
+        const joined = this.awaitReply(rendezvous, 'RENDEZVOUS_JOINED', () => {}, this.rendezvousTimeout);
+        joined.catch(() => {}); // Observed below; avoids an unhandled rejection if INTRODUCE fails first
+        try {
+            await this.request(intro, 'INTRODUCE', { pseudonym: service.pseudonym, introduction }, 'INTRODUCE_ACK');
+        } catch (error) {
+            this.resolveReply(rendezvous, 'RENDEZVOUS_JOINED', null);
+            throw error;
+        }
+        await joined;
+        if (!rendezvous.endToEnd) {
+            throw new Error('Service failed to authenticate rendezvous handshake');
+        }
+        rendezvous.target = service.pseudonym;
+        rendezvous.reusable = true;
+    }
+
+    /**
+     * Finish the client side of a rendezvous when the service's handshake arrives, deriving the
+     * end-to-end keys before any of the service's DATA can be processed.
+     * @param {object} circuit - The client's rendezvous circuit.
+     * @param {object} reply - The service's handshake.
+     */
+    completeRendezvous(circuit, reply) {
+        if (!circuit.rendezvous || !circuit.pending || circuit.pending.command !== 'RENDEZVOUS_JOINED') return;
+        try {
+            const { forwardKey, backwardKey } = this.completeHandshake(circuit.rendezvous, reply);
+            circuit.endToEnd = this.createEndToEnd(forwardKey, backwardKey);
+        } catch (error) {
+            console.error('Rendezvous handshake failed:', error.message);
+        }
+        delete circuit.rendezvous;
+        this.resolveReply(circuit, 'RENDEZVOUS_JOINED', reply);
+    }
+
+    /**
+     * Answer a client's introduction as a service: present its cookie at the rendezvous point at
+     * the end of one of our circuits, with our half of the end-to-end handshake.
+     * @param {string} circuitId - A circuit whose last hop is the client's rendezvous point.
+     * @param {{cookie: string, ephemeralKey: string}} introduction - The decrypted introduction.
+     * @param {string} pseudonym - The service's pseudonym.
+     * @returns {Promise<void>}
+     * @throws {Error} If the rendezvous point refuses or does not answer.
+     */
+    async acceptRendezvous(circuitId, introduction, pseudonym) {
+        const circuit = this.getOpenCircuit(circuitId);
+        const { reply, forwardKey, backwardKey } = this.acceptHandshake(Buffer.from(introduction.ephemeralKey, 'base64'));
+        // Keys are in place before RENDEZVOUS is sent, so the client's first DATA can be opened
+        circuit.endToEnd = this.createEndToEnd(backwardKey, forwardKey);
+        circuit.service = pseudonym;
+        circuit.reusable = false;
+        await this.request(circuit, 'RENDEZVOUS', { cookie: introduction.cookie, handshake: reply }, 'RENDEZVOUS_ACK');
+    }
+
+    /**
+     * Create the end-to-end state of a rendezvous circuit.
+     * @param {Buffer} sendKey - Key sealing our DATA.
+     * @param {Buffer} receiveKey - Key opening the other end's DATA.
+     * @returns {{sendKey: Buffer, receiveKey: Buffer, sent: number, received: number, seen: bigint}} The state.
+     */
+    createEndToEnd(sendKey, receiveKey) {
+        // received: highest sequence number opened; seen: bit i set if received - i was opened
+        return { sendKey, receiveKey, sent: 0, received: 0, seen: 0n };
+    }
+
+    /**
+     * Seal DATA for the other end of a rendezvous, numbering it so that replays are rejected.
+     * @param {object} circuit - The rendezvous circuit.
+     * @param {any} payload - The data.
+     * @returns {{iv: string, tag: string, data: string}} The sealed data.
+     */
+    sealEndToEnd(circuit, payload) {
+        return this.seal(circuit.endToEnd.sendKey, { seq: ++circuit.endToEnd.sent, payload });
+    }
+
+    /**
+     * Open DATA from the other end of a rendezvous. DATA may arrive out of order, so any sequence
+     * number within REPLAY_WINDOW of the highest one seen is accepted, but each only once.
+     * @param {object} circuit - The rendezvous circuit.
+     * @param {object} sealed - The sealed data.
+     * @returns {any} The data.
+     * @throws {Error} If the data does not authenticate, was replayed or is too old to tell.
+     */
+    openEndToEnd(circuit, sealed) {
+        const endToEnd = circuit.endToEnd;
+        let opened;
+        try {
+            opened = this.open(endToEnd.receiveKey, sealed);
+        } catch (error) {
+            throw new Error('End-to-end data failed authentication');
+        }
+        const { seq, payload } = opened;
+        if (!Number.isSafeInteger(seq) || seq < 1) {
+            throw new Error('Malformed end-to-end data');
+        }
+        if (seq > endToEnd.received) {
+            const shift = seq - endToEnd.received;
+            endToEnd.seen = shift >= REPLAY_WINDOW
+                ? 1n
+                : ((endToEnd.seen << BigInt(shift)) | 1n) & ((1n << BigInt(REPLAY_WINDOW)) - 1n);
+            endToEnd.received = seq;
+            return payload;
+        }
+        const offset = endToEnd.received - seq;
+        if (offset >= REPLAY_WINDOW) {
+            throw new Error('End-to-end data outside the replay window');
+        }
+        const bit = 1n << BigInt(offset);
+        if (endToEnd.seen & bit) {
+            throw new Error('Replayed end-to-end data');
+        }
+        endToEnd.seen |= bit;
+        return payload;
+    }
+
+    /**
+     * Derive the context a service's ESTABLISH_INTRO proof is bound to from the hop's forward key,
+     * which only the service and the introduction point know.
+     * @param {Buffer} forwardKey - The introduction point's forward key.
+     * @returns {string} The context.
+     */
+    introContext(forwardKey) {
+        return crypto.createHmac('sha256', forwardKey).update('establish-intro').digest('hex');
+    }
+
+    /**
+     * Get one of our circuits that is open.
+     * @param {string} circuitId - The circuit ID.
+     * @returns {object} The circuit.
+     * @throws {Error} If the circuit is not open.
+     */
+    getOpenCircuit(circuitId) {
+        const circuit = this.circuits.get(circuitId);
+        if (!circuit || circuit.state !== 'open') {
+            throw new Error(`Circuit ${circuitId} is not open`);
+        }
+        return circuit;
+    }
+
+    /**
+     * Start a hop handshake: an ephemeral X25519 key, encrypted to the hop's identity key.
+     * @param {crypto.KeyObject} publicKey - The hop's identity public key.
+     * @returns {{ephemeral: object, clientKey: Buffer, onionskin: object}} The handshake state and the onionskin to send.
+     */
+    createHandshake(publicKey) {
+        const ephemeral = crypto.generateKeyPairSync('x25519');
+        const clientKey = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+        return {
+            ephemeral,
+            clientKey,
+            onionskin: this.encryptLayer({ ephemeralKey: clientKey.toString('base64') }, publicKey)
+        };
+    }
+
+    /**
+     * Answer a handshake as its responding side: agree on keys with the initiator's ephemeral
+     * X25519 key and build the answer (our ephemeral key and a MAC proving we derived the same keys).
+     * @param {Buffer} clientKey - The initiator's ephemeral public key (DER).
+     * @returns {{reply: {ephemeralKey: string, auth: string}, forwardKey: Buffer, backwardKey: Buffer}} The answer and the keys.
+     */
+    acceptHandshake(clientKey) {
+        const ephemeral = crypto.generateKeyPairSync('x25519');
+        const relayKey = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+        const shared = crypto.diffieHellman({
+            privateKey: ephemeral.privateKey,
+            publicKey: crypto.createPublicKey({ key: clientKey, type: 'spki', format: 'der' })
+        });
+        const { forwardKey, backwardKey, confirmKey } = this.deriveHopKeys(shared, clientKey, relayKey);
+        return {
+            reply: { ephemeralKey: relayKey.toString('base64'), auth: this.handshakeAuth(confirmKey) },
+            forwardKey,
+            backwardKey
+        };
+    }
+
+    /**
+     * Finish a hop handshake from the hop's CREATED answer.
+     * @param {{ephemeral: object, clientKey: Buffer}} handshake - The state from createHandshake().
+     * @param {{ephemeralKey: string, auth: string}} reply - The hop's answer.
+     * @returns {{forwardKey: Buffer, backwardKey: Buffer}} The hop keys.
+     * @throws {Error} If the hop could not prove it derived the same keys.
+     */
+    completeHandshake(handshake, reply) {
+        if (!reply || typeof reply.ephemeralKey !== 'string' || typeof reply.auth !== 'string') {
+            throw new Error('Malformed CREATED');
+        }
+        const relayKey = Buffer.from(reply.ephemeralKey, 'base64');
+        const shared = crypto.diffieHellman({
+            privateKey: handshake.ephemeral.privateKey,
+            publicKey: crypto.createPublicKey({ key: relayKey, type: 'spki', format: 'der' })
+        });
+        const { forwardKey, backwardKey, confirmKey } = this.deriveHopKeys(shared, handshake.clientKey, relayKey);
+        const expected = Buffer.from(this.handshakeAuth(confirmKey), 'base64');
+        const received = Buffer.from(reply.auth, 'base64');
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw new Error('Hop failed to authenticate circuit handshake');
+        }
+        return { forwardKey, backwardKey };
+    }
+
+    /**
+     * Derive a hop's forward, backward and confirmation keys from the handshake secret.
+     * @param {Buffer} shared - The X25519 shared secret.
+     * @param {Buffer} clientKey - The client's ephemeral public key (DER).
+     * @param {Buffer} relayKey - The hop's ephemeral public key (DER).
+     * @returns {{forwardKey: Buffer, backwardKey: Buffer, confirmKey: Buffer}} The keys.
+     */
+    deriveHopKeys(shared, clientKey, relayKey) {
+        const keys = Buffer.from(crypto.hkdfSync('sha256', shared, Buffer.concat([clientKey, relayKey]), 'circuit-hop', 96));
+        return {
+            forwardKey: keys.subarray(0, 32),
+            backwardKey: keys.subarray(32, 64),
+            confirmKey: keys.subarray(64, 96)
+        };
+    }
+
+    /**
+     * Compute the MAC a hop sends in CREATED to prove it derived the hop keys.
+     * @param {Buffer} confirmKey - The confirmation key.
+     * @returns {string} The base64 MAC.
+     */
+    handshakeAuth(confirmKey) {
+        return crypto.createHmac('sha256', confirmKey).update('circuit-created').digest('base64');
+    }
+
+    /**
+     * Encrypt one circuit layer with a hop key (AES-256-GCM, random IV).
+     * @param {Buffer} key - The hop key.
+     * @param {object} data - The layer contents.
+     * @returns {{iv: string, tag: string, data: string}} The sealed layer.
+     */
+    seal(key, data) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const encrypted = Buffer.concat([cipher.update(JSON.stringify(data)), cipher.final()]);
+        return {
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: encrypted.toString('base64')
+        };
+    }
+
+    /**
+     * Decrypt one circuit layer.
+     * @param {Buffer} key - The hop key.
+     * @param {{iv: string, tag: string, data: string}} sealed - The sealed layer.
+     * @returns {object} The layer contents.
+     * @throws {Error} If the layer does not authenticate.
+     */
+    open(key, sealed) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+        const decrypted = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+        return JSON.parse(decrypted.toString());
+    }
+
+    /**
+     * Build the routing key for a circuit ID on a link.
+     * @param {object} link - The link.
+     * @param {string} circId - The circuit ID on that link.
+     * @returns {string} The routing key.
+     */
+    routeKey(link, circId) {
+        return `${this.linkId(link)}/${circId}`;
+    }
+
+    /**
+     * Get the local numeric ID of a link.
+     * @param {object} link - The link.
+     * @returns {number} The link ID.
+     */
+    linkId(link) {
+        if (!this.linkIds.has(link)) {
+            this.linkIds.set(link, this.nextLinkId++);
+        }
+        return this.linkIds.get(link);
+    }
+
+    /**
+     * Release router state when the owning node stops: destroy our circuits and forget relayed ones.
+     */
+    stop() {
+        for (const circuitId of Array.from(this.circuits.keys())) {
+            this.destroyCircuit(circuitId, 'stopped');
+        }
+        this.routes.clear();
+        this.introPoints.clear();
+        this.rendezvousPoints.clear();
+    }
+
+    /**
+     * Remember a descriptor after verifying it.
+     * @param {object} descriptor - The node descriptor.
+     * @returns {boolean} True if the descriptor was valid and cached.
+     */
+    addDescriptor(descriptor) {
+        if (!NodeDescriptor.verify(descriptor)) {
+            return false;
+        }
+        const existing = this.descriptors.get(descriptor.pseudonym);
+        if (!existing || existing.published <= descriptor.published) {
+            this.descriptors.set(descriptor.pseudonym, descriptor);
+        }
+        return true;
+    }
+
+    /**
+     * Resolve a node's public key and address from its signed descriptor in the DHT. The descriptor
+     * is looked up over disjoint paths, and forged copies do not end the lookup.
+     * @param {string} nodeId - The node ID (pseudonym) to look up.
+     * @returns {Promise<{publicKey: any, address: string, capabilities: Array<string>, operator: string|null, via: string|null}|null>} The node info, or null if no valid descriptor exists.
      */
     async getNodeInfo(nodeId) {
-        // Simulate node discovery
+        let descriptor = this.descriptors.get(nodeId);
+        if (!descriptor || descriptor.expires <= Date.now()) {
+            this.descriptors.delete(nodeId);
+            if (!this.dht) return null;
+            descriptor = await this.dht.retrieve(NodeDescriptor.key(nodeId), {
+                disjoint: true,
+                accept: value => NodeDescriptor.verify(value, nodeId)
+            });
+            if (!NodeDescriptor.verify(descriptor, nodeId)) return null;
+            this.descriptors.set(nodeId, descriptor);
+        }
         return {
-            publicKey: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).publicKey,
-            address: `${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}:${3000 + Math.floor(Math.random() * 1000)}`
+            publicKey: crypto.createPublicKey(descriptor.publicKey),
+            address: descriptor.address,
+            capabilities: descriptor.capabilities,
+            operator: descriptor.operator,
+            via: descriptor.via
         };
     }
 }
 
+OnionRouter.REPLAY_WINDOW = REPLAY_WINDOW;
+
 module.exports = OnionRouter; 
\ No newline at end of file
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+/** Version of the guard file format written by saveGuards(). */
+const GUARD_FILE_VERSION = 1;
+
+/**
+ * PathSelector picks the hops of new circuits.
+ * - The first hop is one of a few persistent entry guards, so that a client does not expose
+ *   itself to every relay in turn as entry. Guards are kept for `guardLifetime` and replaced
+ *   after repeated failures; they survive restarts if `guardsPath` is set.
+ * - No node appears twice, we and the excluded nodes (e.g. the destination) are never picked,
+ *   and no two hops share a /16 subnet (/32 for IPv6) or a declared operator.
+ * - Relays are weighted by their measured bandwidth (from circuit-build round trips), observed
+ *   uptime and build success rate, and by their reputation if a ReputationManager is given;
+ *   distrusted relays are never picked and distrusted guards are replaced.
+ */
+class PathSelector {
+    /**
+     * Create a new PathSelector.
+     * @param {object} [options] - Selection settings.
+     * @param {string} [options.guardsPath] - File the entry guards are persisted to.
+     * @param {number} [options.guardCount=3] - Number of entry guards.
+     * @param {number} [options.guardLifetime=2592000000] - How long a guard is kept (ms, default 30 days).
+     * @param {number} [options.maxGuardFailures=3] - Consecutive failures before a guard is replaced.
+     * @param {boolean} [options.subnetDiversity=true] - Forbid two hops in the same /16 subnet.
+     * @param {number} [options.uptimeTarget=86400000] - Observed uptime after which a relay gets full weight (ms).
+     * @param {import('./ReputationManager')} [options.reputation] - Peer scores that scale weights and exclude distrusted relays.
+     */
+    constructor(options = {}) {
+        /** @type {string|undefined} */
+        this.guardsPath = options.guardsPath;
+        /** @type {number} */
+        this.guardCount = options.guardCount || 3;
+        /** @type {number} */
+        this.guardLifetime = options.guardLifetime || 30 * 24 * 3600000; // ms
+        /** @type {number} */
+        this.maxGuardFailures = options.maxGuardFailures || 3;
+        /** @type {boolean} */
+        this.subnetDiversity = options.subnetDiversity !== false;
+        /** @type {number} */
+        this.uptimeTarget = options.uptimeTarget || 24 * 3600000; // ms
+        /** @type {import('./ReputationManager')|null} */
+        this.reputation = options.reputation || null;
+        /** @type {Array<{id: string, added: number, failures: number}>} */
+        this.guards = this.guardsPath ? this.loadGuards() : [];
+        /** @type {Map<string, {firstSeen: number, lastSeen: number, bandwidth: number|null, successes: number, failures: number}>} */
+        this.stats = new Map(); // Measurements per relay
+    }
+
+    /**
+     * Select the hops of a circuit.
+     * @param {Array<{id: string, address: string, operator?: string}>} candidates - Relays that may be used.
+     * @param {object} [options] - Path constraints.
+     * @param {number} [options.length=3] - Total number of hops, including `last`.
+     * @param {{id: string, address: string, operator?: string}|null} [options.last=null] - Node the circuit must end at.
+     * @param {{id: string, address: string, operator?: string}|null} [options.first=null] - Node the circuit must start at,
+     *     instead of an entry guard (a leaf's supernode).
+     * @param {Array<string>} [options.exclude=[]] - Node IDs that must not appear (ourselves, the destination).
+     * @returns {Array<string>} The node IDs, entry first.
+     * @throws {Error} If the constraints cannot be met with the known relays.
+     */
+    selectPath(candidates, options = {}) {
+        const length = options.length || 3;
+        const last = options.last || null;
+        const first = options.first || null;
+        const excluded = new Set(options.exclude || []);
+        if (last) excluded.add(last.id);
+        if (first) excluded.add(first.id);
+        const usable = candidates.filter(candidate => !excluded.has(candidate.id) && !this.isDistrusted(candidate.id));
+        this.observe(usable);
+        const hops = [];
+        const relayCount = last ? length - 1 : length;
+        if (relayCount > 0) {
+            const entry = first || this.chooseGuard(usable, last ? [last] : []);
+            if (!entry) {
+                throw this.subnetShortage(usable, [first, last], length) || new Error('No usable entry guard');
+            }
+            hops.push(entry);
+        }
+        while (hops.length < relayCount) {
+            const chosen = last ? [...hops, last] : hops;
+            const relay = this.weightedChoice(usable.filter(candidate => this.isCompatible(candidate, chosen)));
+            if (!relay) {
+                throw this.subnetShortage(usable, [first, last], length)
+                    || new Error(`Not enough diverse relays for a ${length}-hop circuit`);
+            }
+            hops.push(relay);
+        }
+        if (last) hops.push(last);
+        return hops.map(hop => hop.id);
+    }
+
+    /**
+     * Pick the entry guard for a circuit, first replacing expired, failing or distrusted guards and
+     * adding new ones while fewer than `guardCount` are reachable.
+     * @param {Array<{id: string, address: string, operator?: string}>} candidates - Reachable relays.
+     * @param {Array<{id: string, address: string, operator?: string}>} chosen - Hops the guard must be diverse from.
+     * @returns {{id: string, address: string, operator?: string}|null} The guard, or null if none fits.
+     */
+    chooseGuard(candidates, chosen) {
+        const now = Date.now();
+        const before = this.guards.length;
+        this.guards = this.guards.filter(guard => now - guard.added < this.guardLifetime
+            && guard.failures < this.maxGuardFailures && !this.isDistrusted(guard.id));
+        let changed = this.guards.length !== before;
+        const byId = new Map(candidates.map(candidate => [candidate.id, candidate]));
+        let reachable = this.guards.filter(guard => byId.has(guard.id));
+        while (reachable.length < this.guardCount && this.guards.length < this.guardCount * 2) {
+            const guardIds = new Set(this.guards.map(guard => guard.id));
+            const candidate = this.weightedChoice(candidates.filter(node => !guardIds.has(node.id)));
+            if (!candidate) break;
+            const guard = { id: candidate.id, added: now, failures: 0 };
+            this.guards.push(guard);
+            reachable.push(guard);
+            changed = true;
+        }
+        if (changed) this.saveGuards();
+        const fitting = reachable.map(guard => byId.get(guard.id)).filter(node => this.isCompatible(node, chosen));
+        return fitting.length > 0 ? fitting[Math.floor(Math.random() * fitting.length)] : null;
+    }
+
+    /**
+     * Check that a node may join a path: not already on it, and in a different subnet and
+     * operator from every hop on it.
+     * @param {{id: string, address: string, operator?: string}} node - The node.
+     * @param {Array<{id: string, address: string, operator?: string}>} chosen - The hops chosen so far.
+     * @returns {boolean} True if the node may be added.
+     */
+    isCompatible(node, chosen) {
+        return chosen.every(hop => hop.id !== node.id &&
+            (!this.subnetDiversity || PathSelector.subnet(hop.address) !== PathSelector.subnet(node.address)) &&
+            (!hop.operator || hop.operator !== node.operator));
+    }
+
+    /**
+     * Explain a failed selection that subnet diversity made impossible: when the candidates and
+     * fixed hops span fewer subnets than the path has hops, no choice of guard or relays can work.
+     * @param {Array<{id: string, address: string}>} usable - The usable candidates.
+     * @param {Array<{id: string, address: string}|null>} fixed - Hops the path must contain (first, last).
+     * @param {number} length - Total number of hops.
+     * @returns {Error|null} The error to report, or null if diversity is not the cause.
+     */
+    subnetShortage(usable, fixed, length) {
+        if (!this.subnetDiversity) return null;
+        const nodes = [...usable, ...fixed.filter(Boolean)];
+        const subnets = new Set(nodes.map(node => PathSelector.subnet(node.address)));
+        if (nodes.length < length || subnets.size >= length) return null;
+        const where = subnets.size === 1 ? 'all share one /16 subnet' : `span only ${subnets.size} /16 subnets`;
+        return new Error(`Cannot build a ${length}-hop circuit: the ${nodes.length} known relays ${where}, ` +
+            'and subnetDiversity forbids two hops in the same subnet; set subnetDiversity: false for single-host or LAN networks');
+    }
+
+    /**
+     * Check whether a relay's reputation is too low to use it.
+     * @param {string} nodeId - The relay.
+     * @returns {boolean} True if it is distrusted.
+     */
+    isDistrusted(nodeId) {
+        return !!this.reputation && this.reputation.isDistrusted(nodeId);
+    }
+
+    /**
+     * Pick a node at random, in proportion to its weight.
+     * @param {Array<{id: string}>} nodes - The nodes to choose from.
+     * @returns {object|null} The chosen node, or null if there are none.
+     */
+    weightedChoice(nodes) {
+        if (nodes.length === 0) return null;
+        const weights = nodes.map(node => this.weight(node.id));
+        let point = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < nodes.length; i++) {
+            point -= weights[i];
+            if (point < 0) return nodes[i];
+        }
+        return nodes[nodes.length - 1];
+    }
+
+    /**
+     * Compute a relay's selection weight: measured bandwidth (the median of measured relays until it
+     * has been measured), scaled by observed uptime, build success rate and reputation.
+     * @param {string} nodeId - The relay.
+     * @returns {number} The weight.
+     */
+    weight(nodeId) {
+        const stats = this.stats.get(nodeId);
+        const bandwidth = stats && stats.bandwidth !== null ? stats.bandwidth : this.medianBandwidth();
+        const uptime = stats ? Math.min(1, (Date.now() - stats.firstSeen) / this.uptimeTarget) : 0;
+        const successRate = stats ? (stats.successes + 1) / (stats.successes + stats.failures + 2) : 0.5;
+        const reputation = this.reputation ? this.reputation.factor(nodeId) : 1;
+        return bandwidth * (0.5 + 0.5 * uptime) * successRate * reputation;
+    }
+
+    /**
+     * Get the median measured bandwidth, used for relays that have not been measured yet.
+     * @returns {number} The median (bytes/s), or 1 if nothing has been measured.
+     */
+    medianBandwidth() {
+        const measured = Array.from(this.stats.values())
+            .map(stats => stats.bandwidth)
+            .filter(bandwidth => bandwidth !== null)
+            .sort((a, b) => a - b);
+        return measured.length > 0 ? measured[Math.floor(measured.length / 2)] : 1;
+    }
+
+    /**
+     * Note that relays are currently reachable, starting their uptime if they are new or were
+     * not seen for longer than the uptime target.
+     * @param {Array<{id: string}>} nodes - The relays.
+     */
+    observe(nodes) {
+        const now = Date.now();
+        for (const node of nodes) {
+            const stats = this.stats.get(node.id);
+            if (!stats) {
+                this.stats.set(node.id, { firstSeen: now, lastSeen: now, bandwidth: null, successes: 0, failures: 0 });
+                continue;
+            }
+            if (now - stats.lastSeen > this.uptimeTarget) {
+                stats.firstSeen = now;
+            }
+            stats.lastSeen = now;
+        }
+    }
+
+    /**
+     * Record a successful hop of a circuit build and its measured bandwidth.
+     * @param {string} nodeId - The hop.
+     * @param {{bytes: number, ms: number}} measurement - Bytes exchanged with the hop and the time it took.
+     */
+    recordSuccess(nodeId, measurement) {
+        const stats = this.statsFor(nodeId);
+        const bandwidth = measurement.bytes / (Math.max(measurement.ms, 1) / 1000);
+        stats.bandwidth = stats.bandwidth === null ? bandwidth : 0.8 * stats.bandwidth + 0.2 * bandwidth; // EWMA
+        stats.successes++;
+        const guard = this.guards.find(entry => entry.id === nodeId);
+        if (guard && guard.failures > 0) {
+            guard.failures = 0;
+            this.saveGuards();
+        }
+    }
+
+    /**
+     * Record that a hop failed to answer during a circuit build. Its uptime restarts, and a guard
+     * is replaced after `maxGuardFailures` consecutive failures.
+     * @param {string} nodeId - The hop.
+     */
+    recordFailure(nodeId) {
+        const stats = this.statsFor(nodeId);
+        stats.failures++;
+        stats.firstSeen = Date.now();
+        const guard = this.guards.find(entry => entry.id === nodeId);
+        if (guard) {
+            guard.failures++;
+            this.saveGuards();
+        }
+    }
+
+    /**
+     * Get (creating if needed) the measurements of a relay.
+     * @param {string} nodeId - The relay.
+     * @returns {{firstSeen: number, lastSeen: number, bandwidth: number|null, successes: number, failures: number}} The measurements.
+     */
+    statsFor(nodeId) {
+        if (!this.stats.has(nodeId)) {
+            this.observe([{ id: nodeId }]);
+        }
+        return this.stats.get(nodeId);
+    }
+
+    /**
+     * Load the entry guards from `guardsPath`.
+     * @returns {Array<{id: string, added: number, failures: number}>} The guards (empty if the file does not exist).
+     * @throws {Error} If the file has an unsupported version.
+     */
+    loadGuards() {
+        if (!fs.existsSync(this.guardsPath)) return [];
+        const stored = JSON.parse(fs.readFileSync(this.guardsPath, 'utf8'));
+        if (stored.version !== GUARD_FILE_VERSION) {
+            throw new Error(`Unsupported guard file version ${stored.version}`);
+        }
+        return stored.guards.filter(guard => typeof guard.id === 'string' && typeof guard.added === 'number');
+    }
+
+    /**
+     * Write the entry guards to `guardsPath` atomically (no-op without a path).
+     */
+    saveGuards() {
+        if (!this.guardsPath) return;
+        try {
+            fs.mkdirSync(path.dirname(this.guardsPath), { recursive: true });
+            const tmpPath = `${this.guardsPath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: GUARD_FILE_VERSION, guards: this.guards }, null, 2), { mode: 0o600 });
+            fs.renameSync(tmpPath, this.guardsPath);
+        } catch (error) {
+            console.error('Error saving entry guards:', error);
+        }
+    }
+
+    /**
+     * Get the subnet of an address for diversity checks: the /16 of an IPv4 address, the /32 of
+     * an IPv6 address, or the host name itself.
+     * @param {string} address - The address (host:port, or [host]:port for IPv6).
+     * @returns {string} The subnet.
+     */
+    static subnet(address) {
+        const host = address.replace(/:\d+$/, '').replace(/^\[(.*)\]$/, '$1');
+        if (net.isIPv4(host)) {
+            return host.split('.').slice(0, 2).join('.');
+        }
+        if (net.isIPv6(host)) {
+            const leading = host.split('::')[0].split(':').filter(Boolean); // Groups before any '::' come first
+            return [leading[0], leading[1]].map(group => parseInt(group || '0', 16).toString(16)).join(':');
+        }
+        return host.toLowerCase();
+    }
+}
+
+module.exports = PathSelector;
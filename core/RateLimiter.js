@@ -0,0 +1,63 @@
+/**
+ * RateLimiter keeps one token bucket per key (an IP address, a peer): each bucket holds at most
+ * `burst` tokens and refills at `rate` tokens per second, and every message takes a token.
+ * Buckets that have refilled completely carry no state and are dropped when the table reaches
+ * `maxKeys` (then the oldest, if none has), so the table stays bounded whatever the number of senders.
+ */
+class RateLimiter {
+    /**
+     * Create a new RateLimiter.
+     * @param {object} [options] - Limiter settings.
+     * @param {number} [options.rate=100] - Tokens added per second.
+     * @param {number} [options.burst=200] - Bucket capacity.
+     * @param {number} [options.maxKeys=10000] - Number of buckets kept before idle ones are pruned.
+     */
+    constructor(options = {}) {
+        /** @type {number} */
+        this.rate = options.rate || 100; // Tokens per second
+        /** @type {number} */
+        this.burst = options.burst || 200;
+        /** @type {number} */
+        this.maxKeys = options.maxKeys || 10000;
+        /** @type {Map<string, {tokens: number, updated: number}>} */
+        this.buckets = new Map();
+    }
+
+    /**
+     * Take tokens from a key's bucket.
+     * @param {string} key - The key.
+     * @param {number} [cost=1] - Tokens to take.
+     * @returns {boolean} False if the bucket does not hold enough tokens (nothing is taken).
+     */
+    take(key, cost = 1) {
+        const now = Date.now();
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            if (this.buckets.size >= this.maxKeys) this.prune(now);
+            if (this.buckets.size >= this.maxKeys) {
+                this.buckets.delete(this.buckets.keys().next().value); // Still full: forget the oldest bucket
+            }
+            bucket = { tokens: this.burst, updated: now };
+            this.buckets.set(key, bucket);
+        }
+        bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updated) / 1000 * this.rate);
+        bucket.updated = now;
+        if (bucket.tokens < cost) return false;
+        bucket.tokens -= cost;
+        return true;
+    }
+
+    /**
+     * Drop buckets that have refilled completely.
+     * @param {number} [now=Date.now()] - The current time (ms).
+     */
+    prune(now = Date.now()) {
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.tokens + (now - bucket.updated) / 1000 * this.rate >= this.burst) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = RateLimiter;
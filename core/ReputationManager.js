@@ -0,0 +1,214 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+/** Version of the reputation file format written by save(). */
+const REPUTATION_FILE_VERSION = 1;
+
+/** Score change for each kind of observation. */
+const OBSERVATIONS = {
+    rpcSuccess: 1, // Answered one of our DHT requests
+    rpcFailure: -2, // Did not answer one of our DHT requests
+    relaySuccess: 2, // Was a hop of a circuit whose loop message came back
+    relayFailure: -5, // Was a hop of a circuit that lost a loop message
+    validSignature: 1, // Served a correctly signed record
+    invalidSignature: -10, // Served a forged record
+    storeSuccess: 1, // Stored a record we replicated to it
+    storeFailure: -2, // Refused a record we replicated to it
+    abuse: -5 // Reported by the AbuseGuard
+};
+
+/**
+ * ReputationManager scores peers (by pseudonym) from what we observe of them: DHT requests they
+ * answer or time out on, circuits whose loop messages they relay or lose, records they sign and
+ * store, and abuse reports. Every observation adds a fixed amount (see OBSERVATIONS) to a score
+ * clamped to [-100, 100], and scores decay towards 0 with a half-life, so old behavior is forgotten.
+ * Scores with `statePath` survive restarts. They are used to weight and exclude relays in
+ * PathSelector, to pick eviction candidates in KademliaNode and to scale per-peer rate limits in
+ * AbuseGuard (see factor()).
+ * Emits 'scoreChanged' ({peerId, score, previous, observation}) for every observation.
+ * @extends EventEmitter
+ */
+class ReputationManager extends EventEmitter {
+    /**
+     * Create a new ReputationManager.
+     * @param {object} [options] - Reputation settings.
+     * @param {string} [options.statePath] - File scores are persisted to (kept in memory only if omitted).
+     * @param {number} [options.halfLife=86400000] - Time for a score to decay to half (ms).
+     * @param {number} [options.distrustThreshold=-20] - Score at or below which a peer is distrusted.
+     * @param {number} [options.saveInterval=300000] - How often scores are saved while running (ms).
+     * @param {number} [options.maxPeers=10000] - Number of peers scored before the weakest scores are dropped.
+     */
+    constructor(options = {}) {
+        super();
+        /** @type {string|undefined} */
+        this.statePath = options.statePath;
+        /** @type {number} */
+        this.halfLife = options.halfLife || 24 * 3600000; // ms
+        /** @type {number} */
+        this.distrustThreshold = options.distrustThreshold !== undefined ? options.distrustThreshold : -20;
+        /** @type {number} */
+        this.saveInterval = options.saveInterval || 300000; // ms
+        /** @type {number} */
+        this.maxPeers = options.maxPeers || 10000;
+        /** @type {Map<string, {score: number, updated: number}>} */
+        this.scores = this.statePath ? this.load() : new Map(); // Score as of its last update, by peer
+        /** @type {NodeJS.Timeout|null} */
+        this.saveTimer = null;
+    }
+
+    /**
+     * Start saving scores periodically (no-op without a path).
+     */
+    start() {
+        if (this.statePath && !this.saveTimer) {
+            this.saveTimer = setInterval(() => this.save(), this.saveInterval);
+        }
+    }
+
+    /**
+     * Stop saving periodically and save the scores one last time.
+     */
+    stop() {
+        clearInterval(this.saveTimer);
+        this.saveTimer = null;
+        this.save();
+    }
+
+    /**
+     * Record an observation of a peer. Emits 'scoreChanged'.
+     * @param {string} peerId - The peer's pseudonym.
+     * @param {string} observation - What we observed (a key of OBSERVATIONS).
+     * @returns {number} The new score.
+     * @throws {Error} If the observation is unknown.
+     */
+    record(peerId, observation) {
+        const delta = OBSERVATIONS[observation];
+        if (delta === undefined) {
+            throw new Error(`Unknown reputation observation: ${observation}`);
+        }
+        const previous = this.getScore(peerId);
+        const score = Math.max(-100, Math.min(100, previous + delta));
+        if (!this.scores.has(peerId) && this.scores.size >= this.maxPeers) this.prune();
+        this.scores.set(peerId, { score, updated: Date.now() });
+        this.emit('scoreChanged', { peerId, score, previous, observation });
+        return score;
+    }
+
+    /**
+     * Get a peer's current score, with decay applied.
+     * @param {string} peerId - The peer's pseudonym.
+     * @returns {number} The score, 0 for peers we know nothing about.
+     */
+    getScore(peerId) {
+        const entry = this.scores.get(peerId);
+        if (!entry) return 0;
+        return entry.score * Math.pow(0.5, (Date.now() - entry.updated) / this.halfLife);
+    }
+
+    /**
+     * Check whether a peer's score is at or below the distrust threshold.
+     * @param {string} peerId - The peer's pseudonym.
+     * @returns {boolean} True if the peer should not be used.
+     */
+    isDistrusted(peerId) {
+        return this.getScore(peerId) <= this.distrustThreshold;
+    }
+
+    /**
+     * Get the multiplier applied to a peer's relay weight and message allowance: 1 for an unknown
+     * peer, doubling every 50 points, so between 1/4 (score -100) and 4 (score 100).
+     * @param {string} peerId - The peer's pseudonym.
+     * @returns {number} The factor.
+     */
+    factor(peerId) {
+        return Math.pow(2, this.getScore(peerId) / 50);
+    }
+
+    /**
+     * Get every scored peer, best first.
+     * @returns {Array<{peerId: string, score: number}>} The scores.
+     */
+    getScores() {
+        return Array.from(this.scores.keys())
+            .map(peerId => ({ peerId, score: this.getScore(peerId) }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Forget a peer's score.
+     * @param {string} peerId - The peer's pseudonym.
+     * @returns {boolean} True if the peer had a score.
+     */
+    forget(peerId) {
+        return this.scores.delete(peerId);
+    }
+
+    /**
+     * Drop scores that have decayed to almost nothing, then, if still over `maxPeers`, the scores
+     * closest to 0 (the peers we know least about).
+     */
+    prune() {
+        const current = Array.from(this.scores.keys()).map(peerId => [peerId, this.getScore(peerId)]);
+        for (const [peerId, score] of current) {
+            if (Math.abs(score) < 0.5) this.scores.delete(peerId);
+        }
+        if (this.scores.size < this.maxPeers) return;
+        current
+            .filter(([peerId]) => this.scores.has(peerId))
+            .sort((a, b) => Math.abs(a[1]) - Math.abs(b[1]))
+            .slice(0, this.scores.size - this.maxPeers + 1)
+            .forEach(([peerId]) => this.scores.delete(peerId));
+    }
+
+    /**
+     * Load the scores from `statePath`. Decay continues from the time each score was last updated.
+     * @returns {Map<string, {score: number, updated: number}>} The scores (empty if the file does not exist).
+     * @throws {Error} If the file has an unsupported version.
+     */
+    load() {
+        if (!fs.existsSync(this.statePath)) return new Map();
+        const stored = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        if (stored.version !== REPUTATION_FILE_VERSION) {
+            throw new Error(`Unsupported reputation file version ${stored.version}`);
+        }
+        return new Map(Object.entries(stored.peers)
+            .filter(([, entry]) => typeof entry.score === 'number' && typeof entry.updated === 'number'));
+    }
+
+    /**
+     * Write the scores to `statePath` atomically (no-op without a path).
+     */
+    save() {
+        if (!this.statePath) return;
+        try {
+            this.prune();
+            fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+            const tmpPath = `${this.statePath}.tmp`;
+            const peers = Object.fromEntries(this.scores);
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: REPUTATION_FILE_VERSION, peers }, null, 2), { mode: 0o600 });
+            fs.renameSync(tmpPath, this.statePath);
+        } catch (error) {
+            console.error('Error saving reputation scores:', error);
+        }
+    }
+
+    /**
+     * Get reputation statistics.
+     * @returns {{peers: number, trusted: number, distrusted: number, average: number}} Scored peers, how many
+     *     have a positive score or are distrusted, and the average score.
+     */
+    getStats() {
+        const scores = this.getScores().map(entry => entry.score);
+        return {
+            peers: scores.length,
+            trusted: scores.filter(score => score > 0).length,
+            distrusted: scores.filter(score => score <= this.distrustThreshold).length,
+            average: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0
+        };
+    }
+}
+
+ReputationManager.OBSERVATIONS = OBSERVATIONS;
+
+module.exports = ReputationManager;
@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+
+/** secp256k1 field prime. */
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+/** secp256k1 group order. */
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+/** secp256k1 base point. */
+const G = {
+    x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+    y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+};
+/** Domain separation tag for Fiat-Shamir challenges. */
+const CHALLENGE_TAG = 'anonp2p-schnorr-v1';
+
+/**
+ * Schnorr identification over secp256k1: proves knowledge of the private scalar x behind
+ * a public key X = x*G without revealing it.
+ *
+ * Interactive protocol:
+ * 1. Prover: commit() picks a random nonce r and sends the commitment R = r*G.
+ * 2. Verifier: challenge() picks a random scalar c.
+ * 3. Prover: respond() sends s = r + c*x mod n.
+ * 4. Verifier: verifyResponse() checks s*G == R + c*X.
+ * Non-interactive (Fiat-Shamir): prove() derives c = H(tag, R, X, message) and verify() recomputes it.
+ *
+ * Points are SEC1-compressed hex (33 bytes), scalars 32-byte hex.
+ *
+ * Test vectors (x, r and c are SHA-256 of 'anonp2p schnorr test key', '... nonce', '... challenge';
+ * checked by test/schnorr.test.js):
+ *   x = 63af3bcc303e9a92e05621312ad6ab88202174c9866bcc011d75d9d6874cef65
+ *   X = 02404c0dc3a2eeae97c09f7c294f6da3823e84c2a29ca204b924ae79cf790f31a7
+ *   r = 502826b1aec3063de7e13fd055473965af66baf25b365b2b83e4d032857ddb54
+ *   R = 0376d1d9e3476bdc4dc9dc8b208ac1544ee4283e64e0565d66975bd5a1af3dcb19
+ *   Interactive, c = 5219016505ebf074dc815e68e9ac55b78ecb8b36aab12339dc940b5e4e6945b2:
+ *     s = 056b2904eea0a8d6f0205c2da177f690eb9e29425f51be0e0cbc4954abccbe5e
+ *   Fiat-Shamir, message 'hello':
+ *     c = 4f1bc743eefef59fcd29d515ef615ff236e10c2912c2aa6cd9f3389fc8518303
+ *     s = b14c6c8333fdbdccaef5261c3b9c2c9b669063720469716893d3012a2f8baa4c
+ */
+class Schnorr {
+    /**
+     * Check whether a key can be used for Schnorr proofs (EC secp256k1).
+     * @param {crypto.KeyObject} key - A public or private key.
+     * @returns {boolean} True for secp256k1 keys.
+     */
+    static supports(key) {
+        return key instanceof crypto.KeyObject
+            && key.asymmetricKeyType === 'ec'
+            && key.asymmetricKeyDetails.namedCurve === 'secp256k1';
+    }
+
+    /**
+     * Start an interactive proof: pick a random nonce and compute its commitment.
+     * The nonce must be kept secret and used for exactly one response.
+     * @returns {{nonce: string, commitment: string}} The secret nonce and the public commitment R.
+     */
+    static commit() {
+        const nonce = Schnorr.randomScalar();
+        return { nonce: Schnorr.scalarToHex(nonce), commitment: Schnorr.encodePoint(Schnorr.multiplyBase(nonce)) };
+    }
+
+    /**
+     * Pick a random verifier challenge.
+     * @returns {string} The challenge scalar (hex).
+     */
+    static challenge() {
+        return Schnorr.scalarToHex(Schnorr.randomScalar());
+    }
+
+    /**
+     * Answer a challenge: s = r + c*x mod n.
+     * @param {crypto.KeyObject|string} privateKey - The secp256k1 private key, or its scalar as hex.
+     * @param {string} nonce - The secret nonce from commit().
+     * @param {string} challenge - The verifier's challenge (hex).
+     * @returns {string} The response scalar (hex).
+     */
+    static respond(privateKey, nonce, challenge) {
+        const x = Schnorr.privateScalar(privateKey);
+        const r = BigInt('0x' + nonce);
+        const c = BigInt('0x' + challenge) % N;
+        return Schnorr.scalarToHex(Schnorr.mod(r + c * x, N));
+    }
+
+    /**
+     * Check a response against its commitment and challenge: s*G == R + c*X.
+     * @param {crypto.KeyObject|string} publicKey - The prover's public key (KeyObject, PEM or SEC1 hex).
+     * @param {string} commitment - The commitment R (hex).
+     * @param {string} challenge - The challenge (hex).
+     * @param {string} response - The response s (hex).
+     * @returns {boolean} True if the prover knows the private key.
+     */
+    static verifyResponse(publicKey, commitment, challenge, response) {
+        try {
+            const X = Schnorr.publicPoint(publicKey);
+            const R = Schnorr.decodePoint(commitment);
+            const c = BigInt('0x' + challenge) % N;
+            const s = BigInt('0x' + response);
+            if (s <= 0n || s >= N) return false;
+            const left = Schnorr.multiplyBase(s);
+            const right = Schnorr.add(R, Schnorr.multiply(X, c));
+            return right !== null && left.x === right.x && left.y === right.y;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Create a non-interactive proof bound to a message (Fiat-Shamir).
+     * @param {crypto.KeyObject|string} privateKey - The secp256k1 private key, or its scalar as hex.
+     * @param {string|Buffer} message - The message (context) the proof is bound to.
+     * @returns {{commitment: string, response: string}} The proof.
+     */
+    static prove(privateKey, message) {
+        const x = Schnorr.privateScalar(privateKey);
+        const X = Schnorr.encodePoint(Schnorr.multiplyBase(x));
+        // Hedged nonce: depends on the key and message as well as fresh randomness
+        const seed = crypto.createHash('sha256')
+            .update(Schnorr.scalarToHex(x))
+            .update(Buffer.from(message))
+            .update(crypto.randomBytes(32))
+            .digest('hex');
+        const nonce = Schnorr.scalarToHex(Schnorr.mod(BigInt('0x' + seed), N - 1n) + 1n);
+        const commitment = Schnorr.encodePoint(Schnorr.multiplyBase(BigInt('0x' + nonce)));
+        const challenge = Schnorr.fiatShamirChallenge(commitment, X, message);
+        return { commitment, response: Schnorr.respond(x.toString(16), nonce, challenge) };
+    }
+
+    /**
+     * Verify a non-interactive proof for a message.
+     * @param {crypto.KeyObject|string} publicKey - The prover's public key (KeyObject, PEM or SEC1 hex).
+     * @param {string|Buffer} message - The message the proof must be bound to.
+     * @param {{commitment: string, response: string}} proof - The proof.
+     * @returns {boolean} True if the proof is valid.
+     */
+    static verify(publicKey, message, proof) {
+        try {
+            if (!proof || typeof proof.commitment !== 'string' || typeof proof.response !== 'string') return false;
+            const X = Schnorr.encodePoint(Schnorr.publicPoint(publicKey));
+            const challenge = Schnorr.fiatShamirChallenge(proof.commitment, X, message);
+            return Schnorr.verifyResponse(X, proof.commitment, challenge, proof.response);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Derive the Fiat-Shamir challenge c = SHA-256(tag || R || X || message) mod n.
+     * @param {string} commitment - The commitment R (compressed hex).
+     * @param {string} publicPoint - The public key X (compressed hex).
+     * @param {string|Buffer} message - The message.
+     * @returns {string} The challenge scalar (hex).
+     */
+    static fiatShamirChallenge(commitment, publicPoint, message) {
+        const digest = crypto.createHash('sha256')
+            .update(CHALLENGE_TAG)
+            .update(Buffer.from(commitment, 'hex'))
+            .update(Buffer.from(publicPoint, 'hex'))
+            .update(Buffer.from(message))
+            .digest('hex');
+        return Schnorr.scalarToHex(BigInt('0x' + digest) % N);
+    }
+
+    /**
+     * Pack a proof into 65 bytes (commitment || response), e.g. for signature fields.
+     * @param {{commitment: string, response: string}} proof - The proof.
+     * @returns {Buffer} The encoded proof.
+     */
+    static encodeProof(proof) {
+        return Buffer.concat([Buffer.from(proof.commitment, 'hex'), Buffer.from(proof.response, 'hex')]);
+    }
+
+    /**
+     * Unpack a proof produced by encodeProof().
+     * @param {Buffer} buffer - The encoded proof.
+     * @returns {{commitment: string, response: string}|null} The proof, or null if malformed.
+     */
+    static decodeProof(buffer) {
+        if (buffer.length !== 65) return null;
+        return {
+            commitment: buffer.subarray(0, 33).toString('hex'),
+            response: buffer.subarray(33).toString('hex')
+        };
+    }
+
+    /**
+     * Get the private scalar of a key.
+     * @param {crypto.KeyObject|string} privateKey - The secp256k1 private key, or its scalar as hex.
+     * @returns {bigint} The scalar.
+     * @throws {Error} If the key is not a secp256k1 private key.
+     */
+    static privateScalar(privateKey) {
+        if (typeof privateKey === 'string') {
+            return BigInt('0x' + privateKey);
+        }
+        if (!Schnorr.supports(privateKey) || privateKey.type !== 'private') {
+            throw new Error('Schnorr proofs require a secp256k1 private key');
+        }
+        return BigInt('0x' + Buffer.from(privateKey.export({ format: 'jwk' }).d, 'base64url').toString('hex'));
+    }
+
+    /**
+     * Get the curve point of a public key.
+     * @param {crypto.KeyObject|string} publicKey - KeyObject, PEM or SEC1 hex point.
+     * @returns {{x: bigint, y: bigint}} The point.
+     * @throws {Error} If the key is not a secp256k1 public key.
+     */
+    static publicPoint(publicKey) {
+        if (typeof publicKey === 'string' && !publicKey.includes('-----BEGIN')) {
+            return Schnorr.decodePoint(publicKey);
+        }
+        const key = publicKey instanceof crypto.KeyObject ? publicKey : crypto.createPublicKey(publicKey);
+        if (!Schnorr.supports(key)) {
+            throw new Error('Schnorr proofs require a secp256k1 key');
+        }
+        const jwk = (key.type === 'private' ? crypto.createPublicKey(key) : key).export({ format: 'jwk' });
+        return {
+            x: BigInt('0x' + Buffer.from(jwk.x, 'base64url').toString('hex')),
+            y: BigInt('0x' + Buffer.from(jwk.y, 'base64url').toString('hex'))
+        };
+    }
+
+    /**
+     * Compute k*G with Node's native (constant-time) implementation.
+     * @param {bigint} k - The scalar (1 <= k < n).
+     * @returns {{x: bigint, y: bigint}} The point.
+     */
+    static multiplyBase(k) {
+        const ecdh = crypto.createECDH('secp256k1');
+        ecdh.setPrivateKey(Buffer.from(Schnorr.scalarToHex(k), 'hex'));
+        return Schnorr.decodePoint(ecdh.getPublicKey('hex', 'uncompressed'));
+    }
+
+    /**
+     * Compute k*Q for an arbitrary point (public values only; not constant-time).
+     * @param {{x: bigint, y: bigint}} point - The point Q.
+     * @param {bigint} k - The scalar.
+     * @returns {{x: bigint, y: bigint}|null} The point, or null for the point at infinity.
+     */
+    static multiply(point, k) {
+        let result = null; // Jacobian [X, Y, Z], null is infinity
+        const base = [point.x, point.y, 1n];
+        for (let i = BigInt(k.toString(2).length) - 1n; i >= 0n; i--) {
+            result = Schnorr.jacobianDouble(result);
+            if ((k >> i) & 1n) {
+                result = Schnorr.jacobianAdd(result, base);
+            }
+        }
+        return Schnorr.toAffine(result);
+    }
+
+    /**
+     * Add two affine points.
+     * @param {{x: bigint, y: bigint}|null} a - First point.
+     * @param {{x: bigint, y: bigint}|null} b - Second point.
+     * @returns {{x: bigint, y: bigint}|null} The sum, or null for the point at infinity.
+     */
+    static add(a, b) {
+        return Schnorr.toAffine(Schnorr.jacobianAdd(a && [a.x, a.y, 1n], b && [b.x, b.y, 1n]));
+    }
+
+    /**
+     * Double a point in Jacobian coordinates (a = 0 curve).
+     * @param {Array<bigint>|null} point - [X, Y, Z], or null for infinity.
+     * @returns {Array<bigint>|null} The doubled point.
+     */
+    static jacobianDouble(point) {
+        if (!point || point[1] === 0n) return null;
+        const [X, Y, Z] = point;
+        const A = Schnorr.mod(X * X, P);
+        const B = Schnorr.mod(Y * Y, P);
+        const C = Schnorr.mod(B * B, P);
+        const D = Schnorr.mod(2n * ((X + B) * (X + B) - A - C), P);
+        const E = 3n * A;
+        const F = Schnorr.mod(E * E, P);
+        const X3 = Schnorr.mod(F - 2n * D, P);
+        const Y3 = Schnorr.mod(E * (D - X3) - 8n * C, P);
+        const Z3 = Schnorr.mod(2n * Y * Z, P);
+        return [X3, Y3, Z3];
+    }
+
+    /**
+     * Add two points in Jacobian coordinates.
+     * @param {Array<bigint>|null} a - [X, Y, Z], or null for infinity.
+     * @param {Array<bigint>|null} b - [X, Y, Z], or null for infinity.
+     * @returns {Array<bigint>|null} The sum.
+     */
+    static jacobianAdd(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        const [X1, Y1, Z1] = a;
+        const [X2, Y2, Z2] = b;
+        const Z1Z1 = Schnorr.mod(Z1 * Z1, P);
+        const Z2Z2 = Schnorr.mod(Z2 * Z2, P);
+        const U1 = Schnorr.mod(X1 * Z2Z2, P);
+        const U2 = Schnorr.mod(X2 * Z1Z1, P);
+        const S1 = Schnorr.mod(Y1 * Z2 * Z2Z2, P);
+        const S2 = Schnorr.mod(Y2 * Z1 * Z1Z1, P);
+        if (U1 === U2) {
+            return S1 === S2 ? Schnorr.jacobianDouble(a) : null;
+        }
+        const H = Schnorr.mod(U2 - U1, P);
+        const I = Schnorr.mod(4n * H * H, P);
+        const J = Schnorr.mod(H * I, P);
+        const r = Schnorr.mod(2n * (S2 - S1), P);
+        const V = Schnorr.mod(U1 * I, P);
+        const X3 = Schnorr.mod(r * r - J - 2n * V, P);
+        const Y3 = Schnorr.mod(r * (V - X3) - 2n * S1 * J, P);
+        const Z3 = Schnorr.mod(((Z1 + Z2) * (Z1 + Z2) - Z1Z1 - Z2Z2) * H, P);
+        return [X3, Y3, Z3];
+    }
+
+    /**
+     * Convert a Jacobian point to affine coordinates.
+     * @param {Array<bigint>|null} point - [X, Y, Z], or null for infinity.
+     * @returns {{x: bigint, y: bigint}|null} The affine point.
+     */
+    static toAffine(point) {
+        if (!point || point[2] === 0n) return null;
+        const zInv = Schnorr.modPow(point[2], P - 2n, P);
+        const zInv2 = Schnorr.mod(zInv * zInv, P);
+        return {
+            x: Schnorr.mod(point[0] * zInv2, P),
+            y: Schnorr.mod(point[1] * zInv2 * zInv, P)
+        };
+    }
+
+    /**
+     * Encode a point in SEC1 compressed form.
+     * @param {{x: bigint, y: bigint}} point - The point.
+     * @returns {string} 33-byte hex string.
+     */
+    static encodePoint(point) {
+        return ((point.y & 1n) ? '03' : '02') + point.x.toString(16).padStart(64, '0');
+    }
+
+    /**
+     * Decode a SEC1 point (compressed or uncompressed) and check that it is on the curve.
+     * @param {string} hex - The encoded point.
+     * @returns {{x: bigint, y: bigint}} The point.
+     * @throws {Error} If the encoding is invalid or the point is not on the curve.
+     */
+    static decodePoint(hex) {
+        const prefix = hex.slice(0, 2);
+        const x = BigInt('0x' + hex.slice(2, 66));
+        let y;
+        if (prefix === '04' && hex.length === 130) {
+            y = BigInt('0x' + hex.slice(66));
+        } else if ((prefix === '02' || prefix === '03') && hex.length === 66) {
+            y = Schnorr.modPow(Schnorr.mod(x * x * x + 7n, P), (P + 1n) / 4n, P);
+            if ((y & 1n) !== BigInt(prefix === '03')) {
+                y = P - y;
+            }
+        } else {
+            throw new Error('Invalid point encoding');
+        }
+        if (x >= P || y >= P || Schnorr.mod(y * y - x * x * x - 7n, P) !== 0n) {
+            throw new Error('Point is not on secp256k1');
+        }
+        return { x, y };
+    }
+
+    /**
+     * Pick a uniformly random scalar in [1, n-1].
+     * @returns {bigint} The scalar.
+     */
+    static randomScalar() {
+        while (true) {
+            const k = BigInt('0x' + crypto.randomBytes(32).toString('hex'));
+            if (k > 0n && k < N) return k;
+        }
+    }
+
+    /**
+     * Encode a scalar as 32-byte hex.
+     * @param {bigint} k - The scalar.
+     * @returns {string} The hex string.
+     */
+    static scalarToHex(k) {
+        return k.toString(16).padStart(64, '0');
+    }
+
+    /**
+     * Non-negative modulo.
+     * @param {bigint} a - The value.
+     * @param {bigint} m - The modulus.
+     * @returns {bigint} a mod m in [0, m).
+     */
+    static mod(a, m) {
+        const result = a % m;
+        return result >= 0n ? result : result + m;
+    }
+
+    /**
+     * Modular exponentiation by squaring.
+     * @param {bigint} base - The base.
+     * @param {bigint} exponent - The exponent.
+     * @param {bigint} m - The modulus.
+     * @returns {bigint} base^exponent mod m.
+     */
+    static modPow(base, exponent, m) {
+        let result = 1n;
+        base = Schnorr.mod(base, m);
+        while (exponent > 0n) {
+            if (exponent & 1n) result = (result * base) % m;
+            base = (base * base) % m;
+            exponent >>= 1n;
+        }
+        return result;
+    }
+}
+
+Schnorr.N = N;
+Schnorr.G = G;
+
+module.exports = Schnorr;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const Schnorr = require('./Schnorr');
+
+/** Longest accepted salt (characters), as in BEP44. */
+const MAX_SALT_LENGTH = 64;
+
+/**
+ * SignedRecord creates and verifies BEP44-style mutable DHT records: a value signed by a
+ * key pair, stored under the hash of the public key plus an optional salt, with a
+ * monotonically increasing sequence number so that only the key holder can update it.
+ * secp256k1 keys (the identity key type) sign with a Schnorr proof; other keys use their native scheme.
+ */
+class SignedRecord {
+    /**
+     * Compute the DHT key (target) for a public key and salt.
+     * @param {string|crypto.KeyObject} publicKey - The signer's public key (PEM, base64 SPKI DER or KeyObject).
+     * @param {string} [salt=''] - Optional salt, allowing several records per key.
+     * @returns {string} The SHA-1 target (hex string).
+     */
+    static target(publicKey, salt = '') {
+        return crypto.createHash('sha1')
+            .update(SignedRecord.publicKeyDer(publicKey))
+            .update(salt)
+            .digest('hex');
+    }
+
+    /**
+     * Create a signed record.
+     * @param {{publicKey: crypto.KeyObject, privateKey: crypto.KeyObject}} keyPair - The signing key pair.
+     * @param {any} value - The value (must be JSON-serializable).
+     * @param {object} options - Record settings.
+     * @param {number} options.seq - The sequence number (must increase with every update).
+     * @param {string} [options.salt=''] - Optional salt.
+     * @returns {{k: string, salt: string, seq: number, v: any, sig: string}} The signed record.
+     * @throws {Error} If the sequence number or salt is invalid.
+     */
+    static create(keyPair, value, { seq, salt = '' }) {
+        if (!Number.isSafeInteger(seq) || seq < 0) {
+            throw new Error('Sequence number must be a non-negative integer');
+        }
+        if (salt.length > MAX_SALT_LENGTH) {
+            throw new Error(`Salt must not be longer than ${MAX_SALT_LENGTH} characters`);
+        }
+        const record = {
+            k: SignedRecord.publicKeyDer(keyPair.publicKey).toString('base64'),
+            salt,
+            seq,
+            v: value
+        };
+        const payload = SignedRecord.signedPayload(record);
+        const signature = Schnorr.supports(keyPair.privateKey)
+            ? Schnorr.encodeProof(Schnorr.prove(keyPair.privateKey, payload))
+            : crypto.sign(SignedRecord.digestFor(keyPair.privateKey), payload, keyPair.privateKey);
+        record.sig = signature.toString('base64');
+        return record;
+    }
+
+    /**
+     * Verify a record's signature and, optionally, that it belongs to a target.
+     * @param {object} record - The record to verify.
+     * @param {string} [target] - The DHT key the record must be stored under.
+     * @returns {boolean} True if the record is valid, false otherwise.
+     */
+    static verify(record, target) {
+        try {
+            if (!record || typeof record !== 'object') return false;
+            if (typeof record.k !== 'string' || typeof record.sig !== 'string') return false;
+            if (typeof record.salt !== 'string' || !Number.isSafeInteger(record.seq) || record.seq < 0) return false;
+            if (target && SignedRecord.target(record.k, record.salt) !== target) return false;
+            const publicKey = crypto.createPublicKey({ key: Buffer.from(record.k, 'base64'), type: 'spki', format: 'der' });
+            const payload = SignedRecord.signedPayload(record);
+            const signature = Buffer.from(record.sig, 'base64');
+            if (Schnorr.supports(publicKey)) {
+                const proof = Schnorr.decodeProof(signature);
+                return proof !== null && Schnorr.verify(publicKey, payload, proof);
+            }
+            return crypto.verify(SignedRecord.digestFor(publicKey), payload, publicKey, signature);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Build the canonical byte string covered by a record's signature.
+     * @param {{salt: string, seq: number, v: any}} record - The record.
+     * @returns {Buffer} The signed payload.
+     */
+    static signedPayload(record) {
+        return Buffer.from(JSON.stringify(['salt', record.salt, 'seq', record.seq, 'v', record.v]));
+    }
+
+    /**
+     * Pick the digest for a key type (Ed25519/Ed448 sign the message directly).
+     * @param {crypto.KeyObject} key - The key.
+     * @returns {string|null} The digest name, or null.
+     */
+    static digestFor(key) {
+        return key.asymmetricKeyType === 'ed25519' || key.asymmetricKeyType === 'ed448' ? null : 'sha256';
+    }
+
+    /**
+     * Normalize a public key to SPKI DER bytes.
+     * @param {string|crypto.KeyObject} publicKey - PEM, base64 SPKI DER or KeyObject.
+     * @returns {Buffer} The DER-encoded public key.
+     */
+    static publicKeyDer(publicKey) {
+        if (publicKey instanceof crypto.KeyObject) {
+            return publicKey.export({ type: 'spki', format: 'der' });
+        }
+        if (publicKey.includes('-----BEGIN')) {
+            return crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+        }
+        return Buffer.from(publicKey, 'base64');
+    }
+}
+
+SignedRecord.MAX_SALT_LENGTH = MAX_SALT_LENGTH;
+
+module.exports = SignedRecord;
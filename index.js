@@ -5,33 +5,60 @@ const AnonymousP2PNode = require('./network/AnonymousP2PNode');
 const AnonymousIdentity = require('./core/AnonymousIdentity');
 const OnionRouter = require('./core/OnionRouter');
 const KademliaNode = require('./core/KademliaNode');
+const NodeDescriptor = require('./core/NodeDescriptor');
+const SignedRecord = require('./core/SignedRecord');
+const EphemeralKeyManager = require('./core/EphemeralKeyManager');
+const HiddenService = require('./core/HiddenService');
+const PathSelector = require('./core/PathSelector');
+const Mixer = require('./core/Mixer');
+const CoverTraffic = require('./core/CoverTraffic');
+const AbuseGuard = require('./core/AbuseGuard');
+const RateLimiter = require('./core/RateLimiter');
+const MessageValidator = require('./core/MessageValidator');
+const ReputationManager = require('./core/ReputationManager');
+const Schnorr = require('./core/Schnorr');
+const MemoryStorage = require('./core/MemoryStorage');
+const FileStorage = require('./core/FileStorage');
 
 // ============== USAGE EXAMPLE ==============
+// Runs only when this file is executed directly (`npm start`), not when required as a library.
 
-// Create and start anonymous P2P node
-const node = new AnonymousP2PNode(3000);
+async function main() {
+    // Create and start anonymous P2P node
+    const node = new AnonymousP2PNode(3000);
 
-node.on('anonymousMessage', (message) => {
-    console.log('Received anonymous message:', message);
-});
+    node.on('anonymousMessage', (message) => {
+        console.log('Received anonymous message:', message);
+    });
 
-node.on('peerConnected', (peerId) => {
-    console.log('New peer connected:', peerId);
-});
+    node.on('peerConnected', (peerId) => {
+        console.log('New peer connected:', peerId);
+    });
 
-// Store data anonymously
-node.storeData('secret-key', 'sensitive-data').then(() => {
+    await node.start();
+
+    // Store data anonymously
+    await node.storeData('secret-key', 'sensitive-data');
     console.log('Data stored anonymously');
-});
 
-// Retrieve data
-node.retrieveData('secret-key').then((data) => {
+    // Retrieve data
+    const data = await node.retrieveData('secret-key');
     console.log('Retrieved data:', data);
-});
 
-// Send anonymous message (requires other nodes to be running)
-// node.sendAnonymousMessage('Hello anonymous world!', 'target-pseudonym');
+    // Send anonymous message (requires other nodes to be running)
+    // await node.sendAnonymousMessage('Hello anonymous world!', 'target-pseudonym');
+
+    console.log('Anonymous P2P Network Node Stats:', node.getNetworkStats());
+
+    // Shut down cleanly on Ctrl+C
+    process.once('SIGINT', () => node.stop());
+}
 
-console.log('Anonymous P2P Network Node Stats:', node.getNetworkStats());
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
 
-module.exports = { AnonymousP2PNode, AnonymousIdentity, OnionRouter, KademliaNode };
\ No newline at end of file
+module.exports = { AnonymousP2PNode, AnonymousIdentity, OnionRouter, KademliaNode, NodeDescriptor, SignedRecord, Schnorr, EphemeralKeyManager, HiddenService, PathSelector, Mixer, CoverTraffic, AbuseGuard, RateLimiter, MessageValidator, ReputationManager, MemoryStorage, FileStorage };
\ No newline at end of file
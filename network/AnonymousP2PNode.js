@@ -4,129 +4,642 @@ const EventEmitter = require('events');
 const OnionRouter = require('../core/OnionRouter');
 const AnonymousIdentity = require('../core/AnonymousIdentity');
 const KademliaNode = require('../core/KademliaNode');
+const NodeDescriptor = require('../core/NodeDescriptor');
+const SignedRecord = require('../core/SignedRecord');
+const HiddenService = require('../core/HiddenService');
+const PathSelector = require('../core/PathSelector');
+const Mixer = require('../core/Mixer');
+const CoverTraffic = require('../core/CoverTraffic');
+const AbuseGuard = require('../core/AbuseGuard');
+const ReputationManager = require('../core/ReputationManager');
+const MessageValidator = require('../core/MessageValidator');
+const FileStorage = require('../core/FileStorage');
+const PeerConnection = require('./PeerConnection');
+const StructuredMesh = require('./StructuredMesh');
+
+/** Message types handled by the node itself; they cannot be overridden via registerMessageHandler. */
+const BUILTIN_MESSAGE_TYPES = new Set(['ONION_PACKET', 'CELL', 'DHT_QUERY', 'DHT_RESPONSE', 'PEER_DISCOVERY', 'ANONYMOUS_MESSAGE',
+    'MESH_REGISTER', 'MESH_HEARTBEAT', 'MESH_DHT', 'MESH_PROBE', 'MESH_ANNOUNCE', 'MESH_REPLY']);
+/** Maximum number of addresses shared or accepted in one peer exchange. */
+const MAX_EXCHANGED_PEERS = 32;
+/** Maximum number of routing table contacts whose descriptors are resolved for path selection. */
+const MAX_RELAY_CANDIDATES = 64;
+/** Longest wait between two attempts to bootstrap through the seeds (ms). */
+const MAX_BOOTSTRAP_RETRY_INTERVAL = 600000;
 
 /**
  * AnonymousP2PNode is the main class for running a decentralized, anonymous P2P node.
  * Handles peer connections, message mixing, onion routing, DHT, and NAT traversal.
- * Now supports meshType ('structured' or 'unstructured') and node roles ('supernode' or 'leaf').
+ * Now supports meshType ('structured' or 'unstructured') and node roles ('supernode' or 'leaf'); in the
+ * structured mesh, leaves register with a supernode that runs their DHT operations and relays their
+ * circuits (see StructuredMesh).
  * @extends EventEmitter
  */
 class AnonymousP2PNode extends EventEmitter {
     /**
      * Create a new AnonymousP2PNode instance.
-     * @param {number} port - The TCP/UDP port to listen on (default 3000).
+     * @param {number} port - The TCP/UDP port to listen on once started (default 3000, 0 for an ephemeral port).
      * @param {object} [options] - Optional configuration.
      * @param {'supernode'|'leaf'} [options.role='supernode'] - Node role in structured mesh.
      * @param {'structured'|'unstructured'} [options.meshType='unstructured'] - Mesh topology type.
      * @param {Array<string>} [options.supernodeList=[]] - List of supernode addresses for structured mesh.
+     * @param {object} [options.mesh] - Structured mesh settings (see StructuredMesh): `heartbeatInterval`,
+     *     `heartbeatTimeout`, `requestTimeout`, `maxLeaves`, `promotionUptime`, `minSupernodes`, `autoPromote`.
      * @param {number} [options.maxPeerConnections=8] - Max peer connections for unstructured mesh.
+     * @param {string} [options.host='127.0.0.1'] - Host advertised in this node's descriptor.
+     * @param {Array<string>} [options.capabilities=['relay']] - Capabilities advertised in this node's descriptor.
+     * @param {number} [options.descriptorTTL=3600000] - Validity period of published descriptors (ms).
+     * @param {number} [options.maxFrameSize=1048576] - Largest accepted peer message (bytes).
+     * @param {number} [options.queryTimeout=5000] - Timeout for DHT queries tunneled over TCP (ms).
+     * @param {Array<string>} [options.bootstrap=[]] - Seed node addresses (host:port) to join through on start().
+     * @param {number} [options.bootstrapRetryInterval=30000] - Wait before retrying a failed bootstrap (ms); doubles after
+     *     every failure, up to 10 minutes.
+     * @param {string} [options.identityPath] - File to load the identity from (created on first start if missing).
+     * @param {string} [options.identityPassphrase] - Passphrase encrypting the identity's private key on disk.
+     * @param {import('../core/MemoryStorage')} [options.storage] - DHT storage backend (default in-memory).
+     * @param {string} [options.storagePath] - Persist DHT records to this append-only log file (ignored if storage is given).
+     * @param {number} [options.pseudonymRotationInterval] - Rotate to a fresh pseudonym this often (ms); off by default.
+     * @param {number} [options.circuitLifetime=600000] - How long a circuit is reused for new messages (ms).
+     * @param {number} [options.circuitMaxMessages=100] - How many messages a circuit carries before a new one is built.
+     * @param {number} [options.circuitLength=3] - Number of hops in new circuits.
+     * @param {string} [options.guardsPath] - File the entry guards are persisted to (kept in memory only if omitted).
+     * @param {number} [options.guardCount=3] - Number of entry guards.
+     * @param {boolean} [options.subnetDiversity=true] - Never put two hops from the same /16 subnet on a circuit
+     *     (turn off for networks on a single host or LAN).
+     * @param {number} [options.maxPerSubnet=0] - Keep at most this many contacts from one /16 subnet in each DHT bucket;
+     *     0 for no limit (set it, e.g. to 2, on the open Internet).
+     * @param {number} [options.idDifficulty=0] - Leading zero bits the network requires in node ID puzzle hashes
+     *     (see AnonymousIdentity.meetsDifficulty()); must be the same on every node.
+     * @param {string} [options.operator] - Operator (family) tag advertised in our descriptor; circuits avoid two nodes with the same tag.
+     * @param {object} [options.mixing] - Mixing of incoming messages (see Mixer): `strategy` ('threshold', 'pool',
+     *     'timed' or 'poisson', default 'poisson'), `maxQueue`, `threshold`, `interval`, `poolSize`, `fraction`, `meanDelay`.
+     * @param {object|false} [options.coverTraffic] - Loop and drop cover traffic over circuits (see CoverTraffic):
+     *     `loopRate` and `dropRate` (messages per second, default 0.1 each), `loopTimeout`, `maxPadding`; false disables it.
+     * @param {object} [options.protection] - Rate limits, size limits, quotas, connection caps and bans (see AbuseGuard).
+     * @param {object} [options.reputation] - Peer scoring (see ReputationManager): `halfLife`, `distrustThreshold`, `saveInterval`, `maxPeers`.
+     * @param {string} [options.reputationPath] - File peer scores are persisted to (kept in memory only if omitted).
      */
     constructor(port = 3000, options = {}) {
         super();
         /** @type {number} */
         this.port = port;
         /** @type {AnonymousIdentity} */
-        this.identity = new AnonymousIdentity();
-        /** @type {OnionRouter} */
-        this.onionRouter = new OnionRouter();
-        /** @type {KademliaNode} */
-        this.dht = new KademliaNode(this.identity.pseudonym, port);
-        /** @type {Map<string, net.Socket>} */
-        this.peers = new Map();
-        /** @type {Array<object>} */
-        this.messageQueue = [];
-        /** @type {boolean} */
-        this.coverTraffic = true;
+        this.identity = options.identityPath
+            ? AnonymousIdentity.loadOrCreate(options.identityPath, options.identityPassphrase, { idDifficulty: options.idDifficulty })
+            : new AnonymousIdentity({ idDifficulty: options.idDifficulty });
+        if (!AnonymousIdentity.meetsDifficulty(this.identity.pseudonym, this.identity.idDifficulty)) {
+            // Loaded from a file saved before the network required this difficulty: no node would accept its ID
+            this.identity.rotatePseudonym();
+            this.identity.save(options.identityPath, options.identityPassphrase);
+        }
+        this.identity.on('pseudonymRotated', (event) => {
+            this.handlePseudonymRotated(event).catch(error => console.error('Error handling pseudonym rotation:', error));
+        });
+        /** @type {string|undefined} */
+        this.identityPath = options.identityPath;
+        /** @type {string|undefined} */
+        this.identityPassphrase = options.identityPassphrase;
         /** @type {number} */
-        this.mixingDelay = 100; // ms
+        this.pseudonymRotationInterval = options.pseudonymRotationInterval || 0; // ms, 0 disables rotation
+        /** @type {ReputationManager} */
+        this.reputation = new ReputationManager({ ...options.reputation, statePath: options.reputationPath });
+        this.reputation.on('scoreChanged', event => this.emit('reputationChanged', event));
+        /** @type {AbuseGuard} */
+        this.guard = new AbuseGuard({ ...options.protection, reputation: this.reputation });
+        this.guard.on('abuse', (event) => {
+            if (event.source.startsWith('peer:')) this.reputation.record(event.source.slice('peer:'.length), 'abuse');
+            if (event.banned) this.disconnectBanned(event.source);
+            this.emit('abuse', event);
+        });
+        /** @type {KademliaNode} */
+        this.dht = new KademliaNode(this.identity.pseudonym, port, {
+            storage: options.storage || (options.storagePath ? new FileStorage(options.storagePath) : undefined),
+            guard: this.guard,
+            identity: this.identity,
+            idDifficulty: options.idDifficulty,
+            maxPerSubnet: options.maxPerSubnet,
+            reputation: this.reputation
+        });
+        /** @type {OnionRouter} */
+        this.onionRouter = new OnionRouter(this.dht, {
+            identity: this.identity,
+            connect: (address, pseudonym) => this.getLink(address, pseudonym),
+            circuitLifetime: options.circuitLifetime,
+            circuitMaxMessages: options.circuitMaxMessages,
+            circuitLength: options.circuitLength
+        });
+        /** @type {PathSelector} */
+        this.pathSelector = new PathSelector({
+            guardsPath: options.guardsPath,
+            guardCount: options.guardCount,
+            subnetDiversity: options.subnetDiversity,
+            reputation: this.reputation
+        });
+        this.onionRouter.on('circuitBuilt', (circuitId, hops, measurements) => {
+            hops.forEach((nodeId, i) => this.pathSelector.recordSuccess(nodeId, measurements[i]));
+            this.emit('circuitBuilt', circuitId, hops);
+        });
+        this.onionRouter.on('hopFailed', nodeId => this.pathSelector.recordFailure(nodeId));
+        this.onionRouter.on('circuitClosed', (circuitId, reason) => this.handleCircuitClosed(circuitId, reason));
+        this.onionRouter.on('circuitData', (data, routeKey) => this.processCircuitData(data, routeKey));
+        this.onionRouter.on('circuitReply', (circuitId, data) => this.processCircuitReply(circuitId, data));
+        /** @type {Map<string|null, Promise<string>>} */
+        this.pendingCircuits = new Map(); // Circuits being built, by destination
+        /** @type {Map<string, HiddenService>} */
+        this.hiddenServices = new Map(); // Services we host, by service pseudonym
+        /** @type {Map<string, PeerConnection>} */
+        this.peers = new Map(); // Authenticated connections by peer pseudonym
+        /** @type {Map<string, string>} */
+        this.peerKeys = new Map(); // Public keys pinned per pseudonym on first contact
+        /** @type {Mixer} */
+        this.mixer = new Mixer(({ message, peerId, connection }) => {
+            this.processMessage(message, peerId, connection).catch((error) => {
+                console.error('Error processing message:', error);
+            });
+        }, options.mixing);
+        /** @type {CoverTraffic|null} */
+        this.coverTraffic = options.coverTraffic === false
+            ? null
+            : new CoverTraffic(this.onionRouter, () => this.getCircuit(null), options.coverTraffic);
+        if (this.coverTraffic) {
+            this.coverTraffic.on('loopReturned', circuitId => this.scoreCircuitHops(circuitId, 'relaySuccess'));
+            this.coverTraffic.on('loopLost', (circuitId) => {
+                this.scoreCircuitHops(circuitId, 'relayFailure');
+                this.emit('loopLost', circuitId);
+            });
+        }
         /** @type {'supernode'|'leaf'} */
         this.role = options.role || 'supernode';
         /** @type {'structured'|'unstructured'} */
         this.meshType = options.meshType || 'unstructured';
         /** @type {Array<string>} */
         this.supernodeList = options.supernodeList || [];
+        /** @type {StructuredMesh|null} */
+        this.mesh = this.meshType === 'structured' ? new StructuredMesh(this, options.mesh) : null;
+        if (this.mesh) {
+            this.mesh.on('supernodeChanged', event => this.emit('supernodeChanged', event));
+            this.mesh.on('roleChanged', event => this.emit('roleChanged', event));
+            this.mesh.on('leafRegistered', peerId => this.emit('leafRegistered', peerId));
+            this.mesh.on('leafRemoved', peerId => this.emit('leafRemoved', peerId));
+        }
         /** @type {number} */
         this.maxPeerConnections = options.maxPeerConnections || 8;
-        this.setupMixingNode();
-        this.startCoverTraffic();
-        this.initializeMeshConnections();
+        /** @type {Array<string>} */
+        this.bootstrapNodes = options.bootstrap || [];
+        /** @type {number} */
+        this.bootstrapRetryInterval = options.bootstrapRetryInterval || 30000; // ms
+        /** @type {string} */
+        this.host = options.host || '127.0.0.1';
+        /** @type {Array<string>} */
+        this.capabilities = options.capabilities || ['relay'];
+        /** @type {string|null} */
+        this.operator = options.operator || null;
+        /** @type {number} */
+        this.descriptorTTL = options.descriptorTTL || 3600000; // ms
+        /** @type {number|undefined} */
+        this.maxFrameSize = options.maxFrameSize;
+        /** @type {number} */
+        this.queryTimeout = options.queryTimeout || 5000; // ms
+        /** @type {Map<string, {resolve: Function, reject: Function, timer: NodeJS.Timeout}>} */
+        this.pendingQueries = new Map(); // DHT queries tunneled over TCP, by rpcId
+        /** @type {Map<string, {resolve: Function, reject: Function, timer: NodeJS.Timeout, circuitId: string}>} */
+        this.pendingRequests = new Map(); // Anonymous requests awaiting a reply, by message ID
+        /** @type {Set<string>} */
+        this.knownPeers = new Set(); // Listening addresses learned through peer exchange
+        /** @type {Map<string, Function>} */
+        this.messageHandlers = new Map(); // Application handlers for custom message types
+        /** @type {Set<PeerConnection>} */
+        this.connections = new Set(); // Every open connection, including transient ones
+        /** @type {Set<NodeJS.Timeout>} */
+        this.timers = new Set(); // Pending timeouts and intervals, cleared on stop()
+        /** @type {net.Server|null} */
+        this.server = null;
+        /** @type {boolean} */
+        this.running = false;
+    }
+
+    /**
+     * Start the node: listen for TCP peers, bind the DHT socket on the same port,
+     * publish our descriptor, start cover traffic, bootstrap through the configured
+     * seeds and join the mesh. Emits 'listening' with the bound port, then 'ready'
+     * once the node has joined the network. If no seed answers, start() still resolves:
+     * 'bootstrapFailed' is emitted, the mesh is joined with the peers known so far and the
+     * bootstrap is retried in the background (see retryBootstrap()).
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.running) return;
+        await this.setupMixingNode();
+        this.dht.port = this.port;
+        try {
+            await this.dht.start();
+        } catch (error) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+            throw error;
+        }
+        this.running = true;
+        this.mixer.start();
+        this.identity.start(this.pseudonymRotationInterval);
+        this.reputation.start();
+        if (this.coverTraffic) this.coverTraffic.start();
+        if (this.mesh) this.mesh.start();
+        this.startDescriptorPublishing();
+        this.scheduleRepeating(() => this.onionRouter.expireCircuits(), 60000);
+        this.emit('listening', this.port);
+        if (this.bootstrapNodes.length > 0) {
+            if (!await this.retryBootstrap()) {
+                await this.initializeMeshConnections();
+            }
+        } else {
+            await this.initializeMeshConnections();
+            this.emit('ready');
+        }
+    }
+
+    /**
+     * Join the network through seed nodes: fill the DHT routing table, republish our
+     * descriptor to the nodes now closest to it, then select mesh peers. Emits 'ready'.
+     * Leaves of the structured mesh do not join the DHT; they only register with a supernode.
+     * @param {Array<string>} seedAddresses - Seed node addresses (host:port).
+     * @returns {Promise<void>}
+     * @throws {Error} If none of the seeds answered.
+     */
+    async bootstrap(seedAddresses) {
+        if (!this.running) {
+            throw new Error('Node is not running');
+        }
+        if (this.isLeaf()) {
+            await this.initializeMeshConnections();
+            this.emit('ready');
+            return;
+        }
+        await this.dht.bootstrap(seedAddresses);
+        await this.publishDescriptor();
+        await this.initializeMeshConnections();
+        this.emit('ready');
+    }
+
+    /**
+     * Bootstrap through the configured seeds, and on failure try again later, waiting twice as
+     * long after every failure (up to MAX_BOOTSTRAP_RETRY_INTERVAL) until a seed answers.
+     * Emits 'bootstrapFailed' with (error, retryDelay) after every failed attempt.
+     * @param {number} [retryDelay=this.bootstrapRetryInterval] - Wait before the next attempt if this one fails (ms).
+     * @returns {Promise<boolean>} True if this attempt succeeded.
+     */
+    async retryBootstrap(retryDelay = this.bootstrapRetryInterval) {
+        try {
+            await this.bootstrap(this.bootstrapNodes);
+            return true;
+        } catch (error) {
+            if (!this.running) return false;
+            console.error('Bootstrap failed:', error.message);
+            this.emit('bootstrapFailed', error, retryDelay);
+            this.schedule(() => {
+                this.retryBootstrap(Math.min(retryDelay * 2, MAX_BOOTSTRAP_RETRY_INTERVAL));
+            }, retryDelay);
+            return false;
+        }
+    }
+
+    /**
+     * Stop the node: clear timers, fail pending queries, close every connection,
+     * the TCP server and the DHT socket. Emits 'closed'.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.running) return;
+        this.running = false;
+        this.mixer.stop();
+        if (this.coverTraffic) this.coverTraffic.stop();
+        this.identity.stop();
+        this.reputation.stop();
+        if (this.mesh) this.mesh.stop();
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+            clearInterval(timer);
+        }
+        this.timers.clear();
+        for (const [rpcId, pending] of this.pendingQueries) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error('Node stopped'));
+            this.pendingQueries.delete(rpcId);
+        }
+        for (const [messageId, pending] of this.pendingRequests) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error('Node stopped'));
+            this.pendingRequests.delete(messageId);
+        }
+        for (const service of this.hiddenServices.values()) {
+            await service.stop();
+        }
+        this.hiddenServices.clear();
+        this.onionRouter.stop();
+        for (const connection of this.connections) {
+            connection.destroy();
+        }
+        this.connections.clear();
+        this.peers.clear();
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+        await this.dht.stop();
+        this.emit('closed');
+    }
+
+    /**
+     * Run a callback after a delay, tracked so that stop() can cancel it.
+     * @param {Function} callback - The callback.
+     * @param {number} delay - Delay (ms).
+     * @returns {NodeJS.Timeout} The timer.
+     */
+    schedule(callback, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+        return timer;
+    }
+
+    /**
+     * Run a callback repeatedly, tracked so that stop() can cancel it.
+     * @param {Function} callback - The callback.
+     * @param {number} interval - Interval (ms).
+     * @returns {NodeJS.Timeout} The timer.
+     */
+    scheduleRepeating(callback, interval) {
+        const timer = setInterval(callback, interval);
+        this.timers.add(timer);
+        return timer;
     }
 
     /**
      * Set up the TCP server for peer connections.
+     * @returns {Promise<void>} Resolves once the server is listening.
      */
     setupMixingNode() {
         this.server = net.createServer((socket) => {
             this.handlePeerConnection(socket);
         });
-        this.server.listen(this.port, () => {
-            console.log(`Anonymous P2P node listening on port ${this.port}`);
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, () => {
+                this.server.off('error', reject);
+                this.port = this.server.address().port;
+                console.log(`Anonymous P2P node listening on port ${this.port}`);
+                resolve();
+            });
         });
     }
 
+    /**
+     * Move the node to a freshly rotated pseudonym: re-key the DHT routing table, publish the
+     * new descriptor and reconnect to our peers, which only knew the old pseudonym.
+     * Emits 'pseudonymRotated' with ({ previous, pseudonym }).
+     * @param {{previous: string, pseudonym: string}} event - The identity's rotation event.
+     * @returns {Promise<void>}
+     */
+    async handlePseudonymRotated({ previous, pseudonym }) {
+        this.dht.setNodeId(pseudonym);
+        if (this.identityPath) {
+            this.identity.save(this.identityPath, this.identityPassphrase);
+        }
+        if (!this.running) return;
+        const connections = Array.from(this.peers.values()).filter(connection => !connection.closed);
+        const addresses = connections.map(connection => connection.remoteAddress).filter(Boolean);
+        await Promise.all(connections.map(connection => new Promise((resolve) => {
+            connection.once('close', resolve);
+            connection.destroy();
+        })));
+        await this.publishDescriptor();
+        for (const address of addresses) {
+            await this.connectToPeer(address).catch(error => console.error(`Could not reconnect to ${address}:`, error.message));
+        }
+        await this.initializeMeshConnections();
+        this.emit('pseudonymRotated', { previous, pseudonym });
+    }
+
     /**
      * Initialize mesh connections based on meshType and role.
+     * Supernodes connect to the other supernodes and leaves register with one (see StructuredMesh.connect()).
+     * Unstructured nodes pick their peers from the DHT routing table, so this runs after bootstrap.
+     * @returns {Promise<void>}
      */
     async initializeMeshConnections() {
-        if (this.meshType === 'structured') {
-            if (this.role === 'supernode') {
-                // Connect to all other supernodes in the list (except self)
-                for (const addr of this.supernodeList) {
-                    if (!addr.endsWith(`:${this.port}`)) {
-                        await this.connectToPeer(addr);
-                    }
-                }
-            } else if (this.role === 'leaf') {
-                // Connect only to supernodes
-                for (const addr of this.supernodeList) {
-                    await this.connectToPeer(addr);
-                }
-            }
+        if (this.mesh) {
+            await this.mesh.connect();
         } else {
             // Unstructured: connect to up to maxPeerConnections random peers from DHT
-            setTimeout(async () => {
-                const allNodes = this.dht.buckets.flat().map(n => n.address).filter(addr => !addr.endsWith(`:${this.port}`));
-                const unique = Array.from(new Set(allNodes));
-                const shuffled = unique.sort(() => 0.5 - Math.random());
-                for (const addr of shuffled.slice(0, this.maxPeerConnections)) {
-                    await this.connectToPeer(addr);
-                }
-            }, 2000); // Wait a bit for DHT to populate
+            const allNodes = this.dht.buckets.flat().map(n => n.address).filter(addr => !addr.endsWith(`:${this.port}`));
+            const unique = Array.from(new Set(allNodes));
+            const shuffled = unique.sort(() => 0.5 - Math.random());
+            for (const addr of shuffled) {
+                if (this.peers.size >= this.maxPeerConnections) break;
+                await this.connectToPeer(addr).catch(error => console.error(`Could not connect to ${addr}:`, error.message));
+            }
         }
     }
 
     /**
-     * Handle a new incoming peer connection.
+     * Check whether we are a leaf of a structured mesh, which reaches the DHT and the circuits
+     * through its supernode.
+     * @returns {boolean} True for a structured-mesh leaf.
+     */
+    isLeaf() {
+        return this.mesh !== null && this.role === 'leaf';
+    }
+
+    /**
+     * Promote this leaf to a supernode without waiting for its supernode's recommendation
+     * (see StructuredMesh.promote()). Emits 'roleChanged'.
+     * @returns {Promise<void>}
+     * @throws {Error} If the node is not part of a structured mesh.
+     */
+    async promoteToSupernode() {
+        if (!this.mesh) {
+            throw new Error('Only nodes of a structured mesh have roles');
+        }
+        await this.mesh.promote();
+    }
+
+    /**
+     * Wrap a socket in the framed, authenticated wire protocol.
+     * @param {net.Socket} socket - The TCP socket.
+     * @param {object} [options] - Extra PeerConnection options (initiator, transient, expectedPseudonym).
+     * @returns {PeerConnection} The peer connection.
+     */
+    createPeerConnection(socket, options = {}) {
+        const connection = new PeerConnection(socket, {
+            ...options,
+            identity: this.identity,
+            address: `${this.host}:${this.port}`,
+            maxFrameSize: this.maxFrameSize
+        });
+        this.connections.add(connection);
+        connection.on('close', () => {
+            this.connections.delete(connection);
+            this.onionRouter.handleLinkClosed(connection);
+        });
+        return connection;
+    }
+
+    /**
+     * Check a handshaken connection's identity against ourselves, pinned keys and known descriptors.
+     * @param {PeerConnection} connection - The ready peer connection.
+     * @returns {boolean} True if the identity is acceptable.
+     */
+    verifyPeerIdentity(connection) {
+        const pseudonym = connection.remotePseudonym;
+        if (pseudonym === this.identity.pseudonym) {
+            return false;
+        }
+        const publicKey = connection.remoteHello.publicKey;
+        const descriptor = this.onionRouter.descriptors.get(pseudonym);
+        if (descriptor && descriptor.publicKey !== publicKey) {
+            return false;
+        }
+        const pinned = this.peerKeys.get(pseudonym);
+        if (pinned && pinned !== publicKey) {
+            return false;
+        }
+        this.peerKeys.set(pseudonym, publicKey);
+        return true;
+    }
+
+    /**
+     * Accept a handshaken connection: register it as a peer keyed by its verified pseudonym,
+     * or, for transient connections, only process its messages.
+     * @param {PeerConnection} connection - The ready peer connection.
+     * @returns {string|null} The peer ID, or null if the identity was rejected.
+     */
+    acceptConnection(connection) {
+        if (this.guard.isBanned(`peer:${connection.remotePseudonym}`)) {
+            connection.destroy(new Error('Peer is banned'));
+            return null;
+        }
+        if (!this.verifyPeerIdentity(connection)) {
+            connection.destroy(new Error('Peer identity rejected'));
+            return null;
+        }
+        const peerId = connection.remotePseudonym;
+        connection.on('message', (message) => {
+            this.handleIncomingMessage(message, peerId, connection);
+        });
+        if (connection.remoteTransient) {
+            return peerId;
+        }
+        return this.addPeer(connection);
+    }
+
+    /**
+     * Register a connection as a peer once its handshake has completed.
+     * A newer connection from the same pseudonym replaces the older one.
+     * @param {PeerConnection} connection - The ready peer connection.
+     * @returns {string} The peer ID (the peer's verified pseudonym).
+     */
+    addPeer(connection) {
+        const peerId = connection.remotePseudonym;
+        const existing = this.peers.get(peerId);
+        connection.on('close', () => {
+            if (this.peers.get(peerId) === connection) {
+                this.peers.delete(peerId);
+                this.emit('peerDisconnected', peerId);
+            }
+        });
+        this.peers.set(peerId, connection);
+        if (existing) {
+            existing.close();
+            return peerId;
+        }
+        this.emit('peerConnected', peerId);
+        if (this.meshType === 'unstructured') {
+            this.requestPeers(peerId).catch(error => console.error('Peer exchange failed:', error.message));
+        }
+        return peerId;
+    }
+
+    /**
+     * Find a connected peer by its advertised listening address.
+     * @param {string} address - The address (host:port).
+     * @returns {string|null} The peer ID, or null if not connected.
+     */
+    findPeerByAddress(address) {
+        for (const [peerId, connection] of this.peers) {
+            if (connection.remoteAddress === address && !connection.closed) {
+                return peerId;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Handle a new incoming peer connection, refusing banned addresses and connections beyond
+     * the guard's caps (in total and per IP address).
      * @param {net.Socket} socket - The peer's socket.
      */
     handlePeerConnection(socket) {
-        const peerId = crypto.randomBytes(8).toString('hex');
-        socket.on('data', (data) => {
-            this.handleIncomingMessage(data, peerId);
-        });
-        socket.on('close', () => {
-            this.peers.delete(peerId);
+        const ip = this.remoteIP(socket);
+        if (this.guard.isBanned(`ip:${ip}`) || this.connections.size >= this.guard.maxConnections) {
+            socket.destroy();
+            return;
+        }
+        const fromIP = Array.from(this.connections)
+            .filter(connection => !connection.initiator && this.remoteIP(connection.socket) === ip).length;
+        if (fromIP >= this.guard.maxConnectionsPerIP) {
+            this.guard.report(`ip:${ip}`, 'too many connections');
+            socket.destroy();
+            return;
+        }
+        const connection = this.createPeerConnection(socket);
+        // Register synchronously so frames that arrive right after the handshake are not missed
+        connection.once('ready', () => this.acceptConnection(connection));
+        connection.waitReady().catch((error) => {
+            console.error('Peer handshake failed:', error.message);
         });
-        this.peers.set(peerId, socket);
     }
 
     /**
-     * Handle an incoming message from a peer, with random delay for mixing.
-     * @param {Buffer} data - The received data.
+     * Get the IP address a socket is connected from, with IPv4-mapped IPv6 addresses unwrapped
+     * so that UDP and TCP traffic from one host share limits and bans.
+     * @param {net.Socket} socket - The socket.
+     * @returns {string} The IP address.
+     */
+    remoteIP(socket) {
+        return (socket.remoteAddress || '').replace(/^::ffff:/, '');
+    }
+
+    /**
+     * Close every connection of a source the guard has just banned.
+     * @param {string} source - The banned source (`ip:<address>` or `peer:<pseudonym>`).
+     */
+    disconnectBanned(source) {
+        for (const connection of Array.from(this.connections)) {
+            if (source === `peer:${connection.remotePseudonym}` || source === `ip:${this.remoteIP(connection.socket)}`) {
+                connection.destroy(new Error('Banned for abuse'));
+            }
+        }
+    }
+
+    /**
+     * Handle an incoming message from a peer: drop it if the peer or its address is banned or over
+     * its rate limit, report it if it does not match its schema, and otherwise pass it through the
+     * mixer, which processes it after a delay and in an order set by the mixing strategy, except
+     * that the cells of one circuit keep their order.
+     * @param {object} message - The decoded message.
      * @param {string} peerId - The peer's ID.
+     * @param {PeerConnection} [connection] - The connection it arrived on (the link for circuit cells).
      */
-    async handleIncomingMessage(data, peerId) {
-        try {
-            const message = JSON.parse(data.toString());
-            this.messageQueue.push({
-                message,
-                peerId,
-                timestamp: Date.now()
-            });
-            setTimeout(() => this.processMessage(message, peerId), 
-                Math.random() * this.mixingDelay);
-        } catch (error) {
-            console.error('Error handling message:', error);
+    async handleIncomingMessage(message, peerId, connection) {
+        if (!this.guard.allowMessage(connection ? this.remoteIP(connection.socket) : null, peerId)) return;
+        const invalid = MessageValidator.validatePeerMessage(message);
+        if (invalid) {
+            this.guard.report(`peer:${peerId}`, `invalid ${String(message && message.type).slice(0, 64)} message: ${invalid}`);
+            return;
+        }
+        // Cells of one circuit must stay in order (a DESTROY must not overtake DATA), so they form a stream
+        const stream = message.type === 'CELL' && connection ? this.onionRouter.routeKey(connection, message.circId) : undefined;
+        if (!this.mixer.add({ message, peerId, connection }, stream)) {
+            console.error(`Mix queue full; dropped message from ${peerId}`);
         }
     }
 
@@ -134,26 +647,228 @@ class AnonymousP2PNode extends EventEmitter {
      * Process a parsed message from a peer.
      * @param {object} message - The message object.
      * @param {string} peerId - The peer's ID.
+     * @param {PeerConnection} [connection] - The connection it arrived on.
      */
-    async processMessage(message, peerId) {
+    async processMessage(message, peerId, connection) {
         switch (message.type) {
             case 'ONION_PACKET':
                 await this.processOnionPacket(message, peerId);
                 break;
+            case 'CELL':
+                if (connection) {
+                    this.onionRouter.handleCell(message, connection);
+                }
+                break;
             case 'DHT_QUERY':
                 await this.processDHTQuery(message, peerId);
                 break;
+            case 'DHT_RESPONSE':
+                this.processDHTResponse(message);
+                break;
             case 'PEER_DISCOVERY':
                 await this.processPeerDiscovery(message, peerId);
                 break;
             case 'ANONYMOUS_MESSAGE':
                 await this.processAnonymousMessage(message, peerId);
                 break;
+            case 'MESH_REGISTER':
+            case 'MESH_HEARTBEAT':
+            case 'MESH_DHT':
+            case 'MESH_PROBE':
+            case 'MESH_ANNOUNCE':
+            case 'MESH_REPLY':
+                if (this.mesh) {
+                    await this.mesh.handleMessage(message, peerId);
+                }
+                break;
+            default:
+                await this.processCustomMessage(message, peerId);
         }
     }
 
     /**
-     * Process an incoming onion packet (decrypt a layer, forward or deliver).
+     * Register a handler for an application-defined message type.
+     * @param {string} type - The message type.
+     * @param {(message: object, peerId: string) => any} handler - Called for every message of this type.
+     * @throws {Error} If the type is handled by the node itself.
+     */
+    registerMessageHandler(type, handler) {
+        if (BUILTIN_MESSAGE_TYPES.has(type)) {
+            throw new Error(`Cannot override built-in message type ${type}`);
+        }
+        this.messageHandlers.set(type, handler);
+    }
+
+    /**
+     * Remove the handler for an application-defined message type.
+     * @param {string} type - The message type.
+     */
+    unregisterMessageHandler(type) {
+        this.messageHandlers.delete(type);
+    }
+
+    /**
+     * Dispatch a message of a non-built-in type to its registered handler.
+     * @param {object} message - The message object.
+     * @param {string} peerId - The peer's ID.
+     */
+    async processCustomMessage(message, peerId) {
+        const handler = this.messageHandlers.get(message.type);
+        if (!handler) return;
+        try {
+            await handler(message, peerId);
+        } catch (error) {
+            console.error(`Error in ${message.type} handler:`, error);
+        }
+    }
+
+    /**
+     * Answer a DHT query tunneled over TCP (for peers whose UDP is blocked).
+     * @param {object} message - The DHT_QUERY message ({ rpcId, query }).
+     * @param {string} peerId - The peer's ID.
+     */
+    async processDHTQuery(message, peerId) {
+        const query = message.query;
+        const invalid = MessageValidator.validateDHTRequest(query);
+        if (invalid) {
+            this.guard.report(`peer:${peerId}`, `invalid DHT query: ${invalid}`);
+            return;
+        }
+        const response = this.dht.handleRequest(query, `peer:${peerId}`);
+        await this.sendToPeer(peerId, {
+            type: 'DHT_RESPONSE',
+            rpcId: message.rpcId,
+            response: response || { type: 'ERROR', data: `Unsupported query ${query.type}` }
+        });
+    }
+
+    /**
+     * Resolve a pending tunneled DHT query with its response.
+     * @param {object} message - The DHT_RESPONSE message ({ rpcId, response }).
+     */
+    processDHTResponse(message) {
+        const pending = this.pendingQueries.get(message.rpcId);
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        this.pendingQueries.delete(message.rpcId);
+        pending.resolve(message.response);
+    }
+
+    /**
+     * Send a DHT request (PING, STORE, FIND_NODE, FIND_VALUE) to a connected peer over TCP.
+     * @param {string} peerId - The peer's ID.
+     * @param {string} type - The DHT request type.
+     * @param {object} [payload={}] - Additional request fields.
+     * @returns {Promise<{type: string, data: any}>} The peer's DHT response.
+     */
+    sendDHTQuery(peerId, type, payload = {}) {
+        return new Promise((resolve, reject) => {
+            const peer = this.peers.get(peerId);
+            if (!peer) {
+                reject(new Error(`Unknown peer ${peerId}`));
+                return;
+            }
+            const rpcId = crypto.randomBytes(8).toString('hex');
+            const timer = setTimeout(() => {
+                this.pendingQueries.delete(rpcId);
+                reject(new Error(`DHT query ${type} to peer ${peerId} timed out`));
+            }, this.queryTimeout);
+            this.pendingQueries.set(rpcId, { resolve, reject, timer });
+            try {
+                peer.send({ type: 'DHT_QUERY', rpcId, query: { ...payload, type } });
+            } catch (error) {
+                clearTimeout(timer);
+                this.pendingQueries.delete(rpcId);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Handle peer exchange: answer requests with our known peers, learn from responses.
+     * @param {object} message - The PEER_DISCOVERY message ({ action, peers }).
+     * @param {string} peerId - The peer's ID.
+     */
+    async processPeerDiscovery(message, peerId) {
+        if (message.action === 'request') {
+            const requester = this.peers.get(peerId);
+            const addresses = new Set(this.knownPeers);
+            for (const peer of this.peers.values()) {
+                if (peer.remoteAddress) addresses.add(peer.remoteAddress);
+            }
+            if (requester) addresses.delete(requester.remoteAddress);
+            await this.sendToPeer(peerId, {
+                type: 'PEER_DISCOVERY',
+                action: 'response',
+                peers: Array.from(addresses).slice(0, MAX_EXCHANGED_PEERS)
+            });
+        } else if (message.action === 'response' && Array.isArray(message.peers)) {
+            const ownAddress = `${this.host}:${this.port}`;
+            const connected = new Set(Array.from(this.peers.values()).map(peer => peer.remoteAddress));
+            const discovered = message.peers
+                .slice(0, MAX_EXCHANGED_PEERS)
+                .filter(addr => typeof addr === 'string' && /^[^:]+:\d+$/.test(addr))
+                .filter(addr => addr !== ownAddress && !this.knownPeers.has(addr));
+            discovered.forEach(addr => this.knownPeers.add(addr));
+            if (discovered.length > 0) {
+                this.emit('peersDiscovered', discovered);
+            }
+            if (this.meshType === 'unstructured') {
+                for (const addr of discovered) {
+                    if (this.peers.size >= this.maxPeerConnections) break;
+                    if (connected.has(addr)) continue;
+                    await this.connectToPeer(addr).catch(error => console.error(`Could not connect to ${addr}:`, error.message));
+                }
+            }
+        }
+    }
+
+    /**
+     * Ask a connected peer for the peers it knows.
+     * @param {string} peerId - The peer's ID.
+     * @returns {Promise<void>}
+     */
+    async requestPeers(peerId) {
+        await this.sendToPeer(peerId, { type: 'PEER_DISCOVERY', action: 'request' });
+    }
+
+    /**
+     * Deliver a direct pseudonymous message addressed to us.
+     * @param {object} message - The ANONYMOUS_MESSAGE message ({ to, from, payload }).
+     * @param {string} peerId - The peer's ID.
+     */
+    async processAnonymousMessage(message, peerId) {
+        if (message.to !== this.identity.pseudonym) {
+            console.error('Dropping anonymous message addressed to another pseudonym');
+            return;
+        }
+        this.emit('anonymousMessage', message.payload, { from: message.from || null, direct: true });
+    }
+
+    /**
+     * Send a message directly (without onion routing) to a node identified by pseudonym.
+     * The recipient learns our pseudonym and network address, but not our long-term identity.
+     * @param {any} payload - The message payload.
+     * @param {string} targetPseudonym - The recipient's pseudonym.
+     * @returns {Promise<void>}
+     * @throws {Error} If the recipient has no valid descriptor.
+     */
+    async sendPseudonymousMessage(payload, targetPseudonym) {
+        const target = await this.onionRouter.getNodeInfo(targetPseudonym);
+        if (!target) {
+            throw new Error(`No valid descriptor for node ${targetPseudonym}`);
+        }
+        await this.sendToNode(target.address, {
+            type: 'ANONYMOUS_MESSAGE',
+            to: targetPseudonym,
+            from: this.identity.pseudonym,
+            payload
+        }, targetPseudonym);
+    }
+
+    /**
+     * Process an incoming onion packet: peel our layer, then either relay it to the
+     * next hop or, at the exit, deliver it locally if we are the destination.
      * @param {object} message - The onion packet message.
      * @param {string} peerId - The peer's ID.
      */
@@ -164,9 +879,11 @@ class AnonymousP2PNode extends EventEmitter {
                 this.identity.keyPair.privateKey
             );
             if (decrypted.nextHop) {
-                await this.forwardOnionPacket(decrypted, decrypted.nextHop);
-            } else {
+                await this.forwardOnionPacket(decrypted.packet, decrypted.nextHop);
+            } else if (!decrypted.destination || decrypted.destination === this.identity.pseudonym) {
                 this.emit('anonymousMessage', decrypted.payload);
+            } else {
+                console.error('Dropping onion packet addressed to another destination');
             }
         } catch (error) {
             console.error('Error processing onion packet:', error);
@@ -174,58 +891,333 @@ class AnonymousP2PNode extends EventEmitter {
     }
 
     /**
-     * Send an anonymous message through a randomly built circuit.
+     * Relay a peeled onion packet to the next hop.
+     * @param {object} packet - The remaining (still encrypted) onion packet.
+     * @param {string} nextHop - The next hop's address (host:port).
+     * @returns {Promise<void>}
+     */
+    async forwardOnionPacket(packet, nextHop) {
+        await this.sendToNode(nextHop, {
+            type: 'ONION_PACKET',
+            packet
+        });
+    }
+
+    /**
+     * Send an anonymous message over a circuit that ends at the recipient, reusing an open
+     * circuit to the same recipient while it is within its lifetime and message limit.
      * @param {any} message - The message to send.
      * @param {string} targetPseudonym - The recipient's pseudonym.
-     * @returns {Promise<void>}
+     * @returns {Promise<string>} The ID of the circuit that carried the message.
      */
     async sendAnonymousMessage(message, targetPseudonym) {
-        const circuitNodes = await this.findCircuitNodes(3);
-        const circuitId = await this.onionRouter.buildCircuit(circuitNodes);
-        const circuit = this.onionRouter.circuits.get(circuitId);
-        const packet = this.onionRouter.createOnionPacket(message, circuit);
-        const firstHop = circuit[0];
-        await this.sendToNode(firstHop.address, {
-            type: 'ONION_PACKET',
-            packet,
-            circuitId
+        const circuitId = await this.getCircuit(targetPseudonym);
+        this.onionRouter.sendData(circuitId, { id: crypto.randomBytes(8).toString('hex'), payload: message });
+        return circuitId;
+    }
+
+    /**
+     * Send an anonymous request and wait for the recipient to answer it with reply().
+     * The answer travels backward on our circuit, so the recipient never learns who asked.
+     * @param {any} message - The request.
+     * @param {string} targetPseudonym - The recipient's pseudonym.
+     * @param {object} [options] - Optional settings.
+     * @param {number} [options.timeout=this.queryTimeout] - Time to wait for the reply (ms).
+     * @returns {Promise<any>} The reply payload.
+     * @throws {Error} If no reply arrives in time or the circuit closes first.
+     */
+    async sendAnonymousRequest(message, targetPseudonym, options = {}) {
+        const circuitId = await this.getCircuit(targetPseudonym);
+        const id = crypto.randomBytes(8).toString('hex');
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(id);
+                reject(new Error(`Anonymous request to ${targetPseudonym} timed out`));
+            }, options.timeout || this.queryTimeout);
+            this.pendingRequests.set(id, { resolve, reject, timer, circuitId });
+            try {
+                this.onionRouter.sendData(circuitId, { id, payload: message });
+            } catch (error) {
+                clearTimeout(timer);
+                this.pendingRequests.delete(id);
+                reject(error);
+            }
         });
     }
 
     /**
-     * Find random nodes from the DHT to build a circuit.
-     * @param {number} count - Number of nodes to find.
-     * @returns {Promise<Array<string>>} List of node IDs.
+     * Host a hidden service: a pseudonym clients can send anonymous messages to through a
+     * rendezvous point, without either side learning the other's address. Messages arrive as
+     * 'anonymousMessage' with `service` set to the service pseudonym.
+     * @param {object} [options] - Service configuration (see HiddenService).
+     * @param {AnonymousIdentity} [options.identity] - The service identity (default: a fresh one, unlinkable to this node).
+     * @param {number} [options.introPoints=3] - Number of introduction points.
+     * @param {number} [options.descriptorTTL] - Lifetime of the published descriptor (ms).
+     * @returns {Promise<string>} The service pseudonym.
+     * @throws {Error} If the node is not running or no introduction point could be established.
+     */
+    async hostHiddenService(options = {}) {
+        if (!this.running) {
+            throw new Error('Node is not running');
+        }
+        const service = new HiddenService(this.onionRouter, this.dht, {
+            identity: options.identity,
+            introPoints: options.introPoints,
+            descriptorTTL: options.descriptorTTL || this.descriptorTTL,
+            selectPath: lastHop => this.selectCircuitPath(lastHop)
+        });
+        await service.start();
+        this.hiddenServices.set(service.pseudonym, service);
+        return service.pseudonym;
+    }
+
+    /**
+     * Stop hosting a hidden service. Its descriptor expires from the DHT on its own.
+     * @param {string} pseudonym - The service pseudonym.
+     * @returns {Promise<boolean>} True if the service was hosted here.
+     */
+    async stopHiddenService(pseudonym) {
+        const service = this.hiddenServices.get(pseudonym);
+        if (!service) return false;
+        this.hiddenServices.delete(pseudonym);
+        await service.stop();
+        return true;
+    }
+
+    /**
+     * Reach a hidden service through one of its introduction points, trying each in random order.
+     * @param {{pseudonym: string, publicKey: crypto.KeyObject, introPoints: Array<string>}} service - The service (see HiddenService.lookup()).
+     * @returns {Promise<string>} The ID of the rendezvous circuit, which carries DATA to the service.
+     * @throws {Error} If no introduction point leads to the service.
+     */
+    async connectHiddenService(service) {
+        const rendezvousId = await this.onionRouter.buildCircuit(await this.selectCircuitPath(null), { reusable: false });
+        const introPoints = [...service.introPoints].sort(() => Math.random() - 0.5);
+        for (const introPoint of introPoints) {
+            let introId = null;
+            try {
+                introId = await this.onionRouter.buildCircuit(await this.selectCircuitPath(introPoint), { reusable: false });
+                await this.onionRouter.connectService(introId, rendezvousId, service);
+                return rendezvousId;
+            } catch (error) {
+                console.error(`Introduction through ${introPoint} failed:`, error.message);
+            } finally {
+                if (introId) this.onionRouter.destroyCircuit(introId);
+            }
+        }
+        this.onionRouter.destroyCircuit(rendezvousId, 'service unreachable');
+        throw new Error(`Hidden service ${service.pseudonym} is unreachable`);
+    }
+
+    /**
+     * Deliver data that arrived on a circuit ending here as 'anonymousMessage', with a
+     * reply() function that answers backward along the sender's circuit.
+     * @param {{id: string, payload: any, replyTo?: string}} data - The DATA envelope.
+     * @param {string} routeKey - The circuit's route key, used to reply.
+     */
+    processCircuitData(data, routeKey) {
+        if (!data || typeof data !== 'object' || typeof data.id !== 'string') return;
+        const reply = async (response) => {
+            this.onionRouter.sendBackwardData(routeKey, {
+                id: crypto.randomBytes(8).toString('hex'),
+                payload: response,
+                replyTo: data.id
+            });
+        };
+        this.emit('anonymousMessage', data.payload, { direct: false, reply });
+    }
+
+    /**
+     * Handle data the recipient of one of our circuits sent back: resolve the matching
+     * request, or emit 'anonymousReply' with a reply() function to continue the conversation.
+     * On a hidden service's rendezvous circuit the data comes from a client, and is delivered
+     * as 'anonymousMessage' instead.
+     * @param {string} circuitId - The circuit ID.
+     * @param {{id: string, payload: any, replyTo?: string}} data - The DATA envelope.
      */
-    async findCircuitNodes(count) {
-        const nodes = [];
-        for (let i = 0; i < count; i++) {
-            const randomKey = crypto.randomBytes(20).toString('hex');
-            const closestNodes = this.dht.findClosestNodes(randomKey, 1);
-            if (closestNodes.length > 0) {
-                nodes.push(closestNodes[0].id);
+    processCircuitReply(circuitId, data) {
+        if (!data || typeof data !== 'object' || typeof data.id !== 'string') return;
+        const pending = this.pendingRequests.get(data.replyTo);
+        if (pending && pending.circuitId === circuitId) {
+            clearTimeout(pending.timer);
+            this.pendingRequests.delete(data.replyTo);
+            pending.resolve(data.payload);
+            return;
+        }
+        const circuit = this.onionRouter.circuits.get(circuitId);
+        const reply = async (message) => {
+            this.onionRouter.sendData(circuitId, {
+                id: crypto.randomBytes(8).toString('hex'),
+                payload: message,
+                replyTo: data.id
+            });
+        };
+        if (circuit && circuit.service) {
+            this.emit('anonymousMessage', data.payload, { direct: false, service: circuit.service, reply });
+            return;
+        }
+        this.emit('anonymousReply', data.payload, { circuitId, from: circuit ? circuit.target : null, reply });
+    }
+
+    /**
+     * Fail the requests waiting on a circuit that closed and re-emit 'circuitClosed'.
+     * @param {string} circuitId - The circuit ID.
+     * @param {string} reason - Why it closed.
+     */
+    handleCircuitClosed(circuitId, reason) {
+        for (const [messageId, pending] of this.pendingRequests) {
+            if (pending.circuitId !== circuitId) continue;
+            clearTimeout(pending.timer);
+            pending.reject(new Error(`Circuit closed: ${reason}`));
+            this.pendingRequests.delete(messageId);
+        }
+        this.emit('circuitClosed', circuitId, reason);
+    }
+
+    /**
+     * Get a reusable circuit to a destination, building one if needed. Concurrent callers
+     * for the same destination share a single build. A destination that publishes a hidden
+     * service descriptor is reached through a rendezvous point; any other is the circuit's last hop.
+     * @param {string} [targetPseudonym] - The recipient's pseudonym.
+     * @returns {Promise<string>} The circuit ID.
+     */
+    async getCircuit(targetPseudonym) {
+        const target = targetPseudonym || null;
+        const reusable = this.onionRouter.findReusableCircuit(target);
+        if (reusable) {
+            return reusable;
+        }
+        if (!this.pendingCircuits.has(target)) {
+            const build = (async () => {
+                const service = target ? await HiddenService.lookup(this.dht, target) : null;
+                if (service) {
+                    return this.connectHiddenService(service);
+                }
+                return this.onionRouter.buildCircuit(await this.selectCircuitPath(target), { target });
+            })().finally(() => this.pendingCircuits.delete(target));
+            this.pendingCircuits.set(target, build);
+        }
+        return this.pendingCircuits.get(target);
+    }
+
+    /**
+     * Pick the hops of a new circuit (see PathSelector): an entry guard first, `circuitLength`
+     * hops in total, no duplicates, never ourselves, and diverse subnets and operators.
+     * A leaf's circuits start at its supernode instead of a guard, and circuits to a leaf reach
+     * it through the supernode named in its descriptor, which is then the second-to-last hop.
+     * @param {string|null} lastHop - The node the circuit must end at, or null to end at a relay.
+     * @returns {Promise<Array<string>>} Node IDs (pseudonyms), in order.
+     * @throws {Error} If the last hop (or its supernode) has no valid descriptor or too few suitable relays are known.
+     */
+    async selectCircuitPath(lastHop) {
+        let last = null;
+        if (lastHop) {
+            const node = await this.onionRouter.getNodeInfo(lastHop);
+            if (!node) {
+                throw new Error(`No valid descriptor for node ${lastHop}`);
             }
+            last = { id: lastHop, address: node.address, operator: node.operator };
+            if (node.via && node.via !== this.identity.pseudonym) {
+                const supernode = await this.onionRouter.getNodeInfo(node.via);
+                if (!supernode) {
+                    throw new Error(`No valid descriptor for supernode ${node.via} of node ${lastHop}`);
+                }
+                last = { id: node.via, address: supernode.address, operator: supernode.operator };
+            }
+        }
+        const first = this.isLeaf() && this.mesh.supernode
+            ? { id: this.mesh.supernode.id, address: this.mesh.supernode.address, operator: null }
+            : null;
+        const viaSupernode = last !== null && last.id !== lastHop;
+        if (viaSupernode && first && first.id === last.id) {
+            return [first.id, lastHop]; // Both ends are leaves of the same supernode, which knows them already
         }
-        return nodes;
+        const path = this.pathSelector.selectPath(await this.findCircuitNodes(), {
+            length: viaSupernode ? this.onionRouter.circuitLength - 1 : this.onionRouter.circuitLength,
+            last,
+            first,
+            exclude: [this.identity.pseudonym, lastHop].filter(Boolean)
+        });
+        return viaSupernode ? path.concat(lastHop) : path;
     }
 
     /**
-     * Start generating cover traffic (dummy messages) to random peers.
+     * Open (or reuse) an authenticated peer connection to carry circuit cells. A connection the
+     * node opened to us is reused too, so that supernodes reach their leaves.
+     * @param {string} address - The node's address (host:port).
+     * @param {string} pseudonym - The pseudonym the node must prove.
+     * @returns {Promise<PeerConnection>} The link.
      */
-    startCoverTraffic() {
-        if (!this.coverTraffic) return;
-        setInterval(() => {
-            const peerIds = Array.from(this.peers.keys());
-            if (peerIds.length > 0) {
-                const randomPeer = peerIds[Math.floor(Math.random() * peerIds.length)];
-                const dummyMessage = {
-                    type: 'DUMMY_TRAFFIC',
-                    data: crypto.randomBytes(64).toString('hex'),
-                    timestamp: Date.now()
-                };
-                this.sendToPeer(randomPeer, dummyMessage);
+    async getLink(address, pseudonym) {
+        const connected = this.peers.get(pseudonym);
+        if (connected && !connected.closed) {
+            return connected;
+        }
+        const peerId = await this.connectToPeer(address, pseudonym);
+        const connection = this.peers.get(peerId);
+        if (!connection) {
+            throw new Error(`No link to ${address}`);
+        }
+        return connection;
+    }
+
+    /**
+     * Find relays that may be used in circuits: nodes from our routing table (a random sample
+     * of at most MAX_RELAY_CANDIDATES) with a valid descriptor advertising the 'relay' capability.
+     * A leaf has no routing table and samples the nodes its supernode finds closest to a random ID.
+     * @returns {Promise<Array<{id: string, address: string, operator: string|null}>>} The relays.
+     */
+    async findCircuitNodes() {
+        const known = this.isLeaf()
+            ? (await this.dht.iterativeFindNode(crypto.randomBytes(20).toString('hex'))).nodes
+            : this.dht.buckets.flat();
+        const contacts = known
+            .filter(contact => contact.id !== this.identity.pseudonym)
+            .sort(() => Math.random() - 0.5)
+            .slice(0, MAX_RELAY_CANDIDATES);
+        const infos = await Promise.all(contacts.map(contact => this.onionRouter.getNodeInfo(contact.id).catch(() => null)));
+        const relays = [];
+        infos.forEach((node, i) => {
+            if (node && node.capabilities.includes('relay')) {
+                relays.push({ id: contacts[i].id, address: node.address, operator: node.operator });
             }
-        }, 5000 + Math.random() * 10000);
+        });
+        return relays;
+    }
+
+    /**
+     * Publish this node's signed descriptor (pseudonym, public key, address, capabilities)
+     * to the DHT so that others can include it in circuits. A leaf publishes through its
+     * supernode, names it in the descriptor and does not advertise the 'relay' capability.
+     * @returns {Promise<object|null>} The published descriptor, or null for a leaf not yet registered
+     *     with a supernode (it publishes once registered).
+     */
+    async publishDescriptor() {
+        const leaf = this.isLeaf();
+        if (leaf && !this.mesh.supernode) {
+            return null;
+        }
+        const descriptor = NodeDescriptor.create(this.identity, {
+            address: `${this.host}:${this.port}`,
+            capabilities: leaf ? this.capabilities.filter(capability => capability !== 'relay') : this.capabilities,
+            operator: this.operator,
+            via: leaf ? this.mesh.supernode.id : null,
+            ttl: this.descriptorTTL
+        });
+        this.onionRouter.addDescriptor(descriptor);
+        await this.dht.store(NodeDescriptor.key(this.identity.pseudonym), descriptor, { ttl: this.descriptorTTL });
+        return descriptor;
+    }
+
+    /**
+     * Publish the descriptor now and refresh it before it expires.
+     */
+    startDescriptorPublishing() {
+        const publish = () => this.publishDescriptor().catch((error) => {
+            console.error('Error publishing descriptor:', error);
+        });
+        publish();
+        this.scheduleRepeating(publish, this.descriptorTTL / 2);
     }
 
     /**
@@ -236,37 +1228,52 @@ class AnonymousP2PNode extends EventEmitter {
     async sendToPeer(peerId, message) {
         const peer = this.peers.get(peerId);
         if (peer) {
-            peer.write(JSON.stringify(message));
+            peer.send(message);
         }
     }
 
     /**
-     * Send a message to a node by address (host:port).
+     * Send a single message to a node by address (host:port), reusing an existing peer
+     * connection if there is one, otherwise over a short-lived authenticated connection.
      * @param {string} address - The node's address.
      * @param {object} message - The message to send.
+     * @param {string} [expectedPseudonym] - Only deliver if the node proves this pseudonym.
      * @returns {Promise<void>}
      */
-    async sendToNode(address, message) {
-        return new Promise((resolve, reject) => {
-            const [host, port] = address.split(':');
-            const socket = net.createConnection(parseInt(port), host);
-            socket.on('connect', () => {
-                socket.write(JSON.stringify(message));
-                socket.end();
-                resolve();
-            });
-            socket.on('error', reject);
+    async sendToNode(address, message, expectedPseudonym) {
+        if (!this.running) {
+            throw new Error('Node is not running');
+        }
+        const peerId = this.findPeerByAddress(address);
+        if (peerId && (!expectedPseudonym || peerId === expectedPseudonym)) {
+            this.peers.get(peerId).send(message);
+            return;
+        }
+        const [host, port] = address.split(':');
+        const connection = this.createPeerConnection(net.createConnection(parseInt(port), host), {
+            initiator: true,
+            transient: true,
+            expectedPseudonym
         });
+        await connection.waitReady();
+        if (!this.verifyPeerIdentity(connection)) {
+            connection.destroy(new Error('Peer identity rejected'));
+            throw new Error(`Node at ${address} failed identity verification`);
+        }
+        connection.send(message);
+        connection.close();
     }
 
     /**
      * Store data in the DHT.
      * @param {string} key - The key to store.
      * @param {any} value - The value to store.
+     * @param {object} [options] - Optional settings.
+     * @param {number} [options.ttl] - How long the value lives in the DHT (ms).
      * @returns {Promise<void>}
      */
-    async storeData(key, value) {
-        return this.dht.store(key, value);
+    async storeData(key, value, options = {}) {
+        return this.dht.store(key, value, options);
     }
 
     /**
@@ -275,21 +1282,87 @@ class AnonymousP2PNode extends EventEmitter {
      * @returns {Promise<any|null>} The value, or null if not found.
      */
     async retrieveData(key) {
-        return this.dht.retrieve(key);
+        const value = await this.dht.retrieve(key);
+        if (value !== null || this.peers.size === 0) {
+            return value;
+        }
+        // Fall back to asking connected peers over TCP in case our UDP path is blocked
+        const keyHash = this.dht.hashKey(key);
+        for (const peerId of this.peers.keys()) {
+            try {
+                const response = await this.sendDHTQuery(peerId, 'FIND_VALUE', { key: keyHash });
+                if (response.type === 'FOUND') {
+                    return response.data;
+                }
+            } catch (error) {
+                console.error('Tunneled DHT query failed:', error.message);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Publish a mutable value signed with our identity key. Only we can update it; readers
+     * find it with getSigned() using our public key and the same salt.
+     * @param {any} value - The value to publish (must be JSON-serializable).
+     * @param {object} [options] - Optional settings.
+     * @param {string} [options.salt=''] - Salt, allowing several independent values per key.
+     * @param {number} [options.seq] - Sequence number (default: one more than the newest published).
+     * @param {number} [options.ttl] - How long the record lives in the DHT (ms).
+     * @returns {Promise<{target: string, seq: number}>} The record's DHT key and sequence number.
+     */
+    async putSigned(value, options = {}) {
+        const salt = options.salt || '';
+        const target = SignedRecord.target(this.identity.keyPair.publicKey, salt);
+        let seq = options.seq;
+        if (seq === undefined) {
+            const current = await this.dht.retrieveSigned(target);
+            seq = current ? current.seq + 1 : 0;
+        }
+        const record = SignedRecord.create(this.identity.keyPair, value, { seq, salt });
+        await this.dht.storeSigned(record, { ttl: options.ttl });
+        return { target, seq };
     }
 
     /**
-     * Connect to a peer by address (host:port).
+     * Retrieve the newest mutable value published by a key holder.
+     * @param {string} publicKey - The publisher's public key (PEM or base64 SPKI DER).
+     * @param {object} [options] - Optional settings.
+     * @param {string} [options.salt=''] - The salt the value was published with.
+     * @returns {Promise<{value: any, seq: number}|null>} The verified value, or null if not found.
+     */
+    async getSigned(publicKey, options = {}) {
+        const record = await this.dht.retrieveSigned(SignedRecord.target(publicKey, options.salt || ''));
+        return record ? { value: record.v, seq: record.seq } : null;
+    }
+
+    /**
+     * Connect to a peer by address (host:port) and authenticate it.
      * @param {string} address - The peer's address.
-     * @returns {Promise<string>} The peer ID.
-     */
-    async connectToPeer(address) {
-        const socket = net.createConnection(parseInt(address.split(':')[1]), address.split(':')[0]);
-        const peerId = crypto.randomBytes(8).toString('hex');
-        socket.on('connect', () => {
-            this.peers.set(peerId, socket);
-            this.emit('peerConnected', peerId);
+     * @param {string} [expectedPseudonym] - Reject the peer unless it proves this pseudonym.
+     * @returns {Promise<string>} The peer ID (verified pseudonym), once the handshake has completed.
+     */
+    async connectToPeer(address, expectedPseudonym) {
+        if (!this.running) {
+            throw new Error('Node is not running');
+        }
+        const existing = this.findPeerByAddress(address);
+        if (existing && (!expectedPseudonym || existing === expectedPseudonym)) {
+            return existing;
+        }
+        const [host, port] = address.split(':');
+        const connection = this.createPeerConnection(net.createConnection(parseInt(port), host), {
+            initiator: true,
+            expectedPseudonym
         });
+        let peerId = null;
+        connection.once('ready', () => {
+            peerId = this.acceptConnection(connection);
+        });
+        await connection.waitReady();
+        if (!peerId) {
+            throw new Error(`Peer at ${address} failed identity verification`);
+        }
         return peerId;
     }
 
@@ -300,37 +1373,37 @@ class AnonymousP2PNode extends EventEmitter {
      */
     async attemptNATHolePunch(peerAddress) {
         // peerAddress: 'host:port'
-        return new Promise((resolve, reject) => {
-            const [host, port] = peerAddress.split(':');
-            const punchMessage = JSON.stringify({
-                type: 'NAT_PUNCH',
-                nodeId: this.identity.pseudonym,
-                timestamp: Date.now()
-            });
-            // Listen for a response
-            const onMessage = (msg, rinfo) => {
-                try {
-                    const message = JSON.parse(msg.toString());
-                    if (message.type === 'NAT_PUNCH_ACK' && rinfo.address === host && rinfo.port === parseInt(port)) {
-                        this.dht.socket.off('message', onMessage);
-                        resolve(true);
-                    }
-                } catch {}
-            };
-            this.dht.socket.on('message', onMessage);
-            // Send punch message
-            this.dht.socket.send(punchMessage, parseInt(port), host, (err) => {
-                if (err) {
-                    this.dht.socket.off('message', onMessage);
-                    reject(err);
-                }
-            });
-            // Timeout
-            setTimeout(() => {
-                this.dht.socket.off('message', onMessage);
-                reject(new Error('NAT punch timeout'));
-            }, 3000);
-        });
+        try {
+            await this.dht.sendRequest(peerAddress, 'NAT_PUNCH', { timestamp: Date.now() }, 3000);
+            return true;
+        } catch (error) {
+            if (/timed out/.test(error.message)) {
+                throw new Error('NAT punch timeout');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Record the outcome of a loop message for every hop of the circuit that carried it.
+     * @param {string} circuitId - The circuit ID.
+     * @param {'relaySuccess'|'relayFailure'} observation - Whether the loop came back.
+     */
+    scoreCircuitHops(circuitId, observation) {
+        const circuit = this.onionRouter.circuits.get(circuitId);
+        if (!circuit) return;
+        for (const hop of circuit.hops) {
+            this.reputation.record(hop.id, observation);
+        }
+    }
+
+    /**
+     * Get a peer's reputation score.
+     * @param {string} peerId - The peer's pseudonym.
+     * @returns {number} The score (-100 to 100, 0 for unknown peers).
+     */
+    getReputation(peerId) {
+        return this.reputation.getScore(peerId);
     }
 
     /**
@@ -343,7 +1416,12 @@ class AnonymousP2PNode extends EventEmitter {
             connectedPeers: this.peers.size,
             dhtEntries: this.dht.storage.size,
             circuits: this.onionRouter.circuits.size,
-            reputation: this.identity.reputation
+            hiddenServices: this.hiddenServices.size,
+            mixing: this.mixer.getStats(),
+            coverTraffic: this.coverTraffic ? this.coverTraffic.getStats() : null,
+            protection: this.guard.getStats(),
+            reputation: this.reputation.getStats(),
+            mesh: this.mesh ? this.mesh.getStats() : null
         };
     }
 }
@@ -0,0 +1,380 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const WireCodec = require('./WireCodec');
+const AnonymousIdentity = require('../core/AnonymousIdentity');
+
+/** Size of the AES-GCM authentication tag appended to every encrypted frame (bytes). */
+const TAG_SIZE = 16;
+/** Largest accepted handshake frame (bytes); HELLO and AUTH are far smaller. */
+const MAX_HANDSHAKE_FRAME_SIZE = 16 * 1024;
+/** HELLO fields covered by the handshake transcript, in order. */
+const HELLO_FIELDS = ['version', 'address', 'transient', 'pseudonym', 'publicKey', 'nonce', 'ephemeralKey'];
+
+/**
+ * PeerConnection wraps a TCP socket with the framed, versioned and authenticated wire protocol.
+ *
+ * Handshake (both sides, in order):
+ * 1. HELLO: protocol version, advertised address, pseudonym, identity public key,
+ *    a random nonce and an ephemeral X25519 key.
+ * 2. AUTH: a Schnorr proof of possession of the identity key (see AnonymousIdentity.createZKProof),
+ *    bound to the transcript of both HELLOs and therefore to the remote's fresh nonce.
+ *    The pseudonym must be the hash of the public key, so the proof also proves pseudonym ownership.
+ * Every frame after AUTH is a fixed-size cell (see WireCodec.encodeCells()) encrypted with AES-256-GCM
+ * session keys derived from the ephemeral X25519 agreement, one key per direction with counter nonces.
+ * Messages longer than a cell span several cells, so frame sizes reveal nothing about content.
+ * Until then, frames are limited to MAX_HANDSHAKE_FRAME_SIZE, so an unauthenticated remote cannot
+ * make us buffer large frames; afterwards every frame must be exactly one encrypted cell.
+ * @extends EventEmitter
+ */
+class PeerConnection extends EventEmitter {
+    /**
+     * Create a new PeerConnection around a socket.
+     * @param {import('net').Socket} socket - The underlying TCP socket.
+     * @param {object} options - Connection configuration.
+     * @param {import('../core/AnonymousIdentity')} options.identity - Our identity, used to authenticate.
+     * @param {boolean} [options.initiator=false] - Whether we opened the connection.
+     * @param {string} [options.address] - Our advertised listening address (host:port), sent in HELLO.
+     * @param {boolean} [options.transient=false] - Announce a short-lived connection the remote should not register as a peer.
+     * @param {string} [options.expectedPseudonym] - Reject the remote unless it proves this pseudonym.
+     * @param {number} [options.maxFrameSize] - Largest accepted message (bytes), whether in one frame or reassembled from cells.
+     * @param {number} [options.handshakeTimeout=10000] - Time allowed for the handshake (ms).
+     */
+    constructor(socket, options) {
+        super();
+        /** @type {import('net').Socket} */
+        this.socket = socket;
+        /** @type {import('../core/AnonymousIdentity')} */
+        this.identity = options.identity;
+        /** @type {boolean} */
+        this.initiator = !!options.initiator;
+        /** @type {boolean} */
+        this.transient = !!options.transient;
+        /** @type {string|undefined} */
+        this.expectedPseudonym = options.expectedPseudonym;
+        /** @type {number} */
+        this.maxFrameSize = options.maxFrameSize || WireCodec.DEFAULT_MAX_FRAME_SIZE;
+        /** @type {string|undefined} */
+        this.localAddress = options.address;
+        /** @type {WireCodec} */
+        this.codec = new WireCodec(Math.min(this.maxFrameSize, MAX_HANDSHAKE_FRAME_SIZE));
+        /** @type {'hello'|'auth'|'open'} */
+        this.state = 'hello';
+        /** @type {boolean} */
+        this.ready = false;
+        /** @type {boolean} */
+        this.closed = false;
+        /** @type {object|null} */
+        this.localHello = null;
+        /** @type {object|null} */
+        this.remoteHello = null;
+        /** @type {string|null} */
+        this.remoteAddress = null; // Advertised listening address of the remote node
+        /** @type {string|null} */
+        this.remotePseudonym = null; // Verified once ready
+        /** @type {crypto.KeyObject|null} */
+        this.remotePublicKey = null;
+        /** @type {boolean} */
+        this.remoteTransient = false;
+        /** @type {{ privateKey: crypto.KeyObject, publicKey: crypto.KeyObject }} */
+        this.ephemeral = crypto.generateKeyPairSync('x25519');
+        /** @type {Buffer|null} */
+        this.sharedSecret = null;
+        /** @type {Buffer|null} */
+        this.transcript = null;
+        /** @type {Buffer|null} */
+        this.sendKey = null;
+        /** @type {Buffer|null} */
+        this.receiveKey = null;
+        /** @type {number} */
+        this.sendCounter = 0;
+        /** @type {number} */
+        this.receiveCounter = 0;
+        /** @type {Array<Buffer>} */
+        this.incomingCells = []; // Data of a message whose remaining cells have not arrived yet
+        /** @type {number} */
+        this.incomingSize = 0;
+        /** @type {Error|undefined} */
+        this.closeError = undefined;
+        this.handshakeTimer = setTimeout(() => {
+            this.destroy(new Error('Handshake timeout'));
+        }, options.handshakeTimeout || 10000);
+        this.codec.on('frame', (frame) => this.handleFrame(frame));
+        this.codec.on('error', (error) => this.destroy(error));
+        socket.on('data', (data) => this.codec.push(data));
+        socket.on('error', (error) => this.destroy(error));
+        socket.on('close', () => this.handleClose());
+        if (socket.connecting) {
+            socket.once('connect', () => this.sendHello());
+        } else {
+            this.sendHello();
+        }
+    }
+
+    /**
+     * Send our HELLO frame announcing the protocol version and our identity.
+     */
+    sendHello() {
+        this.localHello = {
+            type: 'HELLO',
+            version: WireCodec.PROTOCOL_VERSION,
+            address: this.localAddress,
+            transient: this.transient,
+            pseudonym: this.identity.pseudonym,
+            publicKey: this.identity.exportPublicKey(),
+            nonce: crypto.randomBytes(32).toString('base64'),
+            ephemeralKey: this.ephemeral.publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+        };
+        this.writeFrame(Buffer.from(JSON.stringify(this.localHello)));
+        if (this.remoteHello) {
+            this.sendAuth();
+        }
+    }
+
+    /**
+     * Handle a decoded frame according to the handshake state.
+     * @param {Buffer} frame - The frame payload.
+     */
+    handleFrame(frame) {
+        if (this.state === 'open') {
+            let message;
+            try {
+                const { data, more } = WireCodec.decodeCell(this.decrypt(frame));
+                this.incomingSize += data.length;
+                if (this.incomingSize > this.maxFrameSize) {
+                    throw new Error('Message too large');
+                }
+                this.incomingCells.push(data);
+                if (more) return;
+                message = JSON.parse(Buffer.concat(this.incomingCells).toString());
+                this.incomingCells = [];
+                this.incomingSize = 0;
+            } catch (error) {
+                this.destroy(new Error('Invalid encrypted frame'));
+                return;
+            }
+            this.emit('message', message);
+            return;
+        }
+        let message;
+        try {
+            message = JSON.parse(frame.toString());
+        } catch (error) {
+            this.destroy(new Error('Malformed frame'));
+            return;
+        }
+        if (this.state === 'hello') {
+            this.handleHello(message);
+        } else {
+            this.handleAuth(message);
+        }
+    }
+
+    /**
+     * Validate the remote HELLO, derive the session keys and answer with AUTH.
+     * @param {object} message - The first message received.
+     */
+    handleHello(message) {
+        if (!message || message.type !== 'HELLO') {
+            this.destroy(new Error('Expected HELLO'));
+            return;
+        }
+        if (message.version !== WireCodec.PROTOCOL_VERSION) {
+            this.destroy(new Error(`Unsupported protocol version ${message.version}`));
+            return;
+        }
+        if (typeof message.pseudonym !== 'string' || typeof message.nonce !== 'string') {
+            this.destroy(new Error('Incomplete HELLO'));
+            return;
+        }
+        if (this.expectedPseudonym && message.pseudonym !== this.expectedPseudonym) {
+            this.destroy(new Error(`Expected pseudonym ${this.expectedPseudonym}, got ${message.pseudonym}`));
+            return;
+        }
+        try {
+            this.remotePublicKey = crypto.createPublicKey(message.publicKey);
+            if (AnonymousIdentity.derivePseudonym(this.remotePublicKey) !== message.pseudonym) {
+                this.destroy(new Error('Pseudonym does not match public key'));
+                return;
+            }
+            const remoteEphemeral = crypto.createPublicKey({
+                key: Buffer.from(message.ephemeralKey, 'base64'),
+                type: 'spki',
+                format: 'der'
+            });
+            this.remoteHello = message;
+            this.sharedSecret = crypto.diffieHellman({ privateKey: this.ephemeral.privateKey, publicKey: remoteEphemeral });
+        } catch (error) {
+            this.destroy(new Error('Invalid HELLO keys'));
+            return;
+        }
+        this.remoteAddress = typeof message.address === 'string' ? message.address : null;
+        this.remoteTransient = message.transient === true;
+        this.state = 'auth';
+        if (this.localHello) {
+            this.sendAuth();
+        }
+    }
+
+    /**
+     * Derive the session keys and send our AUTH proof once both HELLOs are known.
+     */
+    sendAuth() {
+        const [initiatorHello, responderHello] = this.initiator
+            ? [this.localHello, this.remoteHello]
+            : [this.remoteHello, this.localHello];
+        this.transcript = crypto.createHash('sha256')
+            .update(JSON.stringify(HELLO_FIELDS.map(field => initiatorHello[field])))
+            .update(JSON.stringify(HELLO_FIELDS.map(field => responderHello[field])))
+            .digest();
+        const keys = Buffer.from(crypto.hkdfSync('sha256', this.sharedSecret, this.transcript, 'peer-session', 64));
+        const initiatorKey = keys.subarray(0, 32);
+        const responderKey = keys.subarray(32, 64);
+        this.sendKey = this.initiator ? initiatorKey : responderKey;
+        this.receiveKey = this.initiator ? responderKey : initiatorKey;
+        this.sharedSecret = null;
+        this.writeFrame(Buffer.from(JSON.stringify({
+            type: 'AUTH',
+            proof: this.identity.createZKProof(this.authPayload(this.initiator))
+        })));
+    }
+
+    /**
+     * Verify the remote AUTH proof and open the session.
+     * @param {object} message - The AUTH message.
+     */
+    handleAuth(message) {
+        if (!message || message.type !== 'AUTH' || !message.proof) {
+            this.destroy(new Error('Expected AUTH'));
+            return;
+        }
+        if (!AnonymousIdentity.verifyZKProof(message.proof, this.authPayload(!this.initiator), this.remoteHello.pseudonym)) {
+            this.destroy(new Error('Peer failed to prove key possession'));
+            return;
+        }
+        clearTimeout(this.handshakeTimer);
+        this.remotePseudonym = this.remoteHello.pseudonym;
+        this.codec.maxFrameSize = WireCodec.CELL_SIZE + TAG_SIZE;
+        this.state = 'open';
+        this.ready = true;
+        this.emit('ready', this.remoteHello);
+    }
+
+    /**
+     * Build the context an AUTH proof is bound to: the transcript hash and the prover's role.
+     * @param {boolean} initiator - Whether the prover is the initiator.
+     * @returns {Buffer} The proof context.
+     */
+    authPayload(initiator) {
+        return Buffer.concat([Buffer.from(initiator ? 'initiator:' : 'responder:'), this.transcript]);
+    }
+
+    /**
+     * Wait until the handshake has completed.
+     * @returns {Promise<void>}
+     */
+    waitReady() {
+        if (this.ready) return Promise.resolve();
+        if (this.closed) return Promise.reject(this.closeError || new Error('Connection closed'));
+        return new Promise((resolve, reject) => {
+            const onReady = () => {
+                this.off('close', onClose);
+                resolve();
+            };
+            const onClose = (error) => {
+                this.off('ready', onReady);
+                reject(error || new Error('Connection closed'));
+            };
+            this.once('ready', onReady);
+            this.once('close', onClose);
+        });
+    }
+
+    /**
+     * Send an encrypted message to the remote peer, padded into fixed-size cells.
+     * @param {object} message - The message to send.
+     * @throws {Error} If the handshake is incomplete, the connection is closed or the message is too large.
+     */
+    send(message) {
+        if (this.closed) {
+            throw new Error('Connection closed');
+        }
+        if (!this.ready) {
+            throw new Error('Handshake not complete');
+        }
+        const payload = Buffer.from(JSON.stringify(message));
+        if (payload.length > this.maxFrameSize) {
+            throw new Error(`Message of ${payload.length} bytes exceeds maximum of ${this.maxFrameSize}`);
+        }
+        for (const cell of WireCodec.encodeCells(payload)) {
+            this.writeFrame(this.encrypt(cell));
+        }
+    }
+
+    /**
+     * Encrypt a frame payload with the outgoing session key.
+     * @param {Buffer} plaintext - The payload.
+     * @returns {Buffer} Ciphertext followed by the authentication tag.
+     */
+    encrypt(plaintext) {
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.sendKey, this.frameNonce(this.sendCounter++));
+        return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    }
+
+    /**
+     * Decrypt a frame payload with the incoming session key; frames must arrive in order.
+     * @param {Buffer} frame - Ciphertext followed by the authentication tag.
+     * @returns {Buffer} The plaintext payload.
+     */
+    decrypt(frame) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.receiveKey, this.frameNonce(this.receiveCounter++));
+        decipher.setAuthTag(frame.subarray(frame.length - TAG_SIZE));
+        return Buffer.concat([decipher.update(frame.subarray(0, frame.length - TAG_SIZE)), decipher.final()]);
+    }
+
+    /**
+     * Build the 96-bit GCM nonce for a frame counter.
+     * @param {number} counter - The frame counter.
+     * @returns {Buffer} The nonce.
+     */
+    frameNonce(counter) {
+        const nonce = Buffer.alloc(12);
+        nonce.writeBigUInt64BE(BigInt(counter), 4);
+        return nonce;
+    }
+
+    /**
+     * Write a length-prefixed frame to the socket.
+     * @param {Buffer} payload - The frame payload.
+     */
+    writeFrame(payload) {
+        this.socket.write(WireCodec.encodeFrame(payload, this.maxFrameSize));
+    }
+
+    /**
+     * Close the connection gracefully after pending writes are flushed.
+     */
+    close() {
+        this.socket.end();
+    }
+
+    /**
+     * Tear the connection down immediately.
+     * @param {Error} [error] - The reason, if any.
+     */
+    destroy(error) {
+        this.closeError = this.closeError || error;
+        this.socket.destroy();
+    }
+
+    /**
+     * Clean up when the socket closes.
+     */
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        clearTimeout(this.handshakeTimer);
+        this.emit('close', this.closeError);
+    }
+}
+
+module.exports = PeerConnection;
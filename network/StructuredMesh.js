@@ -0,0 +1,592 @@
+const net = require('net');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/** Largest number of supernode addresses kept or shared with a leaf. */
+const MAX_SUPERNODES = 64;
+/** Share of `maxLeaves` in use from which a supernode recommends promoting its reachable leaves. */
+const PROMOTION_LOAD = 0.5;
+/** A node ID or pseudonym: 40 hex digits (SHA-1). */
+const ID = /^[0-9a-f]{40}$/;
+
+/**
+ * DHT operations a supernode runs for its leaves, with their arguments as sent by KademliaNode's proxy.
+ * Only plain data crosses the connection, so TTLs are checked and lookup targets must be IDs.
+ */
+const PROXY_OPERATIONS = {
+    store: (dht, key, value, options) => dht.store(key, value, { ttl: ttlOf(options) }),
+    storeSigned: (dht, record, options) => dht.storeSigned(record, { ttl: ttlOf(options) }),
+    retrieve: (dht, key, options) => dht.retrieve(key, { disjoint: !!(options && options.disjoint) }),
+    retrieveSigned: (dht, target) => dht.retrieveSigned(checkId(target)),
+    findNode: (dht, target, options) => dht.iterativeFindNode(checkId(target), { disjoint: !!(options && options.disjoint) })
+        .then(result => result.nodes)
+};
+
+/**
+ * Get the TTL a leaf asked for, if it is a number.
+ * @param {any} options - The operation's options.
+ * @returns {number|undefined} The TTL (ms).
+ */
+function ttlOf(options) {
+    return options && Number.isFinite(options.ttl) ? options.ttl : undefined;
+}
+
+/**
+ * Check that a lookup target is an ID.
+ * @param {any} target - The target.
+ * @returns {string} The target.
+ * @throws {Error} If it is not an ID.
+ */
+function checkId(target) {
+    if (typeof target !== 'string' || !ID.test(target)) {
+        throw new Error('Invalid target');
+    }
+    return target;
+}
+
+/**
+ * StructuredMesh runs the supernode/leaf topology of an AnonymousP2PNode with meshType 'structured'.
+ * - A leaf registers with one supernode from its list (MESH_REGISTER) and sends it a heartbeat every
+ *   `heartbeatInterval`. It does not join the DHT: its stores, retrievals and lookups run on the
+ *   supernode (MESH_DHT, see KademliaNode.setProxy()). Its circuits start at the supernode, and its
+ *   descriptor names the supernode (`via`), so circuits to it end with the supernode's link to it.
+ *   If the supernode disconnects, misses heartbeats for `heartbeatTimeout` or forgets the leaf, the
+ *   leaf registers with another supernode from the list.
+ * - A supernode connects to the other supernodes, accepts up to `maxLeaves` leaves, runs their DHT
+ *   operations and forgets leaves that stop sending heartbeats.
+ * - A leaf up for `promotionUptime` asks its supernode (MESH_PROBE) to connect back to its address.
+ *   If it is reachable and more supernodes are needed (the supernode is at least half full, or fewer
+ *   than `minSupernodes` are known), the leaf becomes a supernode: it joins the DHT and announces
+ *   itself (MESH_ANNOUNCE) to the supernodes, which check its address the same way before passing
+ *   it on to their leaves.
+ * Requests carry an rpcId and are answered with a MESH_REPLY.
+ * Emits 'supernodeChanged' ({previous, supernode}), 'leafRegistered' (peerId), 'leafRemoved' (peerId)
+ * and 'roleChanged' ({previous, role}).
+ * @extends EventEmitter
+ */
+class StructuredMesh extends EventEmitter {
+    /**
+     * Create a new StructuredMesh. The node's `role` and `supernodeList` are read and updated in place.
+     * @param {import('./AnonymousP2PNode')} node - The node.
+     * @param {object} [options] - Mesh settings.
+     * @param {number} [options.heartbeatInterval=15000] - How often a leaf sends a heartbeat (ms).
+     * @param {number} [options.heartbeatTimeout] - Time without heartbeats after which a leaf fails over, or a
+     *     supernode forgets the leaf (ms, default three heartbeat intervals).
+     * @param {number} [options.requestTimeout=10000] - Time to wait for the answer to a mesh request (ms).
+     * @param {number} [options.maxLeaves=64] - Leaves a supernode accepts.
+     * @param {number} [options.promotionUptime=3600000] - Uptime after which a leaf checks whether it should be
+     *     promoted, and interval between checks (ms).
+     * @param {number} [options.minSupernodes=3] - Known supernodes below which reachable leaves are promoted.
+     * @param {boolean} [options.autoPromote=true] - Check for promotion automatically.
+     */
+    constructor(node, options = {}) {
+        super();
+        /** @type {import('./AnonymousP2PNode')} */
+        this.node = node;
+        /** @type {number} */
+        this.heartbeatInterval = options.heartbeatInterval || 15000; // ms
+        /** @type {number} */
+        this.heartbeatTimeout = options.heartbeatTimeout || 3 * this.heartbeatInterval; // ms
+        /** @type {number} */
+        this.requestTimeout = options.requestTimeout || 10000; // ms
+        /** @type {number} */
+        this.maxLeaves = options.maxLeaves || 64;
+        /** @type {number} */
+        this.promotionUptime = options.promotionUptime || 3600000; // ms
+        /** @type {number} */
+        this.minSupernodes = options.minSupernodes || 3;
+        /** @type {boolean} */
+        this.autoPromote = options.autoPromote !== false;
+        /** @type {{id: string, address: string}|null} */
+        this.supernode = null; // The supernode a leaf is registered with
+        /** @type {number} */
+        this.lastAck = 0; // Time of the supernode's last heartbeat answer
+        /** @type {Map<string, number>} */
+        this.leaves = new Map(); // Time of the last heartbeat, by leaf pseudonym
+        /** @type {Map<string, {resolve: Function, reject: Function, timer: NodeJS.Timeout, peerId: string}>} */
+        this.pending = new Map(); // Requests awaiting a MESH_REPLY, by rpcId
+        /** @type {Promise<boolean>|null} */
+        this.joining = null; // Registration in progress
+        /** @type {number} */
+        this.startedAt = 0;
+        /** @type {number} */
+        this.lastProbe = 0; // Time of the last promotion check
+        /** @type {NodeJS.Timeout|null} */
+        this.timer = null;
+        /** @type {{failovers: number, promotions: number, proxied: number}} */
+        this.counters = { failovers: 0, promotions: 0, proxied: 0 };
+        node.on('peerDisconnected', peerId => this.handleDisconnect(peerId));
+        if (node.role === 'leaf') {
+            node.dht.setProxy((operation, args) => this.runOnSupernode(operation, args));
+        }
+    }
+
+    /**
+     * Start heartbeats, leaf expiry and promotion checks.
+     */
+    start() {
+        if (this.timer) return;
+        this.startedAt = Date.now();
+        this.lastProbe = 0;
+        this.timer = setInterval(() => this.maintain(), this.heartbeatInterval);
+    }
+
+    /**
+     * Stop the timer, fail pending requests and forget the supernode and leaves.
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        for (const [rpcId, pending] of this.pending) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error('Node stopped'));
+            this.pending.delete(rpcId);
+        }
+        this.supernode = null;
+        this.leaves.clear();
+    }
+
+    /**
+     * Join the mesh: a supernode connects to the other supernodes, a leaf registers with one
+     * unless it already is.
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        if (this.node.role === 'supernode') {
+            for (const address of this.otherSupernodes()) {
+                await this.node.connectToPeer(address).catch(error => console.error(`Could not connect to ${address}:`, error.message));
+            }
+        } else if (!this.supernode) {
+            await this.joinSupernode();
+        }
+    }
+
+    /**
+     * Register with a supernode. Concurrent callers share one registration.
+     * @param {{id: string, address: string}|null} [previous=null] - The supernode being replaced, tried last.
+     * @returns {Promise<boolean>} True if a supernode accepted us.
+     */
+    joinSupernode(previous = null) {
+        if (!this.joining) {
+            this.joining = this.register(previous).finally(() => {
+                this.joining = null;
+            });
+        }
+        return this.joining;
+    }
+
+    /**
+     * Try the supernodes of the list in random order until one accepts us, then run our DHT
+     * operations through it and republish our descriptor. Emits 'supernodeChanged'.
+     * @param {{id: string, address: string}|null} previous - The supernode being replaced, tried last.
+     * @returns {Promise<boolean>} True if a supernode accepted us.
+     */
+    async register(previous) {
+        const addresses = this.otherSupernodes();
+        const candidates = addresses
+            .filter(address => !previous || address !== previous.address)
+            .sort(() => Math.random() - 0.5);
+        if (previous && addresses.includes(previous.address)) {
+            candidates.push(previous.address); // It may only have restarted
+        }
+        for (const address of candidates) {
+            if (!this.node.running || this.node.role !== 'leaf') return false;
+            try {
+                const peerId = await this.node.connectToPeer(address);
+                const reply = await this.request(peerId, { type: 'MESH_REGISTER' });
+                if (!reply || !reply.accepted) {
+                    console.error(`Supernode ${address} refused registration:`, reply && reply.reason);
+                    const connection = this.node.peers.get(peerId);
+                    if (connection) connection.close();
+                    continue;
+                }
+                this.learnSupernodes(reply.supernodes);
+                this.supernode = { id: peerId, address };
+                this.lastAck = Date.now();
+                this.emit('supernodeChanged', { previous: previous ? previous.id : null, supernode: peerId });
+                await this.node.publishDescriptor().catch(error => console.error('Error publishing descriptor:', error));
+                return true;
+            } catch (error) {
+                console.error(`Could not register with supernode ${address}:`, error.message);
+            }
+        }
+        if (previous) {
+            this.emit('supernodeChanged', { previous: previous.id, supernode: null });
+        }
+        return false;
+    }
+
+    /**
+     * Leave our supernode and register with another one.
+     * @param {string} reason - Why the supernode is given up.
+     */
+    failover(reason) {
+        const previous = this.supernode;
+        if (!previous) return;
+        this.supernode = null;
+        this.counters.failovers++;
+        console.error(`Supernode ${previous.address} lost (${reason}); registering with another one`);
+        this.joinSupernode(previous);
+    }
+
+    /**
+     * Periodic work: a leaf registers if it has no supernode, sends a heartbeat or fails over,
+     * and checks for promotion; a supernode forgets leaves without recent heartbeats.
+     */
+    maintain() {
+        if (!this.node.running) return;
+        const now = Date.now();
+        if (this.node.role === 'supernode') {
+            for (const [peerId, lastHeartbeat] of this.leaves) {
+                if (now - lastHeartbeat > this.heartbeatTimeout) {
+                    this.leaves.delete(peerId);
+                    this.emit('leafRemoved', peerId);
+                }
+            }
+            return;
+        }
+        if (!this.supernode) {
+            this.joinSupernode();
+            return;
+        }
+        if (now - this.lastAck > this.heartbeatTimeout) {
+            this.failover('heartbeat timeout');
+            return;
+        }
+        const supernode = this.supernode;
+        this.request(supernode.id, { type: 'MESH_HEARTBEAT' }).then((reply) => {
+            if (this.supernode !== supernode) return;
+            if (reply && reply.registered) {
+                this.lastAck = Date.now();
+            } else {
+                this.failover('registration lost');
+            }
+        }).catch(() => {}); // Missed heartbeats are caught by the timeout
+        if (this.autoPromote && now - this.startedAt >= this.promotionUptime && now - this.lastProbe >= this.promotionUptime) {
+            this.lastProbe = now;
+            this.checkPromotion().catch(error => console.error('Error checking promotion:', error));
+        }
+    }
+
+    /**
+     * Handle a mesh message from a peer.
+     * @param {object} message - The validated message.
+     * @param {string} peerId - The peer's ID.
+     * @returns {Promise<void>}
+     */
+    async handleMessage(message, peerId) {
+        switch (message.type) {
+            case 'MESH_REPLY':
+                this.handleReply(message, peerId);
+                break;
+            case 'MESH_REGISTER':
+                await this.reply(peerId, message, this.registerLeaf(peerId));
+                break;
+            case 'MESH_HEARTBEAT':
+                await this.reply(peerId, message, { registered: this.touchLeaf(peerId) });
+                break;
+            case 'MESH_DHT':
+                await this.reply(peerId, message, await this.runForLeaf(peerId, message.operation, message.args));
+                break;
+            case 'MESH_PROBE':
+                await this.reply(peerId, message, await this.probeLeaf(peerId));
+                break;
+            case 'MESH_ANNOUNCE':
+                await this.handleAnnounce(peerId);
+                break;
+        }
+    }
+
+    /**
+     * Send a request to a peer and wait for its MESH_REPLY.
+     * @param {string} peerId - The peer's ID.
+     * @param {object} message - The request, without rpcId.
+     * @returns {Promise<any>} The reply's data.
+     */
+    request(peerId, message) {
+        return new Promise((resolve, reject) => {
+            const connection = this.node.peers.get(peerId);
+            if (!connection) {
+                reject(new Error(`Unknown peer ${peerId}`));
+                return;
+            }
+            const rpcId = crypto.randomBytes(8).toString('hex');
+            const timer = setTimeout(() => {
+                this.pending.delete(rpcId);
+                reject(new Error(`${message.type} to peer ${peerId} timed out`));
+            }, this.requestTimeout);
+            this.pending.set(rpcId, { resolve, reject, timer, peerId });
+            try {
+                connection.send({ ...message, rpcId });
+            } catch (error) {
+                clearTimeout(timer);
+                this.pending.delete(rpcId);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Answer a request.
+     * @param {string} peerId - The peer's ID.
+     * @param {object} request - The request being answered.
+     * @param {any} data - The answer.
+     * @returns {Promise<void>}
+     */
+    reply(peerId, request, data) {
+        return this.node.sendToPeer(peerId, { type: 'MESH_REPLY', rpcId: request.rpcId, data });
+    }
+
+    /**
+     * Resolve a pending request with its reply, if it came from the peer the request was sent to.
+     * @param {object} message - The MESH_REPLY message ({ rpcId, data }).
+     * @param {string} peerId - The peer's ID.
+     */
+    handleReply(message, peerId) {
+        const pending = this.pending.get(message.rpcId);
+        if (!pending || pending.peerId !== peerId) return;
+        clearTimeout(pending.timer);
+        this.pending.delete(message.rpcId);
+        pending.resolve(message.data);
+    }
+
+    /**
+     * Fail the requests sent to a peer that disconnected, forget it if it was a leaf, and fail
+     * over if it was our supernode.
+     * @param {string} peerId - The peer's ID.
+     */
+    handleDisconnect(peerId) {
+        for (const [rpcId, pending] of this.pending) {
+            if (pending.peerId !== peerId) continue;
+            clearTimeout(pending.timer);
+            pending.reject(new Error(`Peer ${peerId} disconnected`));
+            this.pending.delete(rpcId);
+        }
+        if (this.leaves.delete(peerId)) {
+            this.emit('leafRemoved', peerId);
+        }
+        if (this.supernode && this.supernode.id === peerId) {
+            this.failover('disconnected');
+        }
+    }
+
+    /**
+     * Accept (or refresh) a leaf's registration, unless we are not a supernode or are full.
+     * Emits 'leafRegistered' for new leaves.
+     * @param {string} peerId - The leaf's ID.
+     * @returns {{accepted: boolean, reason?: string, supernodes?: Array<string>}} The answer.
+     */
+    registerLeaf(peerId) {
+        if (this.node.role !== 'supernode') {
+            return { accepted: false, reason: 'not a supernode' };
+        }
+        const known = this.leaves.has(peerId);
+        if (!known && this.leaves.size >= this.maxLeaves) {
+            return { accepted: false, reason: 'supernode full' };
+        }
+        this.leaves.set(peerId, Date.now());
+        if (!known) {
+            this.emit('leafRegistered', peerId);
+        }
+        return { accepted: true, supernodes: this.knownSupernodes() };
+    }
+
+    /**
+     * Record a leaf's heartbeat.
+     * @param {string} peerId - The leaf's ID.
+     * @returns {boolean} False if the peer is not one of our leaves.
+     */
+    touchLeaf(peerId) {
+        if (!this.leaves.has(peerId)) return false;
+        this.leaves.set(peerId, Date.now());
+        return true;
+    }
+
+    /**
+     * Run a DHT operation for a leaf.
+     * @param {string} peerId - The leaf's ID.
+     * @param {string} operation - The operation (a key of PROXY_OPERATIONS).
+     * @param {Array<any>} args - Its arguments.
+     * @returns {Promise<{result?: any, error?: string}>} The result, or why the operation failed.
+     */
+    async runForLeaf(peerId, operation, args) {
+        if (!this.leaves.has(peerId)) {
+            return { error: 'not registered' };
+        }
+        try {
+            const result = await PROXY_OPERATIONS[operation](this.node.dht, ...args);
+            this.counters.proxied++;
+            return { result: result === undefined ? null : result };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    /**
+     * Run one of our DHT operations on our supernode (the proxy installed on a leaf's KademliaNode).
+     * @param {string} operation - The operation.
+     * @param {Array<any>} args - Its arguments.
+     * @returns {Promise<any>} The operation's result.
+     * @throws {Error} If we have no supernode, it does not answer or the operation failed.
+     */
+    async runOnSupernode(operation, args) {
+        if (!this.supernode) {
+            throw new Error('Not registered with a supernode');
+        }
+        const reply = await this.request(this.supernode.id, { type: 'MESH_DHT', operation, args });
+        if (!reply || typeof reply !== 'object') {
+            throw new Error(`Invalid ${operation} reply from supernode`);
+        }
+        if (reply.error) {
+            throw new Error(`Supernode could not run ${operation}: ${reply.error}`);
+        }
+        return reply.result;
+    }
+
+    /**
+     * Ask our supernode whether we are reachable and should become a supernode, and promote
+     * ourselves if so.
+     * @returns {Promise<boolean>} True if we were promoted.
+     */
+    async checkPromotion() {
+        if (this.node.role !== 'leaf' || !this.supernode) return false;
+        const reply = await this.request(this.supernode.id, { type: 'MESH_PROBE' });
+        if (!reply || !reply.promote) return false;
+        await this.promote();
+        return true;
+    }
+
+    /**
+     * Check whether one of our leaves accepts connections at its advertised address, and whether
+     * it should be promoted.
+     * @param {string} peerId - The leaf's ID.
+     * @returns {Promise<{reachable: boolean, promote: boolean}>} The answer.
+     */
+    async probeLeaf(peerId) {
+        const connection = this.node.peers.get(peerId);
+        if (!this.leaves.has(peerId) || !connection || !connection.remoteAddress) {
+            return { reachable: false, promote: false };
+        }
+        const reachable = await this.probe(connection.remoteAddress, peerId);
+        const needed = this.leaves.size >= this.maxLeaves * PROMOTION_LOAD
+            || this.knownSupernodes().length < this.minSupernodes;
+        return { reachable, promote: reachable && needed };
+    }
+
+    /**
+     * Open a short-lived connection to an address and check that the node there proves a pseudonym.
+     * @param {string} address - The address (host:port, or [host]:port for IPv6).
+     * @param {string} pseudonym - The pseudonym.
+     * @returns {Promise<boolean>} True if the node answered with that pseudonym.
+     */
+    async probe(address, pseudonym) {
+        const port = address.match(/:(\d+)$/);
+        if (!port) return false;
+        const host = address.slice(0, port.index).replace(/^\[(.*)\]$/, '$1');
+        const connection = this.node.createPeerConnection(net.createConnection(parseInt(port[1]), host), {
+            initiator: true,
+            transient: true,
+            expectedPseudonym: pseudonym
+        });
+        try {
+            await connection.waitReady();
+            return connection.remotePseudonym === pseudonym;
+        } catch (error) {
+            return false;
+        } finally {
+            connection.destroy();
+        }
+    }
+
+    /**
+     * Become a supernode: stop proxying DHT operations, join the DHT through the known supernodes,
+     * connect and announce ourselves to them, and republish our descriptor as a relay.
+     * Emits 'roleChanged'.
+     * @returns {Promise<void>}
+     */
+    async promote() {
+        if (this.node.role === 'supernode') return;
+        this.node.role = 'supernode';
+        this.supernode = null;
+        this.node.dht.setProxy(null);
+        this.counters.promotions++;
+        this.learnSupernodes([`${this.node.host}:${this.node.port}`]);
+        await this.node.dht.bootstrap(this.otherSupernodes())
+            .catch(error => console.error('Could not join the DHT after promotion:', error.message));
+        await this.connect();
+        for (const peerId of this.node.peers.keys()) {
+            await this.node.sendToPeer(peerId, { type: 'MESH_ANNOUNCE' });
+        }
+        await this.node.publishDescriptor().catch(error => console.error('Error publishing descriptor:', error));
+        this.emit('roleChanged', { previous: 'leaf', role: 'supernode' });
+    }
+
+    /**
+     * Add a peer that announced its promotion to our supernode list, once its address is
+     * confirmed to be reachable.
+     * @param {string} peerId - The peer's ID.
+     * @returns {Promise<void>}
+     */
+    async handleAnnounce(peerId) {
+        const connection = this.node.peers.get(peerId);
+        if (this.node.role !== 'supernode' || !connection || !connection.remoteAddress) return;
+        if (!await this.probe(connection.remoteAddress, peerId)) return;
+        if (this.leaves.delete(peerId)) {
+            this.emit('leafRemoved', peerId);
+        }
+        this.learnSupernodes([connection.remoteAddress]);
+    }
+
+    /**
+     * Add supernode addresses to the node's list, up to MAX_SUPERNODES.
+     * @param {any} addresses - Addresses from a peer.
+     */
+    learnSupernodes(addresses) {
+        if (!Array.isArray(addresses)) return;
+        for (const address of addresses) {
+            if (this.node.supernodeList.length >= MAX_SUPERNODES) break;
+            if (typeof address === 'string' && /^[^\s]{1,300}:\d{1,5}$/.test(address) && !this.node.supernodeList.includes(address)) {
+                this.node.supernodeList.push(address);
+            }
+        }
+    }
+
+    /**
+     * Get the supernode addresses we know of, including our own if we are a supernode.
+     * @returns {Array<string>} The addresses.
+     */
+    knownSupernodes() {
+        const addresses = new Set(this.node.supernodeList);
+        if (this.node.role === 'supernode') {
+            addresses.add(`${this.node.host}:${this.node.port}`);
+        }
+        return Array.from(addresses).slice(0, MAX_SUPERNODES);
+    }
+
+    /**
+     * Get the supernode addresses of the list other than our own.
+     * @returns {Array<string>} The addresses.
+     */
+    otherSupernodes() {
+        const own = `${this.node.host}:${this.node.port}`;
+        return this.node.supernodeList.filter(address => address !== own);
+    }
+
+    /**
+     * Get mesh statistics.
+     * @returns {{role: string, supernode: string|null, supernodes: number, leaves: number, failovers: number, promotions: number, proxied: number}}
+     *     Our role, our supernode (leaves), known supernodes, registered leaves (supernodes), and totals of
+     *     failovers, promotions and DHT operations run for leaves.
+     */
+    getStats() {
+        return {
+            role: this.node.role,
+            supernode: this.supernode ? this.supernode.id : null,
+            supernodes: this.knownSupernodes().length,
+            leaves: this.leaves.size,
+            ...this.counters
+        };
+    }
+}
+
+module.exports = StructuredMesh;
@@ -0,0 +1,131 @@
+const EventEmitter = require('events');
+
+/** Version of the TCP wire protocol announced in the HELLO handshake. */
+const PROTOCOL_VERSION = 4;
+/** Default maximum frame payload size (bytes). */
+const DEFAULT_MAX_FRAME_SIZE = 1024 * 1024;
+/** Size of the big-endian length prefix in front of every frame (bytes). */
+const HEADER_SIZE = 4;
+/** Size of every cell sent after the handshake, before encryption (bytes). */
+const CELL_SIZE = 1024;
+/** Size of a cell's header: a flags byte and a big-endian 16-bit data length (bytes). */
+const CELL_HEADER_SIZE = 3;
+/** Cell flag set on every cell of a message except the last. */
+const FLAG_MORE = 0x01;
+
+/**
+ * WireCodec implements length-prefixed framing for TCP peer connections.
+ * Each frame is a 4-byte big-endian payload length followed by the payload bytes,
+ * so messages survive however the kernel coalesces or splits segments.
+ * After the handshake, messages are carried in fixed-size cells (see encodeCells()), so that
+ * all encrypted frames on a connection have the same length whatever they carry.
+ * @extends EventEmitter
+ */
+class WireCodec extends EventEmitter {
+    /**
+     * Create a new frame decoder for one connection.
+     * @param {number} [maxFrameSize=DEFAULT_MAX_FRAME_SIZE] - Largest accepted frame payload (bytes).
+     */
+    constructor(maxFrameSize = DEFAULT_MAX_FRAME_SIZE) {
+        super();
+        /** @type {number} */
+        this.maxFrameSize = maxFrameSize;
+        /** @type {Buffer} */
+        this.buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * Encode a payload into a length-prefixed frame.
+     * @param {Buffer} payload - The frame payload.
+     * @param {number} [maxFrameSize=DEFAULT_MAX_FRAME_SIZE] - Largest allowed frame payload (bytes).
+     * @returns {Buffer} The encoded frame.
+     * @throws {Error} If the payload exceeds the maximum frame size.
+     */
+    static encodeFrame(payload, maxFrameSize = DEFAULT_MAX_FRAME_SIZE) {
+        if (payload.length > maxFrameSize) {
+            throw new Error(`Frame of ${payload.length} bytes exceeds maximum of ${maxFrameSize}`);
+        }
+        const header = Buffer.alloc(HEADER_SIZE);
+        header.writeUInt32BE(payload.length, 0);
+        return Buffer.concat([header, payload]);
+    }
+
+    /**
+     * Encode a message object as a JSON frame.
+     * @param {object} message - The message to encode.
+     * @param {number} [maxFrameSize=DEFAULT_MAX_FRAME_SIZE] - Largest allowed frame payload (bytes).
+     * @returns {Buffer} The encoded frame.
+     */
+    static encode(message, maxFrameSize = DEFAULT_MAX_FRAME_SIZE) {
+        return WireCodec.encodeFrame(Buffer.from(JSON.stringify(message)), maxFrameSize);
+    }
+
+    /**
+     * Split a message into fixed-size cells: each carries a flags byte (FLAG_MORE unless it is the
+     * last), the length of its data and the data, zero-padded to CELL_SIZE.
+     * @param {Buffer} payload - The serialized message.
+     * @returns {Array<Buffer>} The cells, each CELL_SIZE bytes.
+     */
+    static encodeCells(payload) {
+        const capacity = CELL_SIZE - CELL_HEADER_SIZE;
+        const cells = [];
+        let offset = 0;
+        do {
+            const data = payload.subarray(offset, offset + capacity);
+            offset += data.length;
+            const cell = Buffer.alloc(CELL_SIZE);
+            cell.writeUInt8(offset < payload.length ? FLAG_MORE : 0, 0);
+            cell.writeUInt16BE(data.length, 1);
+            data.copy(cell, CELL_HEADER_SIZE);
+            cells.push(cell);
+        } while (offset < payload.length);
+        return cells;
+    }
+
+    /**
+     * Read a cell produced by encodeCells().
+     * @param {Buffer} cell - The cell.
+     * @returns {{data: Buffer, more: boolean}} The cell's data and whether more cells of the message follow.
+     * @throws {Error} If the cell is malformed.
+     */
+    static decodeCell(cell) {
+        if (cell.length !== CELL_SIZE) {
+            throw new Error(`Cell of ${cell.length} bytes, expected ${CELL_SIZE}`);
+        }
+        const length = cell.readUInt16BE(1);
+        if (length > CELL_SIZE - CELL_HEADER_SIZE) {
+            throw new Error('Cell data length out of range');
+        }
+        return {
+            data: cell.subarray(CELL_HEADER_SIZE, CELL_HEADER_SIZE + length),
+            more: (cell.readUInt8(0) & FLAG_MORE) !== 0
+        };
+    }
+
+    /**
+     * Feed received bytes into the decoder; emits 'frame' for every complete frame
+     * and 'error' if a frame announces a size above the limit.
+     * @param {Buffer} chunk - Bytes received from the socket.
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+        while (this.buffer.length >= HEADER_SIZE) {
+            const length = this.buffer.readUInt32BE(0);
+            if (length > this.maxFrameSize) {
+                this.buffer = Buffer.alloc(0);
+                this.emit('error', new Error(`Frame of ${length} bytes exceeds maximum of ${this.maxFrameSize}`));
+                return;
+            }
+            if (this.buffer.length < HEADER_SIZE + length) break;
+            const frame = this.buffer.subarray(HEADER_SIZE, HEADER_SIZE + length);
+            this.buffer = this.buffer.subarray(HEADER_SIZE + length);
+            this.emit('frame', frame);
+        }
+    }
+}
+
+WireCodec.PROTOCOL_VERSION = PROTOCOL_VERSION;
+WireCodec.DEFAULT_MAX_FRAME_SIZE = DEFAULT_MAX_FRAME_SIZE;
+WireCodec.CELL_SIZE = CELL_SIZE;
+
+module.exports = WireCodec;
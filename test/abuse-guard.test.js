@@ -0,0 +1,198 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
+const { AbuseGuard, RateLimiter, MessageValidator, KademliaNode } = require('..');
+const { wait, startNetwork, stopAll } = require('./helpers');
+
+/**
+ * Wait until a condition holds or a time limit passes.
+ * @param {() => boolean} condition - The condition.
+ * @param {number} [timeout=2000] - Time limit (ms).
+ * @returns {Promise<boolean>} Whether the condition held.
+ */
+async function waitFor(condition, timeout = 2000) {
+    for (let waited = 0; waited < timeout && !condition(); waited += 20) {
+        await wait(20);
+    }
+    return condition();
+}
+
+/**
+ * Open a raw TCP connection.
+ * @param {number} port - The port on localhost.
+ * @returns {Promise<net.Socket>} The connected socket.
+ */
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+test('AbuseGuard bans', async (t) => {
+    await t.test('a source is banned after banThreshold violations within the window, until banDuration ends', async () => {
+        const guard = new AbuseGuard({ banThreshold: 3, violationWindow: 5000, banDuration: 100 });
+        const events = [];
+        guard.on('abuse', event => events.push(event));
+        assert.strictEqual(guard.report('ip:10.0.0.1', 'malformed message'), false);
+        assert.strictEqual(guard.report('ip:10.0.0.1', 'malformed message'), false);
+        assert.strictEqual(guard.allowMessage('10.0.0.1'), true);
+        assert.strictEqual(guard.report('ip:10.0.0.1', 'malformed message'), true);
+        assert.deepStrictEqual(events.map(event => event.banned), [false, false, true]);
+        assert.strictEqual(guard.allowMessage('10.0.0.1'), false);
+        assert.strictEqual(guard.allowMessage('10.0.0.2'), true);
+        assert.strictEqual(guard.getStats().banned, 1);
+        await wait(150);
+        assert.strictEqual(guard.isBanned('ip:10.0.0.1'), false);
+        assert.strictEqual(guard.allowMessage('10.0.0.1'), true);
+    });
+
+    await t.test('violations outside the window do not add up', async () => {
+        const guard = new AbuseGuard({ banThreshold: 2, violationWindow: 50 });
+        guard.report('peer:a', 'rate limit exceeded');
+        await wait(80);
+        assert.strictEqual(guard.report('peer:a', 'rate limit exceeded'), false);
+        assert.strictEqual(guard.report('peer:a', 'rate limit exceeded'), true);
+    });
+
+    await t.test('oversized and malformed UDP datagrams get the sender banned', async () => {
+        const node = new KademliaNode(null, 0, { protection: { banThreshold: 3, maxMessageSize: 1024 } });
+        await node.start();
+        const socket = dgram.createSocket('udp4');
+        t.after(async () => {
+            socket.close();
+            await node.stop();
+        });
+        for (const datagram of [Buffer.alloc(2048, 'x'), Buffer.from('{not json'), Buffer.from('{"type":"PING"}')]) {
+            socket.send(datagram, node.port, '127.0.0.1');
+        }
+        assert.ok(await waitFor(() => node.guard.isBanned('ip:127.0.0.1')));
+        assert.strictEqual(node.guard.getStats().violations, 3);
+    });
+});
+
+test('RateLimiter', async (t) => {
+    await t.test('a short bucket refuses without taking tokens', () => {
+        const limiter = new RateLimiter({ rate: 1, burst: 2 });
+        assert.strictEqual(limiter.take('a'), true);
+        assert.strictEqual(limiter.take('a', 2), false);
+        assert.strictEqual(limiter.take('a'), true);
+        assert.strictEqual(limiter.take('a'), false);
+        assert.strictEqual(limiter.take('b', 2), true, 'buckets are kept per key');
+    });
+
+    await t.test('buckets refill over time', async () => {
+        const limiter = new RateLimiter({ rate: 20, burst: 1 });
+        assert.strictEqual(limiter.take('a'), true);
+        assert.strictEqual(limiter.take('a'), false);
+        await wait(80);
+        assert.strictEqual(limiter.take('a'), true);
+    });
+});
+
+test('storage quotas per sender', async (t) => {
+    const node = new KademliaNode(null, 0, { protection: { maxRecordsPerSender: 2, maxBytesPerSender: 1000, banThreshold: 100 } });
+
+    /**
+     * Send a STORE request to the node.
+     * @param {string} sender - The sender.
+     * @param {any} value - The value.
+     * @param {string} [key] - The key hash (default: a random one).
+     * @returns {{stored: boolean, reason?: string}} The STORE_ACK data.
+     */
+    const store = (sender, value, key = crypto.randomBytes(20).toString('hex')) =>
+        node.handleRequest({ type: 'STORE', key, value }, sender).data;
+
+    await t.test('a STORE is refused once maxRecordsPerSender is reached', () => {
+        const key = crypto.randomBytes(20).toString('hex');
+        assert.strictEqual(store('ip:10.0.0.1', 'one', key).stored, true);
+        assert.strictEqual(store('ip:10.0.0.1', 'two').stored, true);
+        assert.deepStrictEqual(store('ip:10.0.0.1', 'three'), { stored: false, reason: 'storage quota exceeded' });
+        assert.strictEqual(store('ip:10.0.0.1', 'one again', key).stored, true, 'replacing its own record fits the quota');
+        assert.strictEqual(store('ip:10.0.0.2', 'three').stored, true, 'quotas are per sender');
+    });
+
+    await t.test('a STORE is refused once maxBytesPerSender is reached', () => {
+        assert.strictEqual(store('peer:b', 'x'.repeat(600)).stored, true);
+        assert.deepStrictEqual(store('peer:b', 'x'.repeat(600)), { stored: false, reason: 'storage quota exceeded' });
+        assert.strictEqual(node.guard.getStats().violations, 2);
+    });
+});
+
+test('MessageValidator rejects malformed messages', async (t) => {
+    const circId = crypto.randomBytes(8).toString('hex');
+    const rpcId = crypto.randomBytes(8).toString('hex');
+
+    await t.test('CELL', () => {
+        assert.strictEqual(MessageValidator.validatePeerMessage({ type: 'CELL', circId, command: 'RELAY', payload: 'x' }), null);
+        assert.strictEqual(MessageValidator.validatePeerMessage({ type: 'CELL', circId: 'short', command: 'RELAY' }), 'invalid circId');
+        assert.strictEqual(MessageValidator.validatePeerMessage({ type: 'CELL', circId, command: 'EXPLODE' }), 'invalid command');
+    });
+
+    await t.test('DHT_QUERY', () => {
+        assert.strictEqual(MessageValidator.validatePeerMessage({ type: 'DHT_QUERY', rpcId, query: { type: 'PING' } }), null);
+        assert.strictEqual(MessageValidator.validatePeerMessage({ type: 'DHT_QUERY', rpcId, query: { type: 'SHUTDOWN' } }), 'invalid query');
+        assert.strictEqual(MessageValidator.validatePeerMessage({ type: 'DHT_QUERY', rpcId, query: 'PING' }), 'invalid query');
+        assert.strictEqual(MessageValidator.validateDHTRequest({ type: 'STORE', key: 'not-a-key', value: 1 }), 'invalid key');
+    });
+
+    await t.test('MESH_DHT', () => {
+        assert.strictEqual(MessageValidator.validatePeerMessage({ type: 'MESH_DHT', rpcId, operation: 'retrieve', args: ['key'] }), null);
+        assert.strictEqual(MessageValidator.validatePeerMessage({ type: 'MESH_DHT', rpcId, operation: 'clear', args: [] }), 'invalid operation');
+        assert.strictEqual(MessageValidator.validatePeerMessage({ type: 'MESH_DHT', rpcId, operation: 'store', args: [1, 2, 3, 4] }), 'invalid args');
+        assert.strictEqual(MessageValidator.validatePeerMessage({ type: 'MESH_DHT', operation: 'store', args: [] }), 'invalid rpcId');
+    });
+
+    await t.test('non-objects and bad types', () => {
+        assert.strictEqual(MessageValidator.validatePeerMessage(null), 'not an object');
+        assert.strictEqual(MessageValidator.validatePeerMessage({ type: 42 }), 'invalid type');
+        assert.strictEqual(MessageValidator.validatePeerMessage({ type: 'custom', anything: 1 }), null);
+    });
+});
+
+test('connection caps', async (t) => {
+    const [node] = await startNetwork(1, { protection: { maxConnectionsPerIP: 1 } });
+    const sockets = [];
+    t.after(async () => {
+        for (const socket of sockets) socket.destroy();
+        await stopAll([node]);
+    });
+
+    /**
+     * Connect to the node and report whether it closed the connection.
+     * @returns {Promise<boolean>} True if the node refused the connection.
+     */
+    const refused = async () => {
+        const socket = await connect(node.port);
+        sockets.push(socket);
+        let closed = false;
+        socket.on('error', () => {});
+        socket.on('close', () => { closed = true; });
+        socket.resume();
+        return waitFor(() => closed, 500);
+    };
+
+    await t.test('maxConnectionsPerIP refuses further connections from one address and counts a violation', async () => {
+        assert.strictEqual(await refused(), false);
+        assert.ok(await waitFor(() => node.connections.size === 1));
+        assert.strictEqual(await refused(), true);
+        assert.strictEqual(node.guard.getStats().violations, 1);
+    });
+
+    await t.test('maxConnections refuses connections once the node is full', async () => {
+        node.guard.maxConnectionsPerIP = 16;
+        node.guard.maxConnections = 1;
+        assert.strictEqual(await refused(), true);
+        node.guard.maxConnections = 2;
+        assert.strictEqual(await refused(), false);
+    });
+
+    await t.test('a banned address is refused', async () => {
+        node.guard.maxConnections = 256;
+        node.guard.ban('ip:127.0.0.1');
+        assert.strictEqual(await refused(), true);
+        node.guard.unban('ip:127.0.0.1');
+    });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const OnionRouter = require('../core/OnionRouter');
+const { wait, startNetwork, stopAll } = require('./helpers');
+
+test('end-to-end replay window', () => {
+    const router = new OnionRouter();
+    const [forward, backward] = [crypto.randomBytes(32), crypto.randomBytes(32)];
+    const sender = { endToEnd: router.createEndToEnd(forward, backward) };
+    const receiver = { endToEnd: router.createEndToEnd(backward, forward) };
+    const sealed = Array.from({ length: 30 }, (_, i) => router.sealEndToEnd(sender, i));
+    const shuffled = sealed.map((data, i) => ({ data, i, order: Math.random() })).sort((a, b) => a.order - b.order);
+    for (const { data, i } of shuffled) {
+        assert.strictEqual(router.openEndToEnd(receiver, data), i);
+    }
+    assert.throws(() => router.openEndToEnd(receiver, sealed[3]), /Replayed/);
+    assert.throws(() => router.openEndToEnd(receiver, { ...sealed[29], tag: sealed[28].tag }), /failed authentication/);
+    for (let i = 0; i < OnionRouter.REPLAY_WINDOW; i++) router.sealEndToEnd(sender, 'skipped');
+    router.openEndToEnd(receiver, router.sealEndToEnd(sender, 'latest'));
+    assert.throws(() => router.openEndToEnd(receiver, sealed[29]), /outside the replay window/);
+});
+
+test('onion circuits and hidden services', async (t) => {
+    const nodes = await startNetwork(7);
+    t.after(() => stopAll(nodes));
+    const [client, , , target] = nodes;
+    const service = nodes[6];
+
+    await t.test('a request reaches its target over a circuit and gets a reply', async () => {
+        target.once('anonymousMessage', (message, meta) => meta.reply(`echo ${message}`));
+        assert.strictEqual(await client.sendAnonymousRequest('ping', target.identity.pseudonym), 'echo ping');
+        const circuit = Array.from(client.onionRouter.circuits.values())
+            .find(candidate => candidate.target === target.identity.pseudonym);
+        assert.ok(circuit, 'circuit to the target is kept for reuse');
+        assert.ok(circuit.hops.every(hop => hop.id !== client.identity.pseudonym));
+    });
+
+    await t.test('a burst over one circuit arrives in order, before the DESTROY sent after it', async () => {
+        const recipient = nodes[4];
+        const received = [];
+        const onMessage = (message) => received.push(message);
+        recipient.on('anonymousMessage', onMessage);
+        let circuitId;
+        for (let i = 0; i < 30; i++) {
+            circuitId = await client.sendAnonymousMessage(i, recipient.identity.pseudonym);
+        }
+        client.onionRouter.destroyCircuit(circuitId);
+        for (let waited = 0; waited < 5000 && recipient.onionRouter.routes.size > 0; waited += 50) {
+            await wait(50);
+        }
+        recipient.off('anonymousMessage', onMessage);
+        assert.deepStrictEqual(received, Array.from({ length: 30 }, (_, i) => i));
+    });
+
+    await t.test('a hidden service answers without learning who asked', async () => {
+        const address = await service.hostHiddenService({ introPoints: 2 });
+        assert.notStrictEqual(address, service.identity.pseudonym);
+        service.on('anonymousMessage', (message, meta) => {
+            assert.strictEqual(meta.service, address);
+            assert.ok(!JSON.stringify(meta).includes(client.identity.pseudonym));
+            meta.reply(`hi ${message}`);
+        });
+        const introduced = new Promise(resolve => service.onionRouter.once('introduction', (circuitId, data) => resolve(data)));
+        assert.strictEqual(await client.sendAnonymousRequest('alice', address), 'hi alice');
+        assert.strictEqual(await client.sendAnonymousRequest('again', address), 'hi again');
+        await assert.rejects(service.hiddenServices.get(address).handleIntroduction(await introduced), /Replayed introduction/);
+        await service.stopHiddenService(address);
+        assert.strictEqual(service.getNetworkStats().hiddenServices, 0);
+    });
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const CoverTraffic = require('../core/CoverTraffic');
+
+/**
+ * A router stand-in that records cover cells and closed circuits.
+ * @returns {EventEmitter & {circuits: Map<string, object>, sent: Array<string>, destroyed: Array<string>}} The router.
+ */
+function createRouter() {
+    const router = new EventEmitter();
+    router.circuits = new Map();
+    router.sent = [];
+    router.destroyed = [];
+    router.open = (id) => router.circuits.set(id, { id, state: 'open', hops: [{}, {}, {}] });
+    router.sendCover = (circuitId) => router.sent.push(circuitId);
+    router.destroyCircuit = (circuitId) => {
+        router.circuits.delete(circuitId);
+        router.destroyed.push(circuitId);
+        router.emit('circuitClosed', circuitId);
+    };
+    return router;
+}
+
+test('cover traffic shares the circuits of real traffic', async () => {
+    const router = createRouter();
+    let built = 0;
+    const cover = new CoverTraffic(router, async () => {
+        if (!router.circuits.has('fallback')) {
+            router.open('fallback');
+            built++;
+        }
+        return 'fallback';
+    }, { loopRate: 0, dropRate: 0 });
+    cover.start();
+
+    await cover.sendDrop();
+    assert.deepStrictEqual(router.sent, ['fallback'], 'no real circuit yet, so cover builds its own');
+    await cover.sendLoop();
+    assert.deepStrictEqual(router.sent, ['fallback', 'fallback']);
+
+    router.open('real-a');
+    router.open('real-b');
+    router.sent.length = 0;
+    for (let i = 0; i < 20; i++) {
+        await cover.sendDrop();
+    }
+    assert.deepStrictEqual(router.destroyed, ['fallback']);
+    assert.strictEqual(cover.getStats().loopsPending, 0, 'the loop on the closed fallback is not counted as lost');
+    assert.ok(router.sent.every(id => id === 'real-a' || id === 'real-b'));
+    assert.ok(router.sent.includes('real-a') && router.sent.includes('real-b'));
+
+    await cover.sendLoop();
+    assert.strictEqual(built, 1);
+    cover.stop();
+});
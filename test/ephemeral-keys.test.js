@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EphemeralKeyManager, AnonymousIdentity, AnonymousP2PNode } = require('..');
+const { wait, startNetwork, stopAll } = require('./helpers');
+
+test('EphemeralKeyManager policies', async (t) => {
+    await t.test('a key is retired after maxUses operations', () => {
+        const keys = new EphemeralKeyManager({ maxUses: 2 });
+        const retired = [];
+        keys.on('keyExpired', (keyId, reason) => retired.push([keyId, reason]));
+        const keyId = keys.generate();
+        keys.exportPublicKey(keyId); // Exporting is not a use
+        keys.sign(keyId, 'one');
+        assert.deepStrictEqual(retired, []);
+        keys.sign(keyId, 'two');
+        assert.deepStrictEqual(retired, [[keyId, 'uses']]);
+        assert.throws(() => keys.sign(keyId, 'three'), /Ephemeral key not found/);
+        const generous = keys.generate({ maxUses: 5 });
+        for (let i = 0; i < 4; i++) keys.sign(generous, 'more');
+        assert.ok(keys.get(generous), 'per-key policies override the default');
+    });
+
+    await t.test('a key is retired after its lifetime, on use or by sweep()', async () => {
+        const keys = new EphemeralKeyManager({ lifetime: 50 });
+        const retired = [];
+        keys.on('keyExpired', (keyId, reason) => retired.push(reason));
+        const used = keys.generate();
+        const swept = keys.generate();
+        const lasting = keys.generate({ lifetime: 60000 });
+        await wait(80);
+        assert.throws(() => keys.sign(used, 'late'), /Ephemeral key not found/);
+        assert.strictEqual(keys.sweep(), 1);
+        assert.ok(!keys.keys.has(swept));
+        assert.ok(keys.keys.has(lasting));
+        assert.deepStrictEqual(retired, ['lifetime', 'lifetime']);
+    });
+
+    await t.test('start() sweeps expired keys in the background', async () => {
+        const keys = new EphemeralKeyManager({ lifetime: 10, sweepInterval: 20 });
+        keys.generate();
+        keys.start();
+        await wait(100);
+        keys.stop();
+        assert.strictEqual(keys.keys.size, 0);
+    });
+
+    await t.test('revoke() retires a key at once', () => {
+        const keys = new EphemeralKeyManager();
+        const keyId = keys.generate();
+        const revoked = new Promise(resolve => keys.once('keyExpired', (id, reason) => resolve(reason)));
+        assert.strictEqual(keys.revoke(keyId), true);
+        assert.strictEqual(keys.revoke(keyId), false);
+        assert.throws(() => keys.sign(keyId, 'after'), /Ephemeral key not found/);
+        return revoked.then(reason => assert.strictEqual(reason, 'revoked'));
+    });
+
+    await t.test('x25519 keys agree on secrets but cannot sign', () => {
+        const keys = new EphemeralKeyManager({ type: 'x25519' });
+        const [ours, theirs] = [keys.generate(), keys.generate()];
+        assert.throws(() => keys.sign(ours, 'message'), /x25519 key cannot sign/);
+        assert.ok(keys.get(ours), 'a refused operation is not a use');
+        const secret = keys.deriveSharedSecret(ours, keys.exportPublicKey(theirs));
+        assert.deepStrictEqual(keys.deriveSharedSecret(theirs, keys.exportPublicKey(ours)), secret);
+        const signing = keys.generate({ type: 'ed25519' });
+        assert.throws(() => keys.deriveSharedSecret(signing, keys.exportPublicKey(theirs)), /ed25519 key cannot derive shared secrets/);
+        assert.throws(() => keys.generate({ type: 'rsa' }), /Unsupported ephemeral key type rsa/);
+    });
+});
+
+test('ephemeral signatures verify against the exported public key', () => {
+    const identity = new AnonymousIdentity();
+    const keyId = identity.generateEphemeralKey();
+    const publicKey = identity.exportEphemeralPublicKey(keyId);
+    const signature = identity.signWithEphemeral('hello', keyId);
+    assert.ok(AnonymousIdentity.verifyWithEphemeral('hello', signature, publicKey));
+    assert.ok(!AnonymousIdentity.verifyWithEphemeral('hello!', signature, publicKey));
+    const otherKey = identity.exportEphemeralPublicKey(identity.generateEphemeralKey());
+    assert.ok(!AnonymousIdentity.verifyWithEphemeral('hello', signature, otherKey));
+    const agreeKey = identity.exportEphemeralPublicKey(identity.generateEphemeralKey({ type: 'x25519' }));
+    assert.ok(!AnonymousIdentity.verifyWithEphemeral('hello', signature, agreeKey));
+    assert.ok(!AnonymousIdentity.verifyWithEphemeral('hello', signature, 'not a key'));
+});
+
+test('scheduled pseudonym rotation', async (t) => {
+    const nodes = await startNetwork(4);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anonp2p-rotation-'));
+    const identityPath = path.join(dir, 'identity.json');
+    const node = new AnonymousP2PNode(0, {
+        subnetDiversity: false,
+        coverTraffic: false,
+        identityPath,
+        pseudonymRotationInterval: 1500,
+        bootstrap: [`127.0.0.1:${nodes[0].port}`]
+    });
+    nodes.push(node);
+    const original = node.identity.pseudonym;
+    t.after(async () => {
+        await stopAll(nodes);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    const rotated = new Promise(resolve => node.once('pseudonymRotated', resolve));
+    await node.start();
+    const peer = nodes[1];
+    await node.connectToPeer(`127.0.0.1:${peer.port}`);
+
+    const { previous, pseudonym } = await rotated;
+    node.identity.stop(); // One rotation is enough for the checks below
+    assert.strictEqual(previous, original);
+    assert.notStrictEqual(pseudonym, original);
+    assert.strictEqual(node.identity.pseudonym, pseudonym);
+    assert.strictEqual(node.dht.nodeId, pseudonym);
+    assert.strictEqual(AnonymousIdentity.load(identityPath).pseudonym, pseudonym, 'the rotated identity was saved');
+    assert.ok(peer.peers.has(pseudonym), 'peers were reconnected under the new pseudonym');
+    assert.ok(!peer.peers.has(original));
+
+    // Routing tables still list the old pseudonym at the same address, and a circuit through that
+    // contact fails its handshake; keep the client's circuit off it
+    const client = nodes[2];
+    client.dht.removeNode(original);
+    node.once('anonymousMessage', (message, meta) => meta.reply(`pong ${message}`));
+    assert.strictEqual(await client.sendAnonymousRequest('ping', pseudonym), 'pong ping');
+});
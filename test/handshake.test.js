@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const AnonymousIdentity = require('../core/AnonymousIdentity');
+const PeerConnection = require('../network/PeerConnection');
+const { wait, startNetwork, stopAll } = require('./helpers');
+
+/**
+ * Open a pair of PeerConnections over a localhost TCP socket.
+ * @param {object} [initiatorOptions] - Extra options for the initiating side.
+ * @param {object} [responderOptions] - Extra options for the responding side.
+ * @returns {Promise<{ initiator: PeerConnection, responder: PeerConnection, server: net.Server }>}
+ */
+async function connectPair(initiatorOptions = {}, responderOptions = {}) {
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const accepted = new Promise(resolve => server.once('connection', resolve));
+    const socket = net.createConnection(server.address().port, '127.0.0.1');
+    const initiator = new PeerConnection(socket, {
+        identity: new AnonymousIdentity(),
+        initiator: true,
+        ...initiatorOptions
+    });
+    const responder = new PeerConnection(await accepted, {
+        identity: new AnonymousIdentity(),
+        ...responderOptions
+    });
+    return { initiator, responder, server };
+}
+
+test('peer handshake', async (t) => {
+    await t.test('both sides verify each other and exchange encrypted messages', async () => {
+        const { initiator, responder, server } = await connectPair();
+        let raw = '';
+        responder.socket.on('data', (data) => { raw += data.toString('latin1'); });
+        await Promise.all([initiator.waitReady(), responder.waitReady()]);
+        assert.strictEqual(initiator.remotePseudonym, responder.identity.pseudonym);
+        assert.strictEqual(responder.remotePseudonym, initiator.identity.pseudonym);
+        const received = new Promise(resolve => responder.once('message', resolve));
+        initiator.send({ type: 'SECRET', value: 'hunter2' });
+        assert.deepStrictEqual(await received, { type: 'SECRET', value: 'hunter2' });
+        assert.ok(!raw.includes('hunter2'), 'message must not travel in plaintext');
+        initiator.close();
+        responder.close();
+        server.close();
+    });
+
+    await t.test('an unexpected pseudonym is rejected', async () => {
+        const { initiator, responder, server } = await connectPair({ expectedPseudonym: 'ff'.repeat(16) });
+        await assert.rejects(initiator.waitReady(), /Expected pseudonym/);
+        await assert.rejects(responder.waitReady());
+        server.close();
+    });
+
+    await t.test('a proof made with another key is rejected', async () => {
+        const { initiator, responder, server } = await connectPair();
+        const impostor = new AnonymousIdentity();
+        initiator.identity.createZKProof = (challenge) => impostor.createZKProof(challenge);
+        const initiatorClosed = new Promise(resolve => initiator.once('close', resolve));
+        await assert.rejects(responder.waitReady(), /failed to prove key possession/);
+        await initiatorClosed;
+        server.close();
+    });
+
+    await t.test('sending before the handshake completes throws', async () => {
+        const { initiator, responder, server } = await connectPair();
+        assert.throws(() => initiator.send({ type: 'EARLY' }), /Handshake not complete/);
+        await Promise.all([initiator.waitReady(), responder.waitReady()]);
+        initiator.close();
+        responder.close();
+        server.close();
+    });
+});
+
+test('connectToPeer', async (t) => {
+    const [a, b] = await startNetwork(2);
+    t.after(() => stopAll([a, b]));
+
+    await t.test('returns the verified pseudonym and reuses the connection', async () => {
+        const connected = new Promise(resolve => b.once('peerConnected', resolve));
+        const peerId = await a.connectToPeer(`127.0.0.1:${b.port}`);
+        assert.strictEqual(peerId, b.identity.pseudonym);
+        assert.strictEqual(await connected, a.identity.pseudonym);
+        assert.strictEqual(await a.connectToPeer(`127.0.0.1:${b.port}`), peerId);
+        assert.strictEqual(a.peers.size, 1);
+    });
+
+    await t.test('delivers messages to registered handlers', async () => {
+        const received = new Promise(resolve => b.registerMessageHandler('GREETING', (message, peerId) => {
+            resolve({ message, peerId });
+        }));
+        await a.sendToPeer(b.identity.pseudonym, { type: 'GREETING', text: 'hello' });
+        const { message, peerId } = await received;
+        assert.strictEqual(message.text, 'hello');
+        assert.strictEqual(peerId, a.identity.pseudonym);
+    });
+
+    await t.test('refuses to connect to itself', async () => {
+        await assert.rejects(a.connectToPeer(`127.0.0.1:${a.port}`));
+        await wait(50);
+        assert.ok(!a.peers.has(a.identity.pseudonym));
+    });
+});
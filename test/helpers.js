@@ -0,0 +1,50 @@
+const AnonymousP2PNode = require('../network/AnonymousP2PNode');
+
+/**
+ * Wait for a while.
+ * @param {number} ms - Delay (ms).
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Start a network of nodes on ephemeral localhost ports: every node joins the DHT through the
+ * first one, fills its routing table and publishes its descriptor.
+ * @param {number} count - Number of nodes.
+ * @param {object} [options] - AnonymousP2PNode options shared by every node (subnet diversity is off,
+ *     since every node is on 127.0.0.1, and cover traffic is off unless given).
+ * @returns {Promise<Array<AnonymousP2PNode>>} The running nodes.
+ */
+async function startNetwork(count, options = {}) {
+    const nodes = [];
+    for (let i = 0; i < count; i++) {
+        const node = new AnonymousP2PNode(0, { subnetDiversity: false, coverTraffic: false, ...options });
+        await node.start();
+        nodes.push(node);
+    }
+    for (const node of nodes.slice(1)) {
+        await node.dht.ping(`127.0.0.1:${nodes[0].port}`);
+    }
+    for (const node of nodes) {
+        await node.dht.iterativeFindNode(node.dht.nodeId);
+    }
+    for (const node of nodes) {
+        await node.publishDescriptor();
+    }
+    return nodes;
+}
+
+/**
+ * Stop every running node.
+ * @param {Array<AnonymousP2PNode>} nodes - The nodes.
+ * @returns {Promise<void>}
+ */
+async function stopAll(nodes) {
+    for (const node of nodes) {
+        await node.stop();
+    }
+}
+
+module.exports = { wait, startNetwork, stopAll };
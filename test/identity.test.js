@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnonymousIdentity = require('../core/AnonymousIdentity');
+
+/**
+ * Write an identity file in the version 1 format (RSA key, random pseudonym).
+ * @param {string} filePath - Path of the identity file.
+ * @param {string} [passphrase] - Passphrase protecting the private key.
+ */
+function writeVersion1File(filePath, passphrase) {
+    const keyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    fs.writeFileSync(filePath, JSON.stringify({
+        version: 1,
+        pseudonym: crypto.randomBytes(16).toString('hex'),
+        publicKey: keyPair.publicKey.export({ type: 'spki', format: 'pem' }),
+        privateKey: keyPair.privateKey.export(passphrase
+            ? { type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase }
+            : { type: 'pkcs8', format: 'pem' }),
+        encrypted: !!passphrase
+    }));
+}
+
+test('identity files', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anonp2p-identity-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    await t.test('save and load keep the pseudonym', () => {
+        const filePath = path.join(dir, 'saved.json');
+        const identity = AnonymousIdentity.loadOrCreate(filePath, 'secret');
+        assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+        assert.strictEqual(AnonymousIdentity.load(filePath, 'secret').pseudonym, identity.pseudonym);
+        assert.strictEqual(AnonymousIdentity.loadOrCreate(filePath, 'secret').pseudonym, identity.pseudonym);
+        assert.throws(() => AnonymousIdentity.load(filePath), /passphrase is required/);
+        assert.throws(() => AnonymousIdentity.load(filePath, 'wrong'), /Could not decrypt/);
+    });
+
+    await t.test('version 1 files are refused by load() and migrated by loadOrCreate()', () => {
+        const filePath = path.join(dir, 'v1.json');
+        writeVersion1File(filePath, 'secret');
+        const original = fs.readFileSync(filePath, 'utf8');
+        assert.throws(() => AnonymousIdentity.load(filePath, 'secret'), /version 1.*migrate\(\)/);
+        assert.throws(() => AnonymousIdentity.loadOrCreate(filePath, 'wrong'), /Could not decrypt/);
+        assert.strictEqual(fs.readFileSync(filePath, 'utf8'), original);
+        const identity = AnonymousIdentity.loadOrCreate(filePath, 'secret');
+        assert.strictEqual(fs.readFileSync(`${filePath}.v1`, 'utf8'), original);
+        assert.strictEqual(AnonymousIdentity.load(filePath, 'secret').pseudonym, identity.pseudonym);
+        assert.throws(() => AnonymousIdentity.migrate(filePath, 'secret'), /does not need migration/);
+    });
+});
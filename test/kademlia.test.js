@@ -0,0 +1,225 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { KademliaNode } = require('..');
+const { wait } = require('./helpers');
+
+/**
+ * Start DHT nodes on ephemeral ports, all joined through the first one.
+ * @param {number} count - Number of nodes.
+ * @param {object} [options] - KademliaNode options shared by every node.
+ * @returns {Promise<Array<KademliaNode>>} The nodes.
+ */
+async function startDHT(count, options = {}) {
+    const nodes = [];
+    for (let i = 0; i < count; i++) {
+        const node = new KademliaNode(null, 0, { rpcTimeout: 1000, ...options });
+        await node.start();
+        nodes.push(node);
+    }
+    for (const node of nodes.slice(1)) {
+        await node.bootstrap([`127.0.0.1:${nodes[0].port}`]);
+    }
+    return nodes;
+}
+
+test('RPCs and iterative lookups', async (t) => {
+    const nodes = await startDHT(6);
+    t.after(() => Promise.all(nodes.map(node => node.stop())));
+
+    await t.test('PING answers with the node ID and adds the node to the routing table', async () => {
+        const [a, b] = nodes;
+        const response = await a.ping(`127.0.0.1:${b.port}`);
+        assert.strictEqual(response.data.nodeId, b.nodeId);
+        assert.ok(a.buckets.flat().some(contact => contact.id === b.nodeId));
+    });
+
+    await t.test('bootstrap fills the routing tables', () => {
+        for (const node of nodes) {
+            assert.ok(node.buckets.flat().length >= 3, `only ${node.buckets.flat().length} contacts`);
+        }
+    });
+
+    await t.test('FIND_NODE finds the closest nodes to a target', async () => {
+        const target = nodes[3].nodeId;
+        const { nodes: found } = await nodes[5].iterativeFindNode(target);
+        assert.strictEqual(found[0].id, target);
+        const distances = found.map(node => nodes[5].xorDistance(node.id, target));
+        assert.deepStrictEqual(distances, distances.slice().sort());
+    });
+
+    await t.test('a stored value can be retrieved from any node', async () => {
+        await nodes[2].store('greeting', { text: 'hello' });
+        assert.deepStrictEqual(await nodes[5].retrieve('greeting'), { text: 'hello' });
+        assert.deepStrictEqual(await nodes[1].retrieve('greeting'), { text: 'hello' });
+        assert.strictEqual(await nodes[4].retrieve('missing'), null);
+    });
+
+    await t.test('requests to a silent address time out', async () => {
+        await assert.rejects(nodes[0].ping('127.0.0.1:9'), /timed out/);
+    });
+});
+
+test('unsigned and forged messages are dropped', async (t) => {
+    const [a, b] = await startDHT(2);
+    t.after(() => Promise.all([a.stop(), b.stop()]));
+    const forged = JSON.parse(a.signMessage({ type: 'PING', rpcId: crypto.randomBytes(8).toString('hex'), nodeId: a.nodeId }));
+    forged.nodeId = crypto.randomBytes(20).toString('hex');
+    assert.strictEqual(b.verifyMessage(forged), 'node ID does not match public key');
+    const tampered = JSON.parse(a.signMessage({ type: 'STORE', rpcId: crypto.randomBytes(8).toString('hex'), nodeId: a.nodeId, key: 'a'.repeat(40), value: 1 }));
+    tampered.value = 2;
+    assert.strictEqual(b.verifyMessage(tampered), 'invalid signature');
+});
+
+test('maxPerSubnet limits contacts per subnet only when set', () => {
+    const contacts = ['10.0.0.1:1', '10.0.0.2:1'].map(address => ({ id: crypto.randomBytes(20).toString('hex'), address }));
+    const open = new KademliaNode(null, 0);
+    assert.strictEqual(open.maxPerSubnet, 0);
+    assert.strictEqual(open.subnetFull(contacts, '10.0.9.9:1'), false);
+    const limited = new KademliaNode(null, 0, { maxPerSubnet: 2 });
+    assert.strictEqual(limited.subnetFull(contacts, '10.0.9.9:1'), true);
+    assert.strictEqual(limited.subnetFull(contacts, '10.1.0.1:1'), false);
+});
+
+/**
+ * Fill the bucket of a contact with fake contacts, so that the contact is its least-recently-seen entry.
+ * @param {KademliaNode} node - The node whose routing table is filled.
+ * @param {string} nodeId - The contact's ID.
+ * @param {string} address - The contact's address.
+ * @returns {number} The bucket index.
+ */
+function fillBucketAfter(node, nodeId, address) {
+    const index = node.getBucketIndex(nodeId);
+    node.addNode(nodeId, address);
+    while (node.buckets[index].length < node.k) {
+        node.addNode(node.randomIdInBucket(index), `10.0.${node.buckets[index].length}.1:4000`);
+    }
+    return index;
+}
+
+test('k-bucket eviction', async (t) => {
+    const [a, b] = await startDHT(2);
+    t.after(() => Promise.all([a.stop(), b.stop()]));
+    a.rpcTimeout = 300;
+
+    await t.test('a full bucket pings its least-recently-seen contact and keeps it when it answers', async () => {
+        a.buckets = a.buckets.map(() => []);
+        const index = fillBucketAfter(a, b.nodeId, `127.0.0.1:${b.port}`);
+        assert.strictEqual(a.buckets[index][a.k - 1].id, b.nodeId);
+        const newcomer = a.randomIdInBucket(index);
+        a.addNode(newcomer, '10.9.0.1:4000');
+        assert.ok(a.pendingEvictions.has(b.nodeId), 'the least-recently-seen contact is pinged');
+        for (let waited = 0; waited < 2000 && a.pendingEvictions.size > 0; waited += 20) {
+            await wait(20);
+        }
+        assert.strictEqual(a.buckets[index][0].id, b.nodeId, 'it answered and moved to the head');
+        assert.strictEqual(a.buckets[index].length, a.k);
+        assert.ok(!a.buckets[index].some(contact => contact.id === newcomer));
+        assert.strictEqual(a.replacements[index][0].id, newcomer, 'the newcomer waits in the replacement cache');
+    });
+
+    await t.test('a contact that does not answer the ping is replaced by the newcomer', async () => {
+        a.buckets = a.buckets.map(() => []);
+        a.replacements = a.replacements.map(() => []);
+        const silent = a.randomIdInBucket(3);
+        const index = fillBucketAfter(a, silent, '127.0.0.1:9');
+        const newcomer = a.randomIdInBucket(index);
+        a.addNode(newcomer, '10.9.0.1:4000');
+        for (let waited = 0; waited < 2000 && a.pendingEvictions.size > 0; waited += 20) {
+            await wait(20);
+        }
+        assert.ok(!a.buckets[index].some(contact => contact.id === silent));
+        assert.strictEqual(a.buckets[index][0].id, newcomer);
+    });
+});
+
+test('staleThreshold failures promote a replacement', () => {
+    const node = new KademliaNode(null, 0, { staleThreshold: 3 });
+    const failing = node.randomIdInBucket(0);
+    const index = fillBucketAfter(node, failing, '10.8.0.1:4000');
+    const replacement = node.randomIdInBucket(index);
+    node.addReplacement(index, replacement, '10.9.0.1:4000');
+    node.markNodeFailed(failing);
+    node.markNodeFailed(failing);
+    assert.ok(node.buckets[index].some(contact => contact.id === failing), 'kept below the threshold');
+    node.addNode(failing, '10.8.0.1:4000');
+    node.markNodeFailed(failing);
+    node.markNodeFailed(failing);
+    assert.ok(node.buckets[index].some(contact => contact.id === failing), 'an answer resets the count');
+    node.markNodeFailed(failing);
+    assert.ok(!node.buckets[index].some(contact => contact.id === failing));
+    assert.strictEqual(node.buckets[index][0].id, replacement);
+    assert.strictEqual(node.replacements[index].length, 0);
+});
+
+test('refreshBuckets looks up buckets not looked up within refreshInterval', async () => {
+    const node = new KademliaNode(null, 0, { refreshInterval: 1000 });
+    const targets = [];
+    node.iterativeFindNode = async (target) => {
+        targets.push(target);
+        return { nodes: [] };
+    };
+    node.addNode(node.randomIdInBucket(2), '10.0.0.1:4000');
+    node.addNode(node.randomIdInBucket(5), '10.0.0.2:4000');
+    node.bucketLookups[5] = Date.now(); // Looked up recently
+    node.bucketLookups[2] = Date.now() - 2000;
+    await node.refreshBuckets();
+    assert.strictEqual(targets.length, 1, 'only the stale, non-empty bucket');
+    assert.strictEqual(node.getBucketIndex(targets[0]), 2, 'the lookup targets an ID in its range');
+});
+
+test('record lifetimes and replication', async (t) => {
+    const options = { maxRecordTTL: 60000 };
+    const nodes = await startDHT(3, options);
+    t.after(() => Promise.all(nodes.map(node => node.stop())));
+    const [publisher, holder] = nodes;
+
+    await t.test('records live for their own TTL, capped at maxRecordTTL', async () => {
+        await publisher.store('long', 'value', { ttl: 10 * 60000 });
+        const keyHash = publisher.hashKey('long');
+        assert.strictEqual(publisher.getRecord(keyHash).ttl, 60000);
+        const replica = holder.getRecord(keyHash).ttl; // Replicas get the remaining TTL
+        assert.ok(replica <= 60000 && replica > 50000, `replica TTL ${replica}`);
+        const reply = await publisher.sendStore(`127.0.0.1:${holder.port}`, publisher.hashKey('remote'), 'value', 10 * 60000);
+        assert.strictEqual(reply.stored, true);
+        assert.strictEqual(holder.getRecord(publisher.hashKey('remote')).ttl, 60000, 'remote TTLs are capped too');
+    });
+
+    await t.test('sweepExpired() deletes records whose TTL has passed', async () => {
+        await publisher.store('short', 'value', { ttl: 100 });
+        const keyHash = publisher.hashKey('short');
+        assert.ok(nodes.every(node => node.storage.has(keyHash)));
+        await wait(150);
+        for (const node of nodes) {
+            const expired = new Promise(resolve => node.once('recordsExpired', resolve));
+            assert.strictEqual(node.sweepExpired(), 1);
+            assert.strictEqual(await expired, 1);
+            assert.ok(!node.storage.has(keyHash));
+            assert.ok(node.storage.has(publisher.hashKey('long')), 'live records are kept');
+        }
+        assert.strictEqual(await holder.retrieve('short'), null);
+    });
+
+    await t.test('a node joining later receives records through replicateRecords() and republishOwnRecords()', async () => {
+        const [late, later] = [new KademliaNode(null, 0, options), new KademliaNode(null, 0, options)];
+        nodes.push(late, later);
+        await holder.store('replicated', 'by the holder');
+        const keyHash = holder.hashKey('replicated');
+        for (const node of [late, later]) {
+            await node.start();
+            await node.bootstrap([`127.0.0.1:${publisher.port}`]);
+        }
+        await publisher.replicateRecords();
+        assert.ok(!late.storage.has(keyHash), 'records replicated within replicateInterval are skipped');
+        publisher.replicateInterval = 1; // The background timer keeps its hourly schedule
+        await wait(10);
+        await publisher.replicateRecords();
+        assert.strictEqual(late.getRecord(keyHash).value, 'by the holder');
+        assert.ok(late.getRecord(keyHash).ttl <= holder.getRecord(keyHash).ttl);
+        assert.ok(!late.getRecord(keyHash).publisher, 'replicas are not republished by their holders');
+
+        later.deleteRecord(keyHash);
+        await holder.republishOwnRecords();
+        assert.strictEqual(later.getRecord(keyHash).value, 'by the holder');
+    });
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { AnonymousP2PNode } = require('..');
+
+test('start() binds an ephemeral port and stop() releases everything', async () => {
+    const node = new AnonymousP2PNode(0, { coverTraffic: false });
+    const listening = new Promise(resolve => node.once('listening', resolve));
+    const ready = new Promise(resolve => node.once('ready', resolve));
+    await node.start();
+    assert.ok(node.port > 0);
+    assert.strictEqual(await listening, node.port);
+    await ready;
+    assert.strictEqual(node.dht.port, node.port);
+    assert.ok(node.running);
+
+    await node.start(); // Starting twice is a no-op
+    assert.strictEqual(node.server.address().port, node.port);
+
+    const closed = new Promise(resolve => node.once('closed', resolve));
+    await node.stop();
+    await closed;
+    assert.strictEqual(node.running, false);
+    assert.strictEqual(node.server, null);
+    assert.strictEqual(node.dht.socket, null);
+    assert.strictEqual(node.timers.size, 0);
+
+    // The port is free again
+    const server = net.createServer();
+    await new Promise((resolve, reject) => server.once('error', reject).listen(node.port, resolve));
+    await new Promise(resolve => server.close(resolve));
+    await node.stop(); // Stopping twice is a no-op
+});
+
+test('stop() fails pending requests', async () => {
+    const node = new AnonymousP2PNode(0, { coverTraffic: false });
+    await node.start();
+    const pending = node.dht.ping('127.0.0.1:9'); // Nothing answers there
+    await node.stop();
+    await assert.rejects(pending, /stopped/);
+});
+
+test('start() fails if the port is taken, without leaving the server open', async () => {
+    const first = new AnonymousP2PNode(0, { coverTraffic: false });
+    await first.start();
+    const second = new AnonymousP2PNode(first.port, { coverTraffic: false });
+    await assert.rejects(second.start());
+    assert.strictEqual(second.running, false);
+    await first.stop();
+});
+
+test('a failed bootstrap is reported and retried until a seed answers', async () => {
+    const seed = new AnonymousP2PNode(0, { coverTraffic: false });
+    await seed.start();
+    const seedPort = seed.port;
+    await seed.stop(); // The seed is down when the node starts
+
+    const node = new AnonymousP2PNode(0, {
+        coverTraffic: false,
+        bootstrap: [`127.0.0.1:${seedPort}`],
+        bootstrapRetryInterval: 200
+    });
+    node.dht.rpcTimeout = 200;
+    const failed = new Promise(resolve => node.once('bootstrapFailed', (error, retryDelay) => resolve({ error, retryDelay })));
+    let ready = false;
+    node.once('ready', () => { ready = true; });
+    await node.start();
+    const { error, retryDelay } = await failed;
+    assert.match(error.message, /No bootstrap seed responded/);
+    assert.strictEqual(retryDelay, 200);
+    assert.strictEqual(ready, false);
+
+    const restarted = new AnonymousP2PNode(seedPort, { coverTraffic: false });
+    await restarted.start();
+    await new Promise(resolve => node.once('ready', resolve));
+    assert.ok(node.dht.buckets.some(bucket => bucket.some(contact => contact.id === restarted.dht.nodeId)));
+    await node.stop();
+    await restarted.stop();
+});
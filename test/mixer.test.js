@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Mixer = require('../core/Mixer');
+const { wait } = require('./helpers');
+
+test('Mixer keeps the order of each stream', async (t) => {
+    for (const strategy of ['poisson', 'timed', 'threshold', 'pool']) {
+        await t.test(strategy, async () => {
+            const delivered = [];
+            const mixer = new Mixer(item => delivered.push(item), { strategy, meanDelay: 20, interval: 20, threshold: 10, poolSize: 0, fraction: 1 });
+            mixer.start();
+            for (let i = 0; i < 40; i++) {
+                mixer.add({ stream: 'a', i }, 'a');
+                mixer.add({ stream: 'b', i }, 'b');
+                mixer.add({ stream: null, i });
+            }
+            await wait(400);
+            mixer.stop();
+            assert.strictEqual(delivered.length, 120);
+            for (const stream of ['a', 'b']) {
+                const order = delivered.filter(item => item.stream === stream).map(item => item.i);
+                assert.deepStrictEqual(order, order.slice().sort((x, y) => x - y));
+            }
+            assert.strictEqual(mixer.streams.size, 0);
+        });
+    }
+
+    await t.test('stop() leaves no pending timers', () => {
+        const mixer = new Mixer(() => {}, { meanDelay: 60000 });
+        for (let i = 0; i < 5; i++) mixer.add(i, 'a');
+        mixer.release([mixer.queue[4]]);
+        mixer.stop();
+        assert.strictEqual(mixer.queue.length, 0);
+        assert.strictEqual(mixer.streams.size, 0);
+    });
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PathSelector = require('../core/PathSelector');
+
+/**
+ * Make relay candidates.
+ * @param {(i: number) => string} address - Address of the i-th relay.
+ * @returns {Array<{id: string, address: string}>} Five relays.
+ */
+function relays(address) {
+    return [0, 1, 2, 3, 4].map(i => ({ id: `relay${i}`, address: address(i) }));
+}
+
+test('PathSelector subnet diversity', async (t) => {
+    await t.test('picks hops from distinct subnets', () => {
+        const candidates = relays(i => `10.${i}.0.1:4000`);
+        const path = new PathSelector().selectPath(candidates);
+        const subnets = path.map(id => PathSelector.subnet(candidates.find(node => node.id === id).address));
+        assert.strictEqual(new Set(subnets).size, 3);
+    });
+
+    await t.test('explains when every relay shares one subnet', () => {
+        const candidates = relays(i => `127.0.0.1:${4000 + i}`);
+        assert.throws(() => new PathSelector().selectPath(candidates), /all share one \/16 subnet.*subnetDiversity: false/);
+        assert.throws(() => new PathSelector().selectPath(candidates, { last: { id: 'target', address: '127.0.0.1:5000' } }),
+            /all share one \/16 subnet/);
+        assert.strictEqual(new PathSelector({ subnetDiversity: false }).selectPath(candidates).length, 3);
+    });
+
+    await t.test('parses IPv4, IPv6 and host names', () => {
+        assert.strictEqual(PathSelector.subnet('192.168.1.20:4000'), '192.168');
+        assert.strictEqual(PathSelector.subnet('[2001:db8::1]:4000'), '2001:db8');
+        assert.strictEqual(PathSelector.subnet('Relay.example:4000'), 'relay.example');
+    });
+});
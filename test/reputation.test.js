@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReputationManager, KademliaNode, PathSelector, AbuseGuard } = require('..');
+
+/**
+ * Give a peer a score, as of now.
+ * @param {ReputationManager} reputation - The reputation manager.
+ * @param {string} peerId - The peer's ID.
+ * @param {number} score - The score.
+ */
+function setScore(reputation, peerId, score) {
+    reputation.scores.set(peerId, { score, updated: Date.now() });
+}
+
+/**
+ * Fill one bucket of a (not started) DHT node with k contacts whose pings are recorded instead of sent.
+ * @param {ReputationManager} reputation - Scores used by the node.
+ * @returns {{node: KademliaNode, bucket: Array<object>, pinged: Array<string>, newId: () => string}} The node,
+ *     its full bucket (most recently seen first), the pinged addresses and a generator of more IDs for the bucket.
+ */
+function fullBucket(reputation) {
+    const node = new KademliaNode(null, 0, { reputation });
+    const pinged = [];
+    node.ping = async (address) => {
+        pinged.push(address);
+    };
+    let next = 0;
+    const newId = () => node.randomIdInBucket(0);
+    for (let i = 0; i < node.k; i++) {
+        node.addNode(newId(), `10.0.0.${next++}:4000`);
+    }
+    return { node, bucket: node.buckets[0], pinged, newId };
+}
+
+test('ReputationManager scores', async (t) => {
+    await t.test('observations add fixed amounts and emit scoreChanged', () => {
+        const reputation = new ReputationManager({ halfLife: Infinity }); // No decay between observations
+        const changes = [];
+        reputation.on('scoreChanged', change => changes.push(change));
+        assert.strictEqual(reputation.getScore('peer'), 0);
+        assert.strictEqual(reputation.record('peer', 'rpcSuccess'), 1);
+        assert.strictEqual(reputation.record('peer', 'invalidSignature'), -9);
+        assert.deepStrictEqual(changes[1], { peerId: 'peer', score: -9, previous: 1, observation: 'invalidSignature' });
+        assert.throws(() => reputation.record('peer', 'gossip'), /Unknown reputation observation/);
+    });
+
+    await t.test('scores are clamped to [-100, 100]', () => {
+        const reputation = new ReputationManager({ halfLife: Infinity });
+        for (let i = 0; i < 30; i++) {
+            reputation.record('bad', 'invalidSignature');
+            reputation.record('good', 'relaySuccess');
+        }
+        assert.strictEqual(reputation.getScore('bad'), -100);
+        assert.strictEqual(reputation.factor('bad'), 0.25);
+        for (let i = 0; i < 30; i++) reputation.record('good', 'relaySuccess');
+        assert.strictEqual(reputation.getScore('good'), 100);
+        assert.strictEqual(reputation.factor('good'), 4);
+    });
+
+    await t.test('scores decay with the half-life', () => {
+        const reputation = new ReputationManager({ halfLife: 1000 });
+        reputation.scores.set('peer', { score: 40, updated: Date.now() - 1000 });
+        assert.ok(Math.abs(reputation.getScore('peer') - 20) < 0.5);
+        reputation.scores.set('peer', { score: -40, updated: Date.now() - 2000 });
+        assert.ok(Math.abs(reputation.getScore('peer') + 10) < 0.5);
+        assert.strictEqual(reputation.isDistrusted('peer'), false);
+    });
+
+    await t.test('the scores closest to 0 are dropped at maxPeers', () => {
+        const reputation = new ReputationManager({ maxPeers: 3 });
+        reputation.record('forged', 'invalidSignature');
+        reputation.record('answered', 'rpcSuccess');
+        reputation.record('lost', 'relayFailure');
+        reputation.record('newcomer', 'relaySuccess');
+        assert.deepStrictEqual(reputation.getScores().map(entry => entry.peerId), ['newcomer', 'lost', 'forged']);
+        reputation.scores.set('faded', { score: 0.1, updated: Date.now() });
+        reputation.record('another', 'rpcFailure');
+        assert.ok(!reputation.scores.has('faded'), 'decayed scores go first');
+        assert.strictEqual(reputation.scores.size, 3);
+    });
+
+    await t.test('scores survive a restart through statePath', (t) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anonp2p-reputation-'));
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        const statePath = path.join(dir, 'state', 'reputation.json');
+        const reputation = new ReputationManager({ statePath });
+        reputation.start();
+        reputation.record('peer', 'invalidSignature');
+        reputation.record('other', 'storeSuccess');
+        reputation.stop();
+        assert.strictEqual(fs.statSync(statePath).mode & 0o777, 0o600);
+        const reloaded = new ReputationManager({ statePath });
+        assert.ok(Math.abs(reloaded.getScore('peer') + 10) < 0.01);
+        assert.ok(Math.abs(reloaded.getScore('other') - 1) < 0.01);
+        fs.writeFileSync(statePath, JSON.stringify({ version: 2, peers: {} }));
+        assert.throws(() => new ReputationManager({ statePath }), /Unsupported reputation file version 2/);
+    });
+});
+
+test('reputation in the routing table', async (t) => {
+    await t.test('a full bucket evicts a distrusted contact without pinging it', () => {
+        const reputation = new ReputationManager();
+        const { node, bucket, pinged, newId } = fullBucket(reputation);
+        const distrusted = bucket[5].id;
+        setScore(reputation, distrusted, -50);
+        const newcomer = newId();
+        node.addNode(newcomer, '10.1.0.1:4000');
+        assert.deepStrictEqual(pinged, []);
+        assert.ok(!bucket.some(contact => contact.id === distrusted));
+        assert.strictEqual(bucket[0].id, newcomer, 'the newcomer takes its place');
+    });
+
+    await t.test('the eviction candidate is the contact with the lowest score', () => {
+        const reputation = new ReputationManager();
+        const { node, bucket, pinged, newId } = fullBucket(reputation);
+        setScore(reputation, bucket[3].id, -10);
+        node.addNode(newId(), '10.1.0.1:4000');
+        assert.deepStrictEqual(pinged, [bucket[3].address]);
+    });
+
+    await t.test('removeNode promotes the replacement with the best score, never a distrusted one', () => {
+        const reputation = new ReputationManager();
+        const { node, bucket, newId } = fullBucket(reputation);
+        const [distrusted, good, fresh] = [newId(), newId(), newId()];
+        node.addReplacement(0, good, '10.2.0.1:4000');
+        node.addReplacement(0, distrusted, '10.2.0.2:4000');
+        node.addReplacement(0, fresh, '10.2.0.3:4000');
+        setScore(reputation, good, 10);
+        setScore(reputation, distrusted, -50);
+        node.removeNode(bucket[0].id);
+        assert.strictEqual(bucket[0].id, good);
+        node.removeNode(bucket[1].id);
+        assert.strictEqual(bucket[0].id, fresh);
+        node.removeNode(bucket[1].id);
+        assert.ok(!bucket.some(contact => contact.id === distrusted));
+        assert.strictEqual(node.replacements[0][0].id, distrusted);
+    });
+});
+
+test('PathSelector leaves out distrusted relays', () => {
+    const reputation = new ReputationManager();
+    const candidates = [0, 1, 2, 3, 4, 5].map(i => ({ id: `relay${i}`, address: `127.0.0.1:${4000 + i}` }));
+    setScore(reputation, 'relay0', -50);
+    setScore(reputation, 'relay1', -30);
+    const selector = new PathSelector({ subnetDiversity: false, reputation });
+    selector.guards = [{ id: 'relay0', added: Date.now(), failures: 0 }];
+    for (let i = 0; i < 20; i++) {
+        const path = selector.selectPath(candidates);
+        assert.ok(!path.includes('relay0') && !path.includes('relay1'), `picked ${path}`);
+    }
+    assert.ok(!selector.guards.some(guard => guard.id === 'relay0'), 'the distrusted guard was replaced');
+    setScore(reputation, 'relay2', -50);
+    setScore(reputation, 'relay3', -50);
+    assert.throws(() => selector.selectPath(candidates), /Not enough diverse relays|No usable entry guard/);
+});
+
+test('AbuseGuard charges peers 1/factor tokens per message', () => {
+    const reputation = new ReputationManager({ halfLife: Infinity }); // Factors of exactly 2 and 1/2
+    setScore(reputation, 'trusted', 50);
+    setScore(reputation, 'distrusted', -50);
+    const guard = new AbuseGuard({ peerRate: 0.001, peerBurst: 4, banThreshold: 100, reputation });
+
+    /**
+     * Count the messages a peer may send from a full bucket.
+     * @param {string} peerId - The peer.
+     * @returns {number} Messages allowed before the first refusal.
+     */
+    const allowance = (peerId) => {
+        let allowed = 0;
+        while (allowed < 100 && guard.allowMessage(null, peerId)) allowed++;
+        return allowed;
+    };
+    assert.strictEqual(allowance('unknown'), 4);
+    assert.strictEqual(allowance('trusted'), 8);
+    assert.strictEqual(allowance('distrusted'), 2);
+});
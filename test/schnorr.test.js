@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const Schnorr = require('../core/Schnorr');
+const AnonymousIdentity = require('../core/AnonymousIdentity');
+
+/**
+ * Derive a test scalar the way the vectors in core/Schnorr.js do.
+ * @param {string} label - The label hashed into the scalar.
+ * @returns {string} The scalar (hex).
+ */
+function testScalar(label) {
+    return crypto.createHash('sha256').update(`anonp2p schnorr test ${label}`).digest('hex');
+}
+
+const VECTORS = {
+    x: '63af3bcc303e9a92e05621312ad6ab88202174c9866bcc011d75d9d6874cef65',
+    X: '02404c0dc3a2eeae97c09f7c294f6da3823e84c2a29ca204b924ae79cf790f31a7',
+    r: '502826b1aec3063de7e13fd055473965af66baf25b365b2b83e4d032857ddb54',
+    R: '0376d1d9e3476bdc4dc9dc8b208ac1544ee4283e64e0565d66975bd5a1af3dcb19',
+    interactive: {
+        c: '5219016505ebf074dc815e68e9ac55b78ecb8b36aab12339dc940b5e4e6945b2',
+        s: '056b2904eea0a8d6f0205c2da177f690eb9e29425f51be0e0cbc4954abccbe5e'
+    },
+    fiatShamir: {
+        message: 'hello',
+        c: '4f1bc743eefef59fcd29d515ef615ff236e10c2912c2aa6cd9f3389fc8518303',
+        s: 'b14c6c8333fdbdccaef5261c3b9c2c9b669063720469716893d3012a2f8baa4c'
+    }
+};
+
+test('Schnorr test vectors', async (t) => {
+    await t.test('keys and commitments', () => {
+        assert.strictEqual(testScalar('key'), VECTORS.x);
+        assert.strictEqual(testScalar('nonce'), VECTORS.r);
+        assert.strictEqual(testScalar('challenge'), VECTORS.interactive.c);
+        assert.strictEqual(Schnorr.encodePoint(Schnorr.multiplyBase(BigInt('0x' + VECTORS.x))), VECTORS.X);
+        assert.strictEqual(Schnorr.encodePoint(Schnorr.multiplyBase(BigInt('0x' + VECTORS.r))), VECTORS.R);
+    });
+
+    await t.test('interactive response', () => {
+        const { c, s } = VECTORS.interactive;
+        assert.strictEqual(Schnorr.respond(VECTORS.x, VECTORS.r, c), s);
+        assert.ok(Schnorr.verifyResponse(VECTORS.X, VECTORS.R, c, s));
+        assert.ok(!Schnorr.verifyResponse(VECTORS.X, VECTORS.R, VECTORS.fiatShamir.c, s));
+    });
+
+    await t.test('Fiat-Shamir proof', () => {
+        const { message, c, s } = VECTORS.fiatShamir;
+        assert.strictEqual(Schnorr.fiatShamirChallenge(VECTORS.R, VECTORS.X, message), c);
+        assert.strictEqual(Schnorr.respond(VECTORS.x, VECTORS.r, c), s);
+        assert.ok(Schnorr.verify(VECTORS.X, message, { commitment: VECTORS.R, response: s }));
+        assert.ok(!Schnorr.verify(VECTORS.X, 'hello!', { commitment: VECTORS.R, response: s }));
+    });
+});
+
+test('Schnorr proofs with identity keys', async (t) => {
+    await t.test('prove and verify', () => {
+        const { publicKey, privateKey } = AnonymousIdentity.generateKeyPair();
+        const proof = Schnorr.prove(privateKey, 'context');
+        assert.ok(Schnorr.verify(publicKey, 'context', proof));
+        assert.ok(Schnorr.verify(publicKey.export({ type: 'spki', format: 'pem' }), 'context', proof));
+        assert.ok(!Schnorr.verify(publicKey, 'other context', proof));
+        assert.ok(!Schnorr.verify(AnonymousIdentity.generateKeyPair().publicKey, 'context', proof));
+        assert.deepStrictEqual(Schnorr.decodeProof(Schnorr.encodeProof(proof)), proof);
+    });
+
+    await t.test('non-interactive pseudonym proofs', () => {
+        const identity = new AnonymousIdentity();
+        const proof = identity.createZKProof('challenge');
+        assert.ok(AnonymousIdentity.verifyZKProof(proof, 'challenge', identity.pseudonym));
+        assert.ok(identity.verifyZKProof(proof, 'challenge', identity.pseudonym));
+        assert.ok(!AnonymousIdentity.verifyZKProof(proof, 'another challenge', identity.pseudonym));
+        assert.ok(!AnonymousIdentity.verifyZKProof(proof, 'challenge', new AnonymousIdentity().pseudonym));
+        assert.ok(!AnonymousIdentity.verifyZKProof(null, 'challenge', identity.pseudonym));
+    });
+
+    await t.test('interactive pseudonym proofs', () => {
+        const identity = new AnonymousIdentity();
+        const commitment = identity.beginZKProof();
+        const challenge = AnonymousIdentity.createZKChallenge();
+        const response = identity.answerZKChallenge(commitment.commitment, challenge);
+        assert.ok(AnonymousIdentity.verifyZKResponse(commitment, challenge, response));
+        assert.ok(!AnonymousIdentity.verifyZKResponse(commitment, AnonymousIdentity.createZKChallenge(), response));
+        assert.ok(!AnonymousIdentity.verifyZKResponse({ ...commitment, pseudonym: new AnonymousIdentity().pseudonym }, challenge, response));
+        assert.throws(() => identity.answerZKChallenge(commitment.commitment, challenge), /already used/);
+    });
+
+    await t.test('unanswered commitments expire and are capped', () => {
+        const identity = new AnonymousIdentity({ proofTimeout: 1000, maxPendingProofs: 3 });
+        const first = identity.beginZKProof();
+        for (let i = 0; i < 3; i++) identity.beginZKProof();
+        assert.strictEqual(identity.pendingProofs.size, 3);
+        assert.throws(() => identity.answerZKChallenge(first.commitment, AnonymousIdentity.createZKChallenge()), /Unknown/);
+        const late = identity.beginZKProof();
+        identity.pendingProofs.get(late.commitment).expires = Date.now() - 1;
+        assert.strictEqual(identity.sweepPendingProofs(), 1);
+        assert.throws(() => identity.answerZKChallenge(late.commitment, AnonymousIdentity.createZKChallenge()), /expired/);
+    });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const KademliaNode = require('../core/KademliaNode');
+const SignedRecord = require('../core/SignedRecord');
+const AnonymousIdentity = require('../core/AnonymousIdentity');
+const { startNetwork, stopAll } = require('./helpers');
+
+test('SignedRecord', async (t) => {
+    await t.test('verifies records under their target', () => {
+        for (const keyPair of [crypto.generateKeyPairSync('ed25519'), AnonymousIdentity.generateKeyPair()]) {
+            const record = SignedRecord.create(keyPair, { hello: 'world' }, { seq: 3, salt: 'profile' });
+            const target = SignedRecord.target(keyPair.publicKey, 'profile');
+            assert.strictEqual(SignedRecord.target(record.k, record.salt), target);
+            assert.ok(SignedRecord.verify(record, target));
+            assert.ok(!SignedRecord.verify(record, SignedRecord.target(keyPair.publicKey, 'other')));
+        }
+    });
+
+    await t.test('rejects tampered records', () => {
+        const keyPair = crypto.generateKeyPairSync('ed25519');
+        const record = SignedRecord.create(keyPair, 'one', { seq: 1 });
+        assert.ok(!SignedRecord.verify({ ...record, v: 'two' }));
+        assert.ok(!SignedRecord.verify({ ...record, seq: 2 }));
+        assert.ok(!SignedRecord.verify({ ...record, salt: 'x' }));
+        const other = crypto.generateKeyPairSync('ed25519');
+        assert.ok(!SignedRecord.verify({ ...record, k: SignedRecord.create(other, 'one', { seq: 1 }).k }));
+        assert.ok(!SignedRecord.verify({ ...record, seq: -1 }));
+        assert.ok(!SignedRecord.verify(null));
+    });
+});
+
+test('signed records in the DHT', async (t) => {
+    const nodes = [];
+    for (let i = 0; i < 3; i++) {
+        const node = new KademliaNode(null, 0, { rpcTimeout: 1000 });
+        await node.start();
+        nodes.push(node);
+    }
+    t.after(async () => {
+        for (const node of nodes) await node.stop();
+    });
+    const [a, b, c] = nodes;
+    await b.ping(`127.0.0.1:${a.port}`);
+    await c.ping(`127.0.0.1:${a.port}`);
+    await a.iterativeFindNode(a.nodeId);
+    const keyPair = crypto.generateKeyPairSync('ed25519');
+
+    await t.test('replicates records and refuses stale or forged updates', async () => {
+        const target = await a.storeSigned(SignedRecord.create(keyPair, 'one', { seq: 1, salt: 's' }));
+        assert.strictEqual(b.getRecord(target).value.v, 'one');
+        const stale = await a.sendStoreSigned(`127.0.0.1:${b.port}`, SignedRecord.create(keyPair, 'zero', { seq: 0, salt: 's' }));
+        assert.deepStrictEqual(stale, { stored: false, reason: 'sequence number too low' });
+        const forged = { ...SignedRecord.create(keyPair, 'two', { seq: 2, salt: 's' }), v: 'evil' };
+        assert.strictEqual((await a.sendStoreSigned(`127.0.0.1:${b.port}`, forged)).stored, false);
+        const plain = await a.sendRequest(`127.0.0.1:${b.port}`, 'STORE', { key: target, value: 'plain', ttl: 1000 });
+        assert.strictEqual(plain.data.stored, false);
+        await assert.rejects(a.storeSigned(SignedRecord.create(keyPair, 'zero', { seq: 0, salt: 's' })), /sequence number too low/);
+    });
+
+    await t.test('retrieveSigned returns the newest copy', async () => {
+        const target = SignedRecord.target(keyPair.publicKey, 's');
+        const older = a.getRecord(target);
+        await b.storeSigned(SignedRecord.create(keyPair, 'two', { seq: 2, salt: 's' }));
+        a.putRecord(target, older); // a still holds seq 1
+        const record = await a.retrieveSigned(target);
+        assert.strictEqual(record.seq, 2);
+        assert.strictEqual(record.v, 'two');
+    });
+});
+
+test('putSigned and getSigned', async (t) => {
+    const nodes = await startNetwork(2);
+    t.after(() => stopAll(nodes));
+    const [publisher, reader] = nodes;
+    assert.strictEqual((await publisher.putSigned({ x: 1 }, { salt: 'p' })).seq, 0);
+    assert.strictEqual((await publisher.putSigned({ x: 2 }, { salt: 'p' })).seq, 1);
+    assert.deepStrictEqual(await reader.getSigned(publisher.identity.exportPublicKey(), { salt: 'p' }), { value: { x: 2 }, seq: 1 });
+    assert.strictEqual(await reader.getSigned(publisher.identity.exportPublicKey(), { salt: 'missing' }), null);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AnonymousP2PNode } = require('..');
+const { wait, startNetwork, stopAll } = require('./helpers');
+
+/**
+ * Create a leaf of a structured mesh. Once started, it registers with a supernode.
+ * @param {Array<string>} supernodeList - Addresses of the supernodes.
+ * @param {object} mesh - StructuredMesh settings.
+ * @returns {AnonymousP2PNode} The leaf.
+ */
+function createLeaf(supernodeList, mesh) {
+    return new AnonymousP2PNode(0, {
+        meshType: 'structured',
+        role: 'leaf',
+        supernodeList: supernodeList.slice(),
+        subnetDiversity: false,
+        coverTraffic: false,
+        mesh
+    });
+}
+
+/**
+ * Wait for an event.
+ * @param {import('events').EventEmitter} emitter - The emitter.
+ * @param {string} event - The event name.
+ * @param {(value: any) => boolean} [filter] - Only resolve for values it accepts.
+ * @param {number} [timeout=5000] - Time limit (ms).
+ * @returns {Promise<any>} The event's first argument.
+ */
+function waitForEvent(emitter, event, filter = () => true, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            emitter.off(event, listener);
+            reject(new Error(`No ${event} within ${timeout} ms`));
+        }, timeout);
+        const listener = (value) => {
+            if (!filter(value)) return;
+            clearTimeout(timer);
+            emitter.off(event, listener);
+            resolve(value);
+        };
+        emitter.on(event, listener);
+    });
+}
+
+test('StructuredMesh probe', async (t) => {
+    const nodes = await startNetwork(2, { meshType: 'structured' });
+    t.after(() => stopAll(nodes));
+    const [prober, target] = nodes;
+    const pseudonym = target.identity.pseudonym;
+
+    await t.test('checks the pseudonym of the node at an IPv4 or IPv6 address', async () => {
+        assert.strictEqual(await prober.mesh.probe(`127.0.0.1:${target.port}`, pseudonym), true);
+        assert.strictEqual(await prober.mesh.probe(`[::1]:${target.port}`, pseudonym), true);
+        assert.strictEqual(await prober.mesh.probe(`[::1]:${target.port}`, prober.identity.pseudonym), false);
+    });
+});
+
+test('StructuredMesh supernodes and leaves', async (t) => {
+    // Heartbeats cross the mixer both ways, so the timeout leaves room for its delays
+    const mesh = { heartbeatInterval: 100, heartbeatTimeout: 5000, autoPromote: false };
+    const supernodes = await startNetwork(2, { meshType: 'structured', mesh });
+    const addresses = supernodes.map(node => `127.0.0.1:${node.port}`);
+    for (const node of supernodes) {
+        node.supernodeList.push(...addresses);
+    }
+    const nodes = supernodes.slice();
+    t.after(() => stopAll(nodes));
+    const leaf = createLeaf(addresses, mesh);
+    nodes.push(leaf);
+    await leaf.start();
+
+    /**
+     * Get the supernode the leaf is registered with.
+     * @returns {AnonymousP2PNode} The supernode.
+     */
+    const current = () => supernodes.find(node => node.identity.pseudonym === leaf.mesh.supernode.id);
+
+    await t.test('a leaf registers with a supernode and keeps sending heartbeats', async () => {
+        assert.ok(leaf.mesh.supernode, 'registered on start');
+        const supernode = current();
+        assert.ok(supernode.mesh.leaves.has(leaf.identity.pseudonym));
+        const registered = supernode.mesh.leaves.get(leaf.identity.pseudonym);
+        await wait(600);
+        assert.ok(supernode.mesh.leaves.get(leaf.identity.pseudonym) > registered, 'heartbeat refreshed the registration');
+        assert.ok(Date.now() - leaf.mesh.lastAck < 1000, 'supernode answered the heartbeats');
+    });
+
+    await t.test('DHT operations of a leaf run on its supernode (MESH_DHT)', async () => {
+        const supernode = current();
+        const proxied = supernode.mesh.counters.proxied;
+        await leaf.dht.store('leaf-key', { from: 'leaf' });
+        assert.deepStrictEqual(await leaf.dht.retrieve('leaf-key'), { from: 'leaf' });
+        assert.strictEqual(supernode.mesh.counters.proxied, proxied + 2);
+        const other = supernodes.find(node => node !== supernode);
+        assert.deepStrictEqual(await other.dht.retrieve('leaf-key'), { from: 'leaf' }, 'stored in the DHT, not on the leaf');
+        assert.strictEqual(leaf.dht.storage.size, 0);
+    });
+
+    await t.test('a leaf whose supernode stops registers with another one', async () => {
+        const previous = current();
+        const other = supernodes.find(node => node !== previous);
+        const changed = waitForEvent(leaf.mesh, 'supernodeChanged', event => event.supernode !== null);
+        await previous.stop();
+        const event = await changed;
+        assert.strictEqual(event.previous, previous.identity.pseudonym);
+        assert.strictEqual(event.supernode, other.identity.pseudonym);
+        assert.ok(other.mesh.leaves.has(leaf.identity.pseudonym));
+        assert.strictEqual(leaf.mesh.getStats().failovers, 1);
+        await leaf.dht.store('after-failover', 1);
+        assert.strictEqual(await other.dht.retrieve('after-failover'), 1);
+    });
+
+    await t.test('a reachable leaf up for promotionUptime becomes a supernode', async () => {
+        const supernode = supernodes.find(node => node.running);
+        const promoted = createLeaf([`127.0.0.1:${supernode.port}`], { ...mesh, autoPromote: true, promotionUptime: 300 });
+        nodes.push(promoted);
+        // Joining the DHT waits out a ping to the supernode stopped above, which is still listed
+        const promotion = waitForEvent(promoted.mesh, 'roleChanged', () => true, 15000);
+        await promoted.start();
+        assert.ok(promoted.mesh.supernode || promoted.role === 'supernode', 'registered as a leaf first');
+        const roleChanged = await promotion;
+        assert.deepStrictEqual(roleChanged, { previous: 'leaf', role: 'supernode' });
+        assert.strictEqual(promoted.dht.proxy, null, 'runs its own DHT operations');
+        const announced = `127.0.0.1:${promoted.port}`;
+        for (let waited = 0; waited < 2000 && !supernode.supernodeList.includes(announced); waited += 50) {
+            await wait(50);
+        }
+        assert.ok(supernode.supernodeList.includes(announced), 'the supernode learned the new one');
+        assert.ok(!supernode.mesh.leaves.has(promoted.identity.pseudonym));
+        assert.strictEqual(promoted.mesh.registerLeaf(leaf.identity.pseudonym).accepted, true);
+    });
+});